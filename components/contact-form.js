@@ -1,5 +1,15 @@
 Ziw.register('ContactForm', {
-  state: { name: '', submitted: false },
+  state: { name: '', email: '', submitted: false },
+
+  // Keep the draft across reloads; the submitted flag isn't saved.
+  persist: { keys: ['name', 'email'] },
+
+  // Runs after the native constraints on the bound input (type="email" required).
+  validate: {
+    name: function (value) {
+      if (!value.trim()) return 'Please tell us your name.';
+    }
+  },
 
   init: function (compEl, state) {
     console.log('ContactForm init', state);
@@ -9,9 +19,9 @@ Ziw.register('ContactForm', {
   },
 
   actions: {
+    // <form jssubmit> only lets the submit through once every field is valid.
     submit: {
-      click: function (event, actionEl, compEl, { state, setState }) {
-        if (!state.name.trim()) return;
+      submit: function (event, actionEl, compEl, { setState }) {
         setState({ submitted: true });
       }
     }
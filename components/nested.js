@@ -1,20 +1,35 @@
 Ziw.register('Outer', {
+  state: { clicks: 0 },
+
+  on: {
+    // InnerWidget's emit('innerPing', detail) reaches the nearest ancestor with on.innerPing.
+    innerPing: function (event, innerEl, componentEl) {
+      componentEl.querySelector('[data-outer-status]').textContent =
+        'Outer received innerPing: ' + event.detail.message;
+    }
+  },
+
   actions: {
     outerClick: {
-      click: function (event, actionEl, componentEl) {
+      click: function (event, actionEl, componentEl, { state, setState }) {
         componentEl.querySelector('[data-outer-status]').textContent =
           'Outer handled outerClick!';
+        // Flows into InnerWidget through jsprop-outer-clicks="{clicks}".
+        setState({ clicks: state.clicks + 1 });
       }
     }
   }
 });
 
 Ziw.register('InnerWidget', {
+  props: { outerClicks: 0 },
+
   actions: {
     innerClick: {
-      click: function (event, actionEl, componentEl) {
+      click: function (event, actionEl, componentEl, { emit }) {
         componentEl.querySelector('[data-inner-status]').textContent =
           'InnerWidget handled innerClick!';
+        emit('innerPing', { message: 'hello from InnerWidget' });
       }
     }
   }
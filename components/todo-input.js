@@ -1,24 +1,28 @@
-Ziw.register('TodoInput', {
+// Loaded as an ES module (jstype="module"): the default export is
+// registered under the element's jscomponent name.
+export default {
   state: { items: [] },
 
+  // Added and ticked todos survive a reload (localStorage, key "ziw:TodoInput").
+  persist: true,
+
   actions: {
-    addTodo: {
-      click: function (event, actionEl, compEl, { state, setState }) {
-        addItem(compEl, state, setState);
-      },
-      keydown: function (event, actionEl, compEl, { state, setState }) {
-        if (event.key === 'Enter') {
-          addItem(compEl, state, setState);
-        }
-      }
+    // Bound as jsaction="addTodo" (click) and jsaction="keydown.enter:addTodo".
+    addTodo: function (event, actionEl, compEl, { state, setState }) {
+      addItem(compEl, state, setState);
+    },
+
+    // Inside a jsfor row the context carries the row's index.
+    removeTodo: function (event, actionEl, compEl, { state, setState, index }) {
+      setState({ items: state.items.filter(function (item, i) { return i !== index; }) });
     }
   }
-});
+};
 
 function addItem(compEl, state, setState) {
-  var input = compEl.querySelector('input');
+  var input = compEl.querySelector('input[type="text"]');
   var text = input.value.trim();
   if (!text) return;
-  setState({ items: state.items.concat(text) });
+  setState({ items: state.items.concat({ id: String(Date.now()), text: text, done: false }) });
   input.value = '';
 }
@@ -0,0 +1,176 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var createRuntime = require('../ziw-test').createRuntime;
+
+/**
+ * Record which of the named elements' own click listeners (bubble phase) run.
+ */
+function listen(t, selectors) {
+  var heard = [];
+  selectors.forEach(function (selector) {
+    var el = selector === 'document' ? t.document : t.$(selector);
+    el.addEventListener('click', function () { heard.push(selector); });
+  });
+  return heard;
+}
+
+test('.stop keeps the event from bubbling past the jsaction element only', function () {
+  var t = createRuntime();
+  var ran = 0;
+  t.register('Menu', { actions: { pick: function () { ran++; } } });
+  t.mount(
+    '<div id="outer" jscomponent="Menu"><button jsaction="click.stop:pick"><i>icon</i></button></div>'
+  );
+  var heard = listen(t, ['i', 'button', '#outer', 'document']);
+
+  t.click('i');
+  assert.strictEqual(ran, 1);
+  assert.deepStrictEqual(heard, ['i', 'button']);
+});
+
+test('.stop leaves later events alone', async function () {
+  var t = createRuntime();
+  t.register('Menu', { actions: { pick: { click: function () {}, keydown: function () {} } } });
+  t.mount('<div id="outer" jscomponent="Menu"><button jsaction="keydown.stop:pick; click:pick">x</button></div>');
+  var heard = listen(t, ['#outer']);
+
+  t.dispatch('button', 'keydown', { key: 'a' });
+  t.click('button');
+  await t.settle();
+  t.click('button');
+  assert.deepStrictEqual(heard, ['#outer', '#outer']);
+});
+
+test('.stop applies to an event buffered while its component loads', async function () {
+  var t = createRuntime();
+  var ran = 0;
+  t.stub('./menu.js', { actions: { pick: function () { ran++; } } });
+  t.mount(
+    '<div id="outer" jscomponent="Menu" jssrc="./menu.js" jsload="interaction">' +
+      '<button jsaction="click.stop:pick">x</button></div>'
+  );
+  var heard = listen(t, ['button', '#outer']);
+
+  t.click('button');
+  assert.deepStrictEqual(heard, ['button']);
+  t.resolveLoad();
+  await t.settle();
+  assert.strictEqual(ran, 1);
+});
+
+test('.prevent cancels the default action', function () {
+  var t = createRuntime();
+  t.register('Link', { actions: { go: function () {} } });
+  t.mount('<div jscomponent="Link"><a href="#x" jsaction="click.prevent:go">x</a></div>');
+
+  assert.strictEqual(t.click('a').defaultPrevented, true);
+});
+
+/**
+ * A promise with its resolve and reject functions, for holding an async
+ * handler in flight.
+ */
+function deferred() {
+  var d = {};
+  d.promise = new Promise(function (resolve, reject) { d.resolve = resolve; d.reject = reject; });
+  return d;
+}
+
+var SEND_HTML =
+  '<section jscomponent="Contact"><button jsaction="send" jsattr-disabled="$pending.send">Send</button>' +
+    '<i jsdata="status"></i><p jsif="$pending.send">Sending</p>' +
+    '<template jsif="$error.send"><b jsdata="$error.send"></b></template></section>';
+
+test('an async handler exposes $pending and renders it with its setState calls', async function () {
+  var t = createRuntime();
+  var request = deferred();
+  var updates = [];
+  t.register('Contact', {
+    state: { status: '' },
+    update: function (compEl, state) { updates.push(state.status); },
+    actions: {
+      send: function (event, el, compEl, ctx) {
+        ctx.setState({ status: 'sending' });
+        return request.promise;
+      },
+    },
+  });
+  t.mount(SEND_HTML);
+
+  t.fire('send');
+  assert.strictEqual(t.$('button').disabled, false, 'nothing renders before the flush');
+  await t.Ziw.nextTick();
+  assert.strictEqual(t.$('button').disabled, true);
+  assert.strictEqual(t.$('i').textContent, 'sending');
+  assert.ok(t.$('p'));
+
+  request.resolve();
+  await t.settle();
+  assert.strictEqual(t.$('button').disabled, false);
+  assert.strictEqual(t.document.querySelector('p'), null);
+  assert.deepStrictEqual(updates, ['sending'], 'status changes alone do not call update');
+});
+
+test('a rejected handler sets $error until the action runs again', async function () {
+  var t = createRuntime();
+  var attempts = [];
+  t.register('Contact', {
+    state: { status: '' },
+    actions: {
+      send: function () {
+        var d = deferred();
+        attempts.push(d);
+        return d.promise;
+      },
+    },
+  });
+  t.mount(SEND_HTML);
+
+  t.fire('send');
+  attempts[0].reject(new Error('offline'));
+  await t.settle();
+  assert.strictEqual(t.$('b').textContent, 'offline');
+  assert.deepStrictEqual(t.errors.map(function (info) { return [info.phase, info.action, info.error.message]; }),
+    [['action', 'send', 'offline']]);
+
+  t.fire('send');
+  await t.settle();
+  assert.strictEqual(t.document.querySelector('b'), null);
+  attempts[1].resolve();
+  await t.settle();
+});
+
+test('concurrency drops or queues re-entrant invocations', async function () {
+  var t = createRuntime();
+  var started = { drop: [], queue: [] };
+  function tracked(name) {
+    return function () {
+      var d = deferred();
+      started[name].push(d);
+      return d.promise;
+    };
+  }
+  t.register('Buttons', {
+    state: {},
+    concurrency: { drop: 'drop', queue: 'queue' },
+    actions: { drop: tracked('drop'), queue: tracked('queue') },
+  });
+  t.mount('<div jscomponent="Buttons"><button jsaction="drop"></button><button jsaction="queue"></button></div>');
+
+  t.fire('drop');
+  t.fire('drop');
+  t.fire('queue');
+  t.fire('queue');
+  assert.strictEqual(started.drop.length, 1);
+  assert.strictEqual(started.queue.length, 1);
+
+  started.drop[0].resolve();
+  started.queue[0].resolve();
+  await t.settle();
+  assert.strictEqual(started.drop.length, 1);
+  assert.strictEqual(started.queue.length, 2, 'the queued call runs once the first settles');
+  started.queue[1].resolve();
+  await t.settle();
+});
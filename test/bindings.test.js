@@ -0,0 +1,111 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var createRuntime = require('../ziw-test').createRuntime;
+
+test('a radio group binds to the checked radio\'s value', async function () {
+  var t = createRuntime();
+  t.register('Size', { state: { size: '' } });
+  t.mount(
+    '<form jscomponent="Size">' +
+      '<input type="radio" name="size" id="s" value="s" jsbind="size">' +
+      '<input type="radio" name="size" id="m" value="m" jsbind="size" checked>' +
+    '</form>'
+  );
+  assert.strictEqual(t.state('form').size, 'm');
+
+  t.input('#s', true);
+  await t.settle();
+  assert.strictEqual(t.state('form').size, 's');
+
+  t.get('form').setState({ size: 'm' });
+  await t.settle();
+  assert.deepStrictEqual([t.$('#s').checked, t.$('#m').checked], [false, true]);
+});
+
+test('checkboxes bound to an array key hold the checked values', async function () {
+  var t = createRuntime();
+  t.register('Toppings', { state: { toppings: [] } });
+  t.mount(
+    '<form jscomponent="Toppings">' +
+      '<input type="checkbox" id="olives" value="olives" jsbind="toppings" checked>' +
+      '<input type="checkbox" id="basil" value="basil" jsbind="toppings">' +
+    '</form>'
+  );
+  assert.deepStrictEqual(t.state('form').toppings, ['olives']);
+
+  t.input('#basil', true);
+  await t.settle();
+  assert.deepStrictEqual(t.state('form').toppings, ['olives', 'basil']);
+
+  t.get('form').setState({ toppings: ['basil'] });
+  await t.settle();
+  assert.deepStrictEqual([t.$('#olives').checked, t.$('#basil').checked], [false, true]);
+});
+
+test('a multi-select binds to an array, coerced with jsbind-type', async function () {
+  var t = createRuntime();
+  t.register('Years', { state: { years: [] } });
+  t.mount(
+    '<div jscomponent="Years"><select multiple jsbind="years" jsbind-type="number">' +
+      '<option selected>2023</option><option>2024</option><option selected>2025</option>' +
+    '</select></div>'
+  );
+  assert.deepStrictEqual(t.state('div').years, [2023, 2025]);
+
+  t.get('div').setState({ years: [2024] });
+  await t.settle();
+  assert.deepStrictEqual(Array.from(t.$('select').selectedOptions, function (option) { return option.value; }), ['2024']);
+});
+
+test('number and range inputs bind numbers, and an empty number binds null', async function () {
+  var t = createRuntime();
+  t.register('Order', { state: { qty: 0, volume: 0 } });
+  t.mount(
+    '<div jscomponent="Order"><input type="number" jsbind="qty" value="2">' +
+      '<input type="range" jsbind="volume" value="40"></div>'
+  );
+  assert.deepStrictEqual(t.state('div'), { qty: 2, volume: 40 });
+
+  t.input('input[type=number]', '');
+  t.input('input[type=range]', '75');
+  await t.settle();
+  assert.deepStrictEqual(t.state('div'), { qty: null, volume: 75 });
+});
+
+test('a contenteditable element binds its text', async function () {
+  var t = createRuntime();
+  t.register('Note', { state: { text: '' } });
+  t.mount('<div jscomponent="Note"><p contenteditable="true" jsbind="text">Draft</p></div>');
+  assert.strictEqual(t.state('div').text, 'Draft');
+
+  t.input('p', 'Final');
+  await t.settle();
+  assert.strictEqual(t.state('div').text, 'Final');
+
+  t.get('div').setState({ text: 'Reset' });
+  await t.settle();
+  assert.strictEqual(t.$('p').textContent, 'Reset');
+});
+
+test('jsbind-lazy syncs on change, or on blur for contenteditable', async function () {
+  var t = createRuntime();
+  t.register('Search', { state: { query: '', note: '' } });
+  t.mount(
+    '<div jscomponent="Search"><input jsbind="query" jsbind-lazy>' +
+      '<p contenteditable="true" jsbind="note" jsbind-lazy></p></div>'
+  );
+
+  t.$('input').value = 'ada';
+  t.dispatch('input', 'input');
+  t.$('p').textContent = 'hi';
+  t.dispatch('p', 'input');
+  await t.settle();
+  assert.deepStrictEqual(t.state('div'), { query: '', note: '' });
+
+  t.dispatch('input', 'change');
+  t.dispatch('p', 'blur', { bubbles: false });
+  await t.settle();
+  assert.deepStrictEqual(t.state('div'), { query: 'ada', note: 'hi' });
+});
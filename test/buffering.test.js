@@ -0,0 +1,87 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var createRuntime = require('../ziw-test').createRuntime;
+
+var FORM_HTML =
+  '<form jscomponent="Signup" jssrc="./signup.js" jsload="interaction" jsbuffer="submit" jsaction="submit:save">' +
+    '<input name="email" value="a@example.com"><input type="checkbox" name="tags" value="x" checked>' +
+    '<input type="checkbox" name="tags" value="y" checked><button>Save</button></form>';
+
+function wait(ms) {
+  return new Promise(function (resolve) { setTimeout(resolve, ms); });
+}
+
+test('replayed handlers get a snapshot taken when the event was buffered', async function () {
+  var t = createRuntime();
+  var seen = [];
+  t.stub('./search.js', {
+    actions: {
+      search: { keydown: function (event, el, compEl, ctx) { seen.push([ctx.snapshot.key, ctx.snapshot.value, el.value]); } },
+    },
+  });
+  t.mount('<div jscomponent="Search" jssrc="./search.js" jsload="interaction"><input jsaction="keydown:search"></div>');
+
+  t.$('input').value = 'te';
+  t.dispatch('input', 'keydown', { key: 'a' });
+  t.$('input').value = 'tea';
+  t.resolveLoad();
+  await t.settle();
+  assert.deepStrictEqual(seen, [['a', 'te', 'tea']]);
+});
+
+test('the snapshot holds the values of the enclosing form', async function () {
+  var t = createRuntime();
+  var formData = null;
+  t.stub('./signup.js', { actions: { save: { submit: function (event, el, compEl, ctx) { formData = ctx.snapshot.formData; } } } });
+  t.mount(FORM_HTML);
+  var form = t.$('form');
+  form.submit = function () { throw new Error('should not submit natively'); };
+
+  t.dispatch('form', 'submit');
+  t.$('[name=email]').value = 'changed@example.com';
+  t.resolveLoad();
+  await t.settle();
+  assert.deepStrictEqual(formData, { email: 'a@example.com', tags: ['x', 'y'] });
+});
+
+test('a held-back submit falls back to a native submit if the script is too slow', async function () {
+  var t = createRuntime(null, { config: { bufferTimeout: 10 } });
+  var ran = 0;
+  t.stub('./signup.js', { actions: { save: { submit: function () { ran++; } } } });
+  t.mount(FORM_HTML);
+  var nativeSubmits = 0;
+  t.$('form').submit = function () { nativeSubmits++; };
+
+  var event = t.dispatch('form', 'submit');
+  assert.strictEqual(event.defaultPrevented, true);
+  await wait(20);
+  assert.strictEqual(nativeSubmits, 1);
+
+  // The script arriving afterwards doesn't run the handler a second time.
+  t.resolveLoad();
+  await t.settle();
+  assert.strictEqual(ran, 0);
+});
+
+test('a held-back submit is submitted natively when the script fails to load', async function () {
+  var t = createRuntime();
+  t.stub('./signup.js', { actions: { save: { submit: function () {} } } });
+  t.mount(FORM_HTML);
+  var nativeSubmits = 0;
+  t.$('form').submit = function () { nativeSubmits++; };
+
+  t.dispatch('form', 'submit');
+  t.failLoad();
+  await t.settle();
+  assert.strictEqual(nativeSubmits, 1);
+});
+
+test('events not listed in jsbuffer keep their default action while buffered', function () {
+  var t = createRuntime();
+  t.stub('./menu.js', { actions: { open: function () {} } });
+  t.mount('<nav jscomponent="Menu" jssrc="./menu.js" jsload="interaction"><a href="#more" jsaction="open">More</a></nav>');
+
+  assert.strictEqual(t.click('a').defaultPrevented, false);
+});
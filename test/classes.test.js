@@ -0,0 +1,46 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var createRuntime = require('../ziw-test').createRuntime;
+
+test('jsclass-<name> toggles one class and leaves the server\'s classes alone', async function () {
+  var t = createRuntime();
+  t.register('Tab', { state: { selected: true } });
+  t.mount('<div jscomponent="Tab"><li class="tab first" jsclass-is-active="selected">Home</li></div>');
+  assert.strictEqual(t.$('li').className, 'tab first is-active');
+
+  await t.get('div').setState({ selected: false });
+  assert.strictEqual(t.$('li').className, 'tab first');
+});
+
+test('jsclass takes a string, an array or an object map, removing what it added before', async function () {
+  var t = createRuntime();
+  t.register('Card', { state: { variant: 'big primary' } });
+  t.mount('<div jscomponent="Card"><section class="card" jsclass="variant"></section></div>');
+  var section = t.$('section');
+  assert.strictEqual(section.className, 'card big primary');
+
+  await t.get('div').setState({ variant: ['big', 'muted'] });
+  assert.strictEqual(section.className, 'card big muted');
+
+  await t.get('div').setState({ variant: { muted: false, wide: true } });
+  assert.strictEqual(section.className, 'card wide');
+
+  await t.get('div').setState({ variant: null });
+  assert.strictEqual(section.className, 'card');
+});
+
+test('jsstyle sets single properties, units and CSS variables next to inline styles', async function () {
+  var t = createRuntime();
+  t.register('Bar', { state: { progress: 40, hue: 120, color: 'red' } });
+  t.mount(
+    '<div jscomponent="Bar"><p style="margin: 0px" jsstyle-width.%="progress" jsstyle---hue="hue" ' +
+      'jsstyle-background-color="color"></p></div>'
+  );
+  var style = t.$('p').style;
+  assert.deepStrictEqual([style.margin, style.width, style.getPropertyValue('--hue'), style.backgroundColor], ['0px', '40%', '120', 'red']);
+
+  await t.get('div').setState({ progress: 75, hue: '', color: false });
+  assert.deepStrictEqual([style.margin, style.width, style.getPropertyValue('--hue'), style.backgroundColor], ['0px', '75%', '', '']);
+});
@@ -0,0 +1,82 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var createRuntime = require('../ziw-test').createRuntime;
+
+function todoList(runs) {
+  return {
+    state: { todos: [], filter: 'all' },
+    computed: {
+      remaining: function (state) {
+        runs.push('remaining');
+        return state.todos.filter(function (todo) { return !todo.done; }).length;
+      },
+      allDone: function (state) {
+        return state.todos.length > 0 && state.todos.every(function (todo) { return todo.done; });
+      },
+    },
+    actions: {
+      report: function (event, el, compEl, ctx) { el.value = String(ctx.computed.remaining); },
+    },
+  };
+}
+
+var TODOS_HTML =
+  '<div jscomponent="TodoList"><ul jsfor="todos">' +
+    '<li jskey="id" data-id="1"><input type="checkbox" jsbind="done"></li>' +
+    '<li jskey="id" data-id="2"><input type="checkbox" jsbind="done" checked></li>' +
+  '</ul><span jsdata="remaining">?</span><p jsif="allDone">All done!</p>' +
+  '<button jsattr-disabled="allDone" jsaction="report">Report</button></div>';
+
+test('computed values render in jsdata, jsif and jsattr and are in the handler context', async function () {
+  var t = createRuntime();
+  t.register('TodoList', todoList([]));
+  t.mount(TODOS_HTML);
+  assert.strictEqual(t.$('span').textContent, '1');
+  assert.strictEqual(t.document.querySelector('p'), null);
+  assert.strictEqual(t.$('button').disabled, false);
+
+  t.fire('report');
+  assert.strictEqual(t.$('button').value, '1');
+
+  await t.get('div').setState({ 'todos.0.done': true });
+  assert.strictEqual(t.$('span').textContent, '0');
+  assert.ok(t.$('p'));
+  assert.strictEqual(t.$('button').disabled, true);
+});
+
+test('a computed value only re-runs when a key it reads changes', async function () {
+  var t = createRuntime();
+  var runs = [];
+  t.register('TodoList', todoList(runs));
+  t.mount(TODOS_HTML);
+  runs.length = 0;
+
+  await t.get('div').setState({ filter: 'done' });
+  assert.deepStrictEqual(runs, []);
+  await t.get('div').setState({ 'todos.1.done': false });
+  assert.deepStrictEqual(runs, ['remaining']);
+  assert.strictEqual(t.$('span').textContent, '2');
+});
+
+test('computed values are not hydrated and are kept out of state', function () {
+  var t = createRuntime();
+  t.register('TodoList', todoList([]));
+  t.mount(TODOS_HTML);
+
+  assert.deepStrictEqual(Object.keys(t.state('div')).sort(), ['filter', 'todos']);
+  assert.strictEqual(t.inspect('div').computed.remaining, 1);
+});
+
+test('an exception in a computed function is reported with phase "computed"', function () {
+  var t = createRuntime();
+  t.register('Broken', {
+    state: { n: 1 },
+    computed: { bad: function () { throw new Error('boom'); } },
+  });
+  t.mount('<p jscomponent="Broken"><span jsdata="n">1</span></p>');
+
+  assert.deepStrictEqual(t.errors.map(function (info) { return [info.phase, info.component, info.error.message]; }),
+    [['computed', 'Broken', 'boom']]);
+});
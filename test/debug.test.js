@@ -0,0 +1,110 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var createRuntime = require('../ziw-test').createRuntime;
+
+/**
+ * Collect the messages of console.debug and console.warn (without the
+ * element logged with them) until the returned function is called.
+ */
+function captureConsole() {
+  var logs = { debug: [], warn: [] };
+  var original = { debug: console.debug, warn: console.warn };
+  console.debug = function (prefix, message) { logs.debug.push(message); };
+  console.warn = function (message) { logs.warn.push(message); };
+  return function () {
+    console.debug = original.debug;
+    console.warn = original.warn;
+    return logs;
+  };
+}
+
+test('debug mode traces where a dispatch went', async function () {
+  var t = createRuntime();
+  t.stub('./lazy.js', { state: {} });
+  t.register('Outer', { actions: { save: function () {} } });
+  t.register('Inner', { actions: { other: function () {} } });
+  var restore = captureConsole();
+  try {
+    t.Ziw.debug(true);
+    t.mount(
+      '<section jscomponent="Outer"><div jscomponent="Inner"><button id="save" jsaction="save">Save</button></div></section>' +
+      '<div jscomponent="Lazy" jssrc="./lazy.js" jsload="interaction"><button id="lazy" jsaction="open">Open</button></div>'
+    );
+    t.click('#save');
+    t.click('#lazy');
+  } finally {
+    var logs = restore();
+  }
+
+  assert.ok(logs.debug.indexOf('click: Inner has no action "save", bubbling past it') !== -1);
+  assert.ok(logs.debug.indexOf('click: "save" runs Outer.save') !== -1);
+  assert.ok(logs.debug.indexOf('click: Lazy is not loaded yet; "open" is buffered while ./lazy.js loads') !== -1);
+});
+
+test('debug mode warns once about missing keys, unknown strategies and duplicate registers', async function () {
+  var t = createRuntime();
+  var restore = captureConsole();
+  try {
+    t.Ziw.debug(true);
+    t.register('Card', { state: { title: '' } });
+    t.register('Card', { state: { title: '' } });
+    t.mount(
+      '<div jscomponent="Card"><b jsdata="titel"></b></div>' +
+      '<div jscomponent="Ghost"></div><div jscomponent="Slow" jssrc="./slow.js" jsload="whenever"></div>'
+    );
+    t.mount('<div jscomponent="Card"><b jsdata="titel"></b></div>');
+    await new Promise(function (resolve) { t.window.addEventListener('load', resolve, { once: true }); });
+  } finally {
+    var logs = restore();
+  }
+
+  assert.deepStrictEqual(logs.warn, [
+    '[Ziw] Card is registered more than once; the last definition replaces the others',
+    '[Ziw] Card: binding reads "titel", but "titel" is not in its state',
+    '[Ziw] Ghost is never registered: no script registers it and it has no jssrc or manifest entry',
+    '[Ziw] Slow: jsload="whenever" is not a load strategy (known: eager, interaction, visible, idle, hover, focus, media, after)',
+  ]);
+});
+
+test('scans before the page loads share one load listener for the debug audit', function () {
+  var t = createRuntime();
+  var listeners = 0;
+  var addEventListener = t.window.addEventListener;
+  t.window.addEventListener = function (type) {
+    if (type === 'load') listeners++;
+    return addEventListener.apply(this, arguments);
+  };
+  var restore = captureConsole();
+  try {
+    t.Ziw.debug(true);
+    t.mount('<div jscomponent="A"></div>');
+    t.mount('<div jscomponent="B"></div>');
+    t.Ziw.scan();
+  } finally {
+    restore();
+  }
+  assert.strictEqual(t.document.readyState, 'loading');
+  assert.strictEqual(listeners, 1);
+});
+
+test('Ziw.inspect shows state, prev and the component\'s bindings', async function () {
+  var t = createRuntime();
+  t.register('Todos', { state: { todos: [], open: true, label: '' } });
+  t.mount(
+    '<div jscomponent="Todos"><p jsif="open" jsattr-title="label">Open</p>' +
+      '<ul jsfor="todos"><li jskey="id" data-id="1" jsdata="text">Milk</li></ul></div>'
+  );
+  await t.get('div').setState({ open: false, label: 'Closed' });
+
+  var info = t.Ziw.inspect(t.$('ul'));
+  assert.strictEqual(info.component, 'Todos');
+  assert.strictEqual(info.registered, true);
+  assert.deepStrictEqual(info.state, { todos: [{ id: '1', text: 'Milk' }], open: false, label: 'Closed' });
+  assert.deepStrictEqual(info.prev.open, true);
+  assert.deepStrictEqual(info.ifs.map(function (b) { return [b.expression, b.visible]; }), [['open', false]]);
+  assert.deepStrictEqual(info.attrs.map(function (b) { return [b.attribute, b.expression, b.value]; }), [['jsattr-title', 'label', 'Closed']]);
+  assert.deepStrictEqual(info.fors[0].rows.map(function (row) { return [row.key, row.index, row.item.text]; }), [['1', 0, 'Milk']]);
+  assert.strictEqual(t.Ziw.inspect(t.document.body), null);
+});
@@ -0,0 +1,109 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var createRuntime = require('../ziw-test').createRuntime;
+
+var counter = {
+  state: { count: 0 },
+  actions: {
+    increment: function (event, el, compEl, ctx) { ctx.setState({ count: ctx.state.count + 1 }); },
+  },
+};
+
+var COUNTER_HTML =
+  '<section jscomponent="Counter" jssrc="./counter.js" jsload="interaction">' +
+    '<span jsdata="count">0</span><button jsaction="increment">+</button>' +
+    '<template jserror><p class="failed">Offline</p></template></section>';
+
+function phases(t) {
+  return t.errors.map(function (info) { return info.phase + ':' + (info.action || info.component); });
+}
+
+test('a failed load is retried with backoff, and buffered events survive the retry', async function () {
+  var t = createRuntime(null, { config: { loadRetries: 2, loadRetryDelay: 5 } });
+  t.stub('./counter.js', counter);
+  t.mount(COUNTER_HTML);
+
+  t.fire('increment');
+  t.failLoad('./counter.js');
+  await t.settle();
+  assert.deepStrictEqual(t.pendingLoads(), ['./counter.js'], 'asked again after the delay');
+  t.failLoad('./counter.js');
+  await t.settle();
+  t.resolveLoad('./counter.js');
+  await t.settle();
+
+  assert.strictEqual(t.$('span').textContent, '1');
+  assert.deepStrictEqual(t.errors, []);
+  assert.strictEqual(t.document.querySelector('.failed'), null);
+});
+
+test('when retries run out the buffered events are dropped, not replayed later', async function () {
+  var t = createRuntime(null, { config: { loadRetries: 1, loadRetryDelay: 5 } });
+  t.stub('./counter.js', counter);
+  t.mount(COUNTER_HTML);
+
+  t.fire('increment');
+  t.failLoad('./counter.js');
+  await t.settle();
+  t.failLoad('./counter.js');
+  await t.settle();
+  assert.deepStrictEqual(phases(t), ['load:Counter']);
+  assert.strictEqual(t.errors[0].src, './counter.js');
+  assert.ok(t.$('.failed'));
+
+  // Once Counter is registered after all, the next load's replay must not
+  // pick up the stranded click.
+  t.register('Counter', counter);
+  t.stub('./other.js', { state: {}, actions: { go: function () {} } }, { auto: true });
+  t.mount('<div jscomponent="Other" jssrc="./other.js" jsload="interaction"><button jsaction="go"></button></div>');
+  t.fire('go');
+  await t.settle();
+  assert.strictEqual(t.state('section').count, 0);
+});
+
+test('a script that loads without registering its component is reported', async function () {
+  var t = createRuntime();
+  t.stub('./counter.js', function () {}, { auto: true });
+  t.mount(COUNTER_HTML);
+
+  t.fire('increment');
+  await t.settle();
+  assert.deepStrictEqual(phases(t), ['load:Counter']);
+  assert.match(t.errors[0].error.message, /did not register Counter/);
+  assert.ok(t.$('.failed'));
+});
+
+test('a throwing handler is reported and later interactions still work', async function () {
+  var t = createRuntime();
+  t.register('Counter', Object.assign({}, counter, {
+    actions: Object.assign({ explode: function () { throw new Error('boom'); } }, counter.actions),
+  }));
+  t.mount(
+    '<section jscomponent="Counter"><span jsdata="count">0</span>' +
+      '<button id="explode" jsaction="explode">!</button><button id="add" jsaction="increment">+</button></section>'
+  );
+
+  t.click('#explode');
+  t.click('#add');
+  await t.settle();
+  assert.deepStrictEqual(phases(t), ['action:explode']);
+  assert.strictEqual(t.errors[0].component, 'Counter');
+  assert.strictEqual(t.errors[0].element, t.$('section'));
+  assert.strictEqual(t.$('span').textContent, '1');
+});
+
+test('exceptions in init and update hooks are reported with their phase', async function () {
+  var t = createRuntime();
+  t.register('Fragile', {
+    state: { n: 0 },
+    init: function () { throw new Error('init failed'); },
+    update: function () { throw new Error('update failed'); },
+  });
+  t.mount('<p jscomponent="Fragile"><b jsdata="n">0</b></p>');
+
+  await t.get('p').setState({ n: 1 });
+  assert.deepStrictEqual(phases(t), ['init:Fragile', 'update:Fragile']);
+  assert.strictEqual(t.$('b').textContent, '1', 'the render happened before the hook threw');
+});
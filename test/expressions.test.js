@@ -0,0 +1,123 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var JSDOM = require('jsdom').JSDOM;
+var fs = require('fs');
+var path = require('path');
+var ZiwExpr = require('../ziw-expr');
+var server = require('../ziw-server');
+var createRuntime = require('../ziw-test').createRuntime;
+
+var STATE = {
+  count: 3, price: 4.5, name: 'ada', user: null,
+  todos: [{ text: 'Milk', done: true }, { text: 'Eggs', done: false }],
+  tags: ['a', 'b'], i: 1,
+};
+
+var EXPRESSIONS = [
+  'count', 'count * price', 'count > 2 ? "many" : "few"', '!todos.0.done', 'user.name ?? "guest"',
+  'todos[i].text', 'tags.length + 1', '"#{count}: {name | upper}"', 'count | plural:"item"',
+  'name | default:"anonymous" | upper', 'todos | json', '(count + 1) % 3 === 1',
+];
+
+test('the browser runtime and the server render every expression alike', async function () {
+  var markup = '<div jscomponent="Test">' + EXPRESSIONS.map(function (expr) {
+    return '<span jsdata="' + expr.replace(/"/g, '&quot;') + '"></span>';
+  }).join('') + '</div>';
+
+  var t = createRuntime();
+  t.register('Test', { state: STATE });
+  t.mount(markup);
+  // The empty spans hydrate into state on mount; render from STATE again.
+  t.get('div').setState(STATE);
+  await t.settle();
+  var client = Array.from(t.document.querySelectorAll('span'), function (el) { return el.textContent; });
+
+  var dom = new JSDOM(server.renderToString(markup, STATE));
+  var rendered = Array.from(dom.window.document.querySelectorAll('span'), function (el) { return el.textContent; });
+
+  assert.deepStrictEqual(rendered, client);
+  assert.deepStrictEqual(client.slice(0, 4), ['3', '13.5', 'many', 'false']);
+  assert.strictEqual(t.errors.length, 0);
+});
+
+test('compiled expressions and templates list the paths they read', function () {
+  var expressions = ZiwExpr.create();
+  assert.deepStrictEqual(expressions.compileExpression('a.b + c[d] | number:e').deps, ['a.b', 'c', 'd', 'e']);
+  assert.deepStrictEqual(expressions.compileTemplate('Hi {user.name}, {count | plural:"item"}').deps, ['user.name', 'count']);
+  assert.strictEqual(expressions.compileExpression('user.name').path, 'user.name');
+  assert.strictEqual(expressions.compileExpression('user.name | upper').path, null);
+});
+
+test('syntax errors are reported once and evaluate to undefined', function () {
+  var reported = [];
+  var expressions = ZiwExpr.create({ onError: function (error, info) { reported.push([error.name, info]); } });
+
+  var compiled = expressions.compileExpression('count +');
+  assert.strictEqual(expressions.evaluate(compiled, { count: 1 }), undefined);
+  expressions.compileExpression('count +');
+  assert.strictEqual(expressions.evaluate(expressions.compileTemplate('a {b'), {}), '');
+  assert.deepStrictEqual(reported, [
+    ['SyntaxError', { phase: 'binding', expression: 'count +' }],
+    ['SyntaxError', { phase: 'binding', expression: 'a {b' }],
+  ]);
+});
+
+test('evaluation errors pass the caller\'s context to onError', function () {
+  var seen = [];
+  var expressions = ZiwExpr.create({ onError: function (error, info, context) { seen.push([error.message, info.expression, context]); } });
+
+  assert.strictEqual(expressions.evaluate(expressions.compileExpression('x | nope'), { x: 1 }, 'ctx'), undefined);
+  assert.deepStrictEqual(seen, [['Unknown formatter "nope"', 'x | nope', 'ctx']]);
+});
+
+test('without onError, errors throw', function () {
+  assert.throws(function () { ZiwExpr.create().compileExpression('('); }, SyntaxError);
+});
+
+test('each instance has its own formatters', function () {
+  var a = ZiwExpr.create();
+  var b = ZiwExpr.create({ onError: function () {} });
+  a.formatter('shout', function (value) { return value + '!'; });
+
+  assert.strictEqual(a.evaluate(a.compileExpression('"hi" | shout'), {}), 'hi!');
+  assert.strictEqual(b.evaluate(b.compileExpression('"hi" | shout'), {}), undefined);
+});
+
+test('the server reports binding errors like the browser and renders them empty', function () {
+  var seen = [];
+  var off = server.onError(function (info) { seen.push([info.phase, info.expression]); });
+  try {
+    var html = server.renderToString('<p jscomponent="T"><b jsdata="count |"></b><i jsdata="count | nope"></i></p>', { count: 1 });
+    assert.strictEqual(html, '<p jscomponent="T"><b jsdata="count |"></b><i jsdata="count | nope"></i></p>');
+    assert.deepStrictEqual(seen, [['binding', 'count |'], ['binding', 'count | nope']]);
+  } finally {
+    off();
+  }
+});
+
+test('a server onError listener that throws fails the render', function () {
+  var off = server.onError(function (info) { throw info.error; });
+  try {
+    assert.throws(function () { server.renderToString('<p><b jsdata="x | missing"></b></p>', { x: 1 }); }, /Unknown formatter/);
+  } finally {
+    off();
+  }
+});
+
+test('ziw.js runs on its own, as the only script on a page', function () {
+  var dom = new JSDOM(
+    '<!DOCTYPE html><p jscomponent="Hello"><span jsdata="name | upper">ADA</span></p>',
+    { runScripts: 'outside-only', url: 'http://localhost/' }
+  );
+  dom.window.eval(fs.readFileSync(path.join(__dirname, '..', 'ziw.js'), 'utf8'));
+  dom.window.Ziw.register('Hello', { state: { name: 'ada' } });
+  dom.window.Ziw.get(dom.window.document.querySelector('p')).setState({ name: 'grace' });
+
+  return dom.window.Ziw.nextTick().then(function () {
+    assert.strictEqual(dom.window.document.querySelector('span').textContent, 'GRACE');
+    assert.strictEqual(dom.window.ZiwExpr, undefined);
+    assert.deepStrictEqual(Object.getOwnPropertyNames(dom.window.Ziw).filter(function (name) { return name[0] === '_'; }), []);
+  });
+});
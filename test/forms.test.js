@@ -0,0 +1,118 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var createRuntime = require('../ziw-test').createRuntime;
+
+test('$dirty follows a text field back to its initial value', async function () {
+  var t = createRuntime();
+  t.register('Profile', { state: { name: '' } });
+  t.mount('<form jscomponent="Profile"><input jsbind="name" value="Ada"><i jsif="$dirty.name">*</i></form>');
+
+  t.input('input', 'Bob');
+  await t.settle();
+  assert.ok(t.document.querySelector('i'));
+  t.input('input', 'Ada');
+  await t.settle();
+  assert.strictEqual(t.document.querySelector('i'), null);
+});
+
+test('$dirty compares checkbox groups by the selected values, in any order', async function () {
+  var t = createRuntime();
+  t.register('Toppings', { state: { picks: [] } });
+  t.mount(
+    '<form jscomponent="Toppings">' +
+      '<input type="checkbox" id="a" value="a" jsbind="picks" checked>' +
+      '<input type="checkbox" id="b" value="b" jsbind="picks">' +
+      '<input type="checkbox" id="c" value="c" jsbind="picks" checked>' +
+      '<i jsif="$form.dirty">*</i>' +
+    '</form>'
+  );
+
+  t.input('#a', false);
+  await t.settle();
+  assert.deepStrictEqual(t.state('form').picks, ['c']);
+  assert.ok(t.document.querySelector('i'));
+
+  t.input('#a', true);
+  await t.settle();
+  assert.deepStrictEqual(t.state('form').picks, ['c', 'a']);
+  assert.strictEqual(t.document.querySelector('i'), null);
+});
+
+test('$dirty compares multi-selects by the selected values', async function () {
+  var t = createRuntime();
+  t.register('Filters', { state: { tags: [] } });
+  t.mount(
+    '<form jscomponent="Filters"><select multiple jsbind="tags">' +
+      '<option selected>x</option><option>y</option></select><i jsif="$dirty.tags">*</i></form>'
+  );
+  var options = t.$('select').options;
+
+  options[1].selected = true;
+  t.dispatch('select', 'change');
+  await t.settle();
+  assert.ok(t.document.querySelector('i'));
+
+  options[1].selected = false;
+  t.dispatch('select', 'change');
+  await t.settle();
+  assert.strictEqual(t.document.querySelector('i'), null);
+});
+
+test('ctx.validate() reports validity at once and renders with the action\'s batch', async function () {
+  var t = createRuntime();
+  var valid = [];
+  t.register('Signup', {
+    state: { email: '', note: '' },
+    validate: { email: function (value) { return value ? null : 'Required'; } },
+    actions: {
+      check: function (event, el, compEl, ctx) {
+        valid.push(ctx.validate());
+        ctx.setState({ note: 'checked' });
+      },
+    },
+  });
+  t.mount(
+    '<form jscomponent="Signup"><input jsbind="email">' +
+      '<b jsdata="$errors.email"></b><i jsdata="note"></i><button type="button" jsaction="check">Check</button></form>'
+  );
+
+  t.click('button');
+  assert.deepStrictEqual(valid, [false]);
+  assert.strictEqual(t.$('b').textContent, '');
+  await t.settle();
+  assert.strictEqual(t.$('b').textContent, 'Required');
+  assert.strictEqual(t.$('i').textContent, 'checked');
+});
+
+test('jssubmit exposes the request\'s progress and outcome through $form, batched', async function () {
+  var t = createRuntime();
+  var requests = [];
+  t.window.fetch = function (url, init) {
+    return new Promise(function (resolve) { requests.push({ url: url, init: init, resolve: resolve }); });
+  };
+  t.register('Contact', { state: { message: '' } });
+  t.mount(
+    '<form jscomponent="Contact" jssubmit="/api/contact"><input jsbind="message" value="Hi">' +
+      '<button jsattr-disabled="$form.submitting">Send</button><p jsdata="$form.status"></p><output jsdata="$form.response.id"></output></form>'
+  );
+
+  t.dispatch('form', 'submit');
+  assert.strictEqual(requests.length, 1);
+  assert.deepStrictEqual(JSON.parse(requests[0].init.body), { message: 'Hi' });
+  assert.strictEqual(t.$('button').disabled, false);
+  await t.settle();
+  assert.strictEqual(t.$('button').disabled, true);
+
+  requests[0].resolve({
+    ok: true,
+    status: 201,
+    headers: { get: function () { return 'application/json'; } },
+    json: function () { return Promise.resolve({ id: 7 }); },
+  });
+  await t.settle();
+  assert.strictEqual(t.$('button').disabled, false);
+  assert.strictEqual(t.$('p').textContent, '201');
+  assert.strictEqual(t.$('output').textContent, '7');
+});
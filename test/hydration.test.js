@@ -0,0 +1,145 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var createRuntime = require('../ziw-test').createRuntime;
+
+test('jsdata hydrates state keys to the type of their initial value', function () {
+  var t = createRuntime();
+  t.register('Profile', { state: { name: '', age: 0, admin: false, address: { city: '' } } });
+  t.mount(
+    '<section jscomponent="Profile">' +
+      '<b jsdata="name">Ada</b> <i jsdata="age">36</i> <em jsdata="admin">true</em>' +
+      '<span jsdata="address.city">London</span>' +
+    '</section>'
+  );
+
+  assert.deepStrictEqual(t.state('section'), { name: 'Ada', age: 36, admin: true, address: { city: 'London' } });
+  assert.strictEqual(t.$('b').textContent, 'Ada');
+});
+
+test('jsdata leaves keys the state does not declare to the HTML', function () {
+  var t = createRuntime();
+  t.register('Greeting', { state: { name: 'x' } });
+  t.mount('<p jscomponent="Greeting"><b jsdata="name">Ada</b> <i jsdata="title">Dr</i></p>');
+
+  assert.deepStrictEqual(t.state('p'), { name: 'Ada' });
+  assert.strictEqual(t.$('i').textContent, 'Dr');
+});
+
+test('jsif hydrates "key" and "!key" conditions from what the server rendered', function () {
+  var t = createRuntime();
+  t.register('Panel', { state: { open: false, loading: true } });
+  t.mount(
+    '<div jscomponent="Panel">' +
+      '<p jsif="open">Details</p>' +
+      '<template jsif="!loading"><p class="ready">Ready</p></template>' +
+    '</div>'
+  );
+
+  assert.deepStrictEqual(t.state('div'), { open: true, loading: true });
+  assert.ok(t.$('p'));
+  assert.strictEqual(t.document.querySelector('.ready'), null);
+});
+
+test('jsif inserts and removes its element on setState', async function () {
+  var t = createRuntime();
+  t.register('Panel', { state: { open: true } });
+  t.mount('<div jscomponent="Panel"><p jsif="open">Details</p></div>');
+
+  await t.get('div').setState({ open: false });
+  assert.strictEqual(t.document.querySelector('p'), null);
+  await t.get('div').setState({ open: true });
+  assert.strictEqual(t.document.querySelector('p').textContent, 'Details');
+});
+
+test('jsfor hydrates rows into items, with jskey fields from data-<field>', function () {
+  var t = createRuntime();
+  t.register('Todos', { state: { todos: [] } });
+  t.mount(
+    '<div jscomponent="Todos"><ul jsfor="todos">' +
+      '<li jskey="id" data-id="a"><span jsdata="text">Milk</span><b jsif="done">✓</b></li>' +
+      '<li data-id="b"><span jsdata="text">Eggs</span><template jsif="done"><b>✓</b></template></li>' +
+    '</ul></div>'
+  );
+
+  assert.deepStrictEqual(t.state('div').todos, [
+    { text: 'Milk', done: true, id: 'a' },
+    { text: 'Eggs', done: false, id: 'b' },
+  ]);
+});
+
+test('jsfor hydrates primitive items from row text', function () {
+  var t = createRuntime();
+  t.register('Tags', { state: { tags: [] } });
+  t.mount('<div jscomponent="Tags"><ul jsfor="tags"><li>red</li><li>blue</li></ul></div>');
+
+  assert.deepStrictEqual(t.state('div').tags, ['red', 'blue']);
+});
+
+test('jsfor reuses hydrated rows and renders new items from the template', async function () {
+  var t = createRuntime();
+  t.register('Todos', { state: { todos: [] } });
+  t.mount(
+    '<div jscomponent="Todos"><ul jsfor="todos">' +
+      '<li jskey="id" data-id="a"><span jsdata="text">Milk</span></li>' +
+    '</ul></div>'
+  );
+  var first = t.$('li');
+
+  var todos = t.state('div').todos.concat({ id: 'b', text: 'Eggs' });
+  await t.get('div').setState({ todos: todos });
+
+  var rows = t.document.querySelectorAll('li');
+  assert.strictEqual(rows.length, 2);
+  assert.strictEqual(rows[0], first);
+  assert.strictEqual(rows[1].textContent, 'Eggs');
+});
+
+test('jsbind hydrates text, number, checkbox, radio and select fields', function () {
+  var t = createRuntime();
+  t.register('Settings', { state: { name: '', size: 0, agree: false, color: '', tags: [] } });
+  t.mount(
+    '<form jscomponent="Settings">' +
+      '<input jsbind="name" value="Ada">' +
+      '<input type="number" jsbind="size" value="12">' +
+      '<input type="checkbox" jsbind="agree" checked>' +
+      '<input type="radio" name="c" value="red" jsbind="color">' +
+      '<input type="radio" name="c" value="blue" jsbind="color" checked>' +
+      '<select multiple jsbind="tags"><option selected>a</option><option>b</option><option selected>c</option></select>' +
+    '</form>'
+  );
+
+  assert.deepStrictEqual(t.state('form'), { name: 'Ada', size: 12, agree: true, color: 'blue', tags: ['a', 'c'] });
+});
+
+test('jsbind writes input back to state', async function () {
+  var t = createRuntime();
+  t.register('Search', { state: { query: '' } });
+  t.mount('<div jscomponent="Search"><input jsbind="query"><span jsdata="query"></span></div>');
+
+  t.input('input', 'ziw');
+  await t.settle();
+  assert.strictEqual(t.state('div').query, 'ziw');
+  assert.strictEqual(t.$('span').textContent, 'ziw');
+});
+
+test('jsattr, jsclass and jsstyle render from state without hydrating it', async function () {
+  var t = createRuntime();
+  t.register('Link', { state: { href: '/a', active: false, width: 10 } });
+  t.mount(
+    '<div jscomponent="Link">' +
+      '<a href="/server" jsattr-href="href" class="link" jsclass-active="active" jsstyle-width.px="width">x</a>' +
+    '</div>'
+  );
+  var a = t.$('a');
+  assert.deepStrictEqual(t.state('div'), { href: '/a', active: false, width: 10 });
+  assert.strictEqual(a.getAttribute('href'), '/a');
+  assert.strictEqual(a.className, 'link');
+  assert.strictEqual(a.style.width, '10px');
+
+  await t.get('div').setState({ href: null, active: true, width: 20 });
+  assert.strictEqual(a.hasAttribute('href'), false);
+  assert.strictEqual(a.className, 'link active');
+  assert.strictEqual(a.style.width, '20px');
+});
@@ -0,0 +1,100 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var createRuntime = require('../ziw-test').createRuntime;
+
+function mountTodos(t, def) {
+  t.register('Todos', def || { state: { todos: [] } });
+  t.mount(
+    '<div jscomponent="Todos"><ul jsfor="todos">' +
+      '<li jskey="id" data-id="1"><input jsbind="text" value="Milk"></li>' +
+      '<li jskey="id" data-id="2"><input jsbind="text" value="Eggs"></li>' +
+      '<li jskey="id" data-id="3"><input jsbind="text" value="Tea"></li>' +
+    '</ul></div>'
+  );
+  return Array.from(t.document.querySelectorAll('li'));
+}
+
+function texts(t) {
+  return Array.from(t.document.querySelectorAll('li input'), function (input) { return input.value; });
+}
+
+test('keyed rows are moved, not re-created, when the list is reordered', async function () {
+  var t = createRuntime();
+  var rows = mountTodos(t);
+  var todos = t.state('div').todos;
+  rows[0].querySelector('input').focus();
+
+  await t.get('div').setState({ todos: [todos[2], todos[0], todos[1]] });
+  var after = Array.from(t.document.querySelectorAll('li'));
+  assert.deepStrictEqual(after, [rows[2], rows[0], rows[1]]);
+  assert.deepStrictEqual(texts(t), ['Tea', 'Milk', 'Eggs']);
+  // Only the row that had to move was touched, so focus stays where it was.
+  assert.strictEqual(t.document.activeElement, rows[0].querySelector('input'));
+});
+
+test('appending or removing an item leaves the other rows alone', async function () {
+  var t = createRuntime();
+  var rows = mountTodos(t);
+  var todos = t.state('div').todos;
+  var touched = [];
+  new t.window.MutationObserver(function (records) {
+    records.forEach(function (record) { if (record.target !== t.$('ul')) touched.push(record.target); });
+  }).observe(t.$('ul'), { subtree: true, childList: true, attributes: true, characterData: true });
+
+  await t.get('div').setState({ todos: todos.concat({ id: 4, text: 'Jam' }) });
+  assert.deepStrictEqual(Array.from(t.document.querySelectorAll('li')).slice(0, 3), rows);
+  assert.deepStrictEqual(texts(t), ['Milk', 'Eggs', 'Tea', 'Jam']);
+  assert.strictEqual(t.$('li:last-child').getAttribute('data-id'), '4');
+
+  await t.get('div').setState({ todos: t.state('div').todos.filter(function (todo) { return todo.id !== '2'; }) });
+  assert.deepStrictEqual(Array.from(t.document.querySelectorAll('li')).slice(0, 2), [rows[0], rows[2]]);
+  assert.deepStrictEqual(texts(t), ['Milk', 'Tea', 'Jam']);
+  await new Promise(function (resolve) { setTimeout(resolve, 0); });
+  assert.deepStrictEqual(touched, [], 'only the list itself changed');
+});
+
+test('a changed item re-renders only its own row', async function () {
+  var t = createRuntime();
+  var rows = mountTodos(t);
+  var todos = t.state('div').todos;
+  rows[0].querySelector('input').value = 'typed, not synced';
+
+  await t.get('div').setState({ todos: [todos[0], { id: 2, text: 'Bread' }, todos[2]] });
+  assert.deepStrictEqual(Array.from(t.document.querySelectorAll('li')), rows);
+  assert.deepStrictEqual(texts(t), ['typed, not synced', 'Bread', 'Tea']);
+});
+
+test('components inside keyed rows keep their state when the rows move', async function () {
+  var t = createRuntime();
+  t.register('Counter', { state: { count: 0 } });
+  t.register('Board', { state: { cards: [] } });
+  t.mount(
+    '<div id="board" jscomponent="Board"><ul jsfor="cards">' +
+      '<li jskey="id" data-id="a"><p jscomponent="Counter"><b jsdata="count">1</b></p></li>' +
+      '<li jskey="id" data-id="b"><p jscomponent="Counter"><b jsdata="count">2</b></p></li>' +
+    '</ul></div>'
+  );
+  var a = t.document.querySelector('[data-id="a"] p');
+  await t.get(a).setState({ count: 5 });
+
+  var cards = t.state('#board').cards;
+  await t.get('#board').setState({ cards: [cards[1], cards[0]] });
+  assert.strictEqual(t.document.querySelector('li:last-child p'), a);
+  assert.strictEqual(t.state(a).count, 5);
+  assert.strictEqual(a.textContent, '5');
+});
+
+test('rows without jskey are matched by item identity', async function () {
+  var t = createRuntime();
+  t.register('Tags', { state: { tags: [] } });
+  t.mount('<div jscomponent="Tags"><ul jsfor="tags"><li>red</li><li>blue</li></ul></div>');
+  var rows = Array.from(t.document.querySelectorAll('li'));
+
+  await t.get('div').setState({ tags: ['green', 'blue', 'red'] });
+  var after = Array.from(t.document.querySelectorAll('li'));
+  assert.deepStrictEqual(after.map(function (li) { return li.textContent; }), ['green', 'blue', 'red']);
+  assert.strictEqual(after[1], rows[1]);
+  assert.strictEqual(after[2], rows[0]);
+});
@@ -0,0 +1,247 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var createRuntime = require('../ziw-test').createRuntime;
+
+var counter = {
+  state: { count: 0 },
+  actions: {
+    increment: function (event, el, compEl, ctx) {
+      ctx.setState({ count: ctx.state.count + 1 });
+    },
+  },
+};
+
+function counterHtml(load) {
+  return '<section jscomponent="Counter" jssrc="./counter.js" jsload="' + load + '">' +
+    '<span jsdata="count">5</span><button jsaction="increment">+</button></section>';
+}
+
+test('jsload="eager" loads on scan', async function () {
+  var t = createRuntime();
+  t.stub('./counter.js', counter);
+  t.mount(counterHtml('eager'));
+  assert.deepStrictEqual(t.pendingLoads(), ['./counter.js']);
+
+  t.resolveLoad('./counter.js');
+  await t.settle();
+  assert.deepStrictEqual(t.state('section'), { count: 5 });
+});
+
+test('jsload="interaction" waits for an event, then buffers and replays it', async function () {
+  var t = createRuntime();
+  t.stub('./counter.js', counter);
+  t.mount(counterHtml('interaction'));
+  assert.deepStrictEqual(t.pendingLoads(), []);
+
+  t.fire('increment');
+  assert.deepStrictEqual(t.pendingLoads(), ['./counter.js']);
+  assert.strictEqual(t.$('span').textContent, '5');
+
+  t.resolveLoad('./counter.js');
+  await t.settle();
+  assert.strictEqual(t.state('section').count, 6);
+  assert.strictEqual(t.$('span').textContent, '6');
+});
+
+test('events buffered while loading are replayed in order', async function () {
+  var t = createRuntime();
+  var seen = [];
+  t.stub('./log.js', {
+    state: {},
+    actions: {
+      log: function (event, el) { seen.push(el.textContent); },
+    },
+  });
+  t.mount(
+    '<div jscomponent="Log" jssrc="./log.js" jsload="interaction">' +
+      '<button id="a" jsaction="log">a</button><button id="b" jsaction="log">b</button>' +
+    '</div>'
+  );
+
+  t.click('#a');
+  t.click('#b');
+  t.click('#a');
+  assert.deepStrictEqual(seen, []);
+  t.resolveLoad();
+  await t.settle();
+  assert.deepStrictEqual(seen, ['a', 'b', 'a']);
+});
+
+test('a classic-script stub registers through Ziw.register', async function () {
+  var t = createRuntime();
+  t.stub('./counter.js', function (Ziw) { Ziw.register('Counter', counter); });
+  t.mount(counterHtml('interaction'));
+
+  t.fire('increment');
+  t.resolveLoad();
+  await t.settle();
+  assert.strictEqual(t.state('section').count, 6);
+});
+
+test('jsload="visible" loads once the element is revealed', async function () {
+  var t = createRuntime();
+  t.stub('./counter.js', counter, { auto: true });
+  t.mount(counterHtml('visible'));
+  await t.settle();
+  assert.strictEqual(t.get('section'), null);
+
+  t.reveal('section');
+  await t.settle();
+  assert.deepStrictEqual(t.state('section'), { count: 5 });
+});
+
+test('jsload="idle" loads from an idle callback', async function () {
+  var t = createRuntime();
+  t.stub('./counter.js', counter, { auto: true });
+  t.mount(counterHtml('idle'));
+  await t.settle();
+  assert.strictEqual(t.get('section'), null);
+
+  t.idle();
+  await t.settle();
+  assert.deepStrictEqual(t.state('section'), { count: 5 });
+});
+
+test('jsload="after:Name" chains loads, and settle() waits for the whole chain', async function () {
+  var t = createRuntime();
+  t.stub('./first.js', { state: { ready: false } }, { auto: true });
+  t.stub('./counter.js', counter, { auto: true });
+  t.mount(
+    '<div jscomponent="First" jssrc="./first.js" jsload="eager"></div>' +
+    counterHtml('after:First')
+  );
+
+  await t.settle();
+  assert.deepStrictEqual(t.state('section'), { count: 5 });
+});
+
+test('a failed load shows <template jserror> and is reported', async function () {
+  var t = createRuntime();
+  t.stub('./counter.js', counter);
+  t.mount(
+    '<section jscomponent="Counter" jssrc="./counter.js" jsload="interaction">' +
+      '<button jsaction="increment">+</button><template jserror><p class="failed">Offline</p></template>' +
+    '</section>'
+  );
+
+  t.fire('increment');
+  t.failLoad('./counter.js');
+  await t.settle();
+  assert.ok(t.$('.failed'));
+  assert.strictEqual(t.errors.length, 1);
+  assert.strictEqual(t.errors[0].phase, 'load');
+  assert.strictEqual(t.errors[0].component, 'Counter');
+});
+
+test('jsbuffer holds back the default of a buffered submit until replay', async function () {
+  var t = createRuntime();
+  var submitted = [];
+  t.stub('./form.js', {
+    actions: {
+      save: { submit: function (event, el, compEl, ctx) { submitted.push(ctx && ctx.snapshot !== undefined); } },
+    },
+  });
+  t.mount(
+    '<form jscomponent="Form" jssrc="./form.js" jsload="interaction" jsbuffer="submit" jsaction="submit:save">' +
+      '<button>Save</button></form>'
+  );
+
+  var event = t.dispatch('form', 'submit');
+  assert.strictEqual(event.defaultPrevented, true);
+  t.resolveLoad();
+  await t.settle();
+  assert.deepStrictEqual(submitted, [true]);
+});
+
+test('fire() satisfies the key and system-key modifiers of the jsaction it picks', async function () {
+  var t = createRuntime();
+  var keys = [];
+  t.register('Editor', {
+    actions: {
+      save: function (event) { keys.push(event.key + (event.ctrlKey ? '+ctrl' : '')); },
+    },
+  });
+  t.mount('<div jscomponent="Editor"><textarea jsaction="input:other; keydown.ctrl.enter:save"></textarea></div>');
+
+  t.fire('save');
+  assert.deepStrictEqual(keys, ['enter+ctrl']);
+});
+
+test('jsload="hover" and jsload="focus" start the load on intent, before any action', async function () {
+  var t = createRuntime();
+  t.stub('./counter.js', counter);
+  t.stub('./search.js', { state: {} });
+  t.mount(counterHtml('hover') + '<form jscomponent="Search" jssrc="./search.js" jsload="focus"><input></form>');
+  assert.deepStrictEqual(t.pendingLoads(), []);
+
+  t.dispatch('section', 'pointerenter', { bubbles: false });
+  t.dispatch('input', 'focusin');
+  assert.deepStrictEqual(t.pendingLoads(), ['./counter.js', './search.js']);
+  t.dispatch('section', 'pointerenter', { bubbles: false });
+  assert.deepStrictEqual(t.pendingLoads(), ['./counter.js', './search.js']);
+});
+
+test('jsload="hover" still loads on a click that came without a hover', async function () {
+  var t = createRuntime();
+  t.stub('./counter.js', counter, { auto: true });
+  t.mount(counterHtml('hover'));
+
+  t.fire('increment');
+  await t.settle();
+  assert.strictEqual(t.state('section').count, 6);
+});
+
+test('jsload="media:…" loads once the query matches', async function () {
+  var t = createRuntime();
+  var queries = [];
+  t.window.matchMedia = function (query) {
+    var mql = { query: query, matches: false, listeners: [] };
+    mql.addEventListener = function (type, fn) { mql.listeners.push(fn); };
+    mql.removeEventListener = function (type, fn) { mql.listeners.splice(mql.listeners.indexOf(fn), 1); };
+    queries.push(mql);
+    return mql;
+  };
+  t.stub('./counter.js', counter);
+  t.mount(counterHtml('media:(min-width: 800px)'));
+  assert.strictEqual(queries[0].query, '(min-width: 800px)');
+  assert.deepStrictEqual(t.pendingLoads(), []);
+
+  queries[0].listeners[0]({ matches: true });
+  assert.deepStrictEqual(t.pendingLoads(), ['./counter.js']);
+  assert.deepStrictEqual(queries[0].listeners, []);
+});
+
+test('Ziw.defineLoadStrategy adds a strategy that gets its argument and is cleaned up', async function () {
+  var t = createRuntime();
+  var calls = [];
+  var load;
+  t.Ziw.defineLoadStrategy('later', function (el, start, arg) {
+    calls.push(['schedule', el.getAttribute('jscomponent'), arg]);
+    load = start;
+    return function () { calls.push(['cleanup']); };
+  });
+  t.stub('./counter.js', counter, { auto: true });
+  t.mount(counterHtml('later:5s'));
+  assert.deepStrictEqual(calls, [['schedule', 'Counter', '5s']]);
+  assert.deepStrictEqual(t.pendingLoads(), []);
+
+  load();
+  load();
+  await t.settle();
+  assert.deepStrictEqual(calls, [['schedule', 'Counter', '5s'], ['cleanup']]);
+  assert.deepStrictEqual(t.state('section'), { count: 5 });
+});
+
+test('an unknown jsload strategy is reported and nothing loads', async function () {
+  var t = createRuntime();
+  t.stub('./counter.js', counter);
+  t.mount(counterHtml('whenever'));
+
+  assert.deepStrictEqual(t.pendingLoads(), []);
+  assert.strictEqual(t.errors.length, 1);
+  assert.strictEqual(t.errors[0].phase, 'load');
+  assert.strictEqual(t.errors[0].component, 'Counter');
+  assert.match(t.errors[0].error.message, /Unknown jsload strategy "whenever"/);
+});
@@ -0,0 +1,78 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var createRuntime = require('../ziw-test').createRuntime;
+
+var counter = {
+  state: { count: 0 },
+  actions: {
+    increment: function (event, el, compEl, ctx) {
+      ctx.setState({ count: ctx.state.count + 1 });
+    },
+  },
+};
+
+var counterHtml = '<section jscomponent="Counter"><span jsdata="count">1</span><button jsaction="increment">+</button></section>';
+
+test('Ziw.config({ components }) loads instances that have no jssrc', async function () {
+  var t = createRuntime(null, { config: { components: { Counter: { src: './counter.js', load: 'interaction' } } } });
+  t.stub('./counter.js', counter);
+  t.mount(counterHtml + counterHtml);
+  assert.deepStrictEqual(t.pendingLoads(), []);
+
+  t.click('button');
+  assert.deepStrictEqual(t.pendingLoads(), ['./counter.js']);
+  t.resolveLoad();
+  await t.settle();
+  var sections = t.document.querySelectorAll('section');
+  assert.strictEqual(t.state(sections[0]).count, 2);
+  assert.strictEqual(t.state(sections[1]).count, 1);
+});
+
+test('attributes on the element win over its manifest entry', async function () {
+  var t = createRuntime(null, { config: { components: { Counter: './counter.js' } } });
+  t.stub('./counter.js', counter);
+  t.stub('./other.js', counter);
+  t.mount('<section jscomponent="Counter" jssrc="./other.js" jsload="interaction"></section>');
+  assert.deepStrictEqual(t.pendingLoads(), []);
+
+  t.mount(counterHtml);
+  assert.deepStrictEqual(t.pendingLoads(), ['./counter.js']);
+});
+
+test('a jsmanifest block loads dependencies first, with preload hints for the whole chain', async function () {
+  var t = createRuntime();
+  t.stub('./nested.js', function (Ziw) { Ziw.register('InnerWidget', { state: { ready: true } }); });
+  t.stub('./outer.mjs', { state: {} });
+  t.mount(
+    '<script type="application/json" jsmanifest>' +
+      '{ "Outer": { "src": "./outer.mjs", "deps": ["InnerWidget"] }, "InnerWidget": "./nested.js" }' +
+    '</script>' +
+    '<div jscomponent="Outer"><p jscomponent="InnerWidget"></p></div>'
+  );
+
+  var hints = Array.from(t.document.head.querySelectorAll('link'), function (link) {
+    return [link.rel, link.getAttribute('href'), link.as || null];
+  });
+  assert.deepStrictEqual(hints, [['modulepreload', './outer.mjs', null], ['preload', './nested.js', 'script']]);
+  assert.deepStrictEqual(t.pendingLoads(), ['./nested.js']);
+
+  t.resolveLoad('./nested.js');
+  await t.settle();
+  assert.deepStrictEqual(t.pendingLoads(), ['./outer.mjs']);
+  assert.ok(t.get('p'));
+  t.resolveLoad('./outer.mjs');
+  await t.settle();
+  assert.ok(t.get('div'));
+  assert.strictEqual(t.errors.length, 0);
+});
+
+test('a jsmanifest block that is not valid JSON is reported', function () {
+  var t = createRuntime();
+  t.mount('<script type="application/json" jsmanifest>{ Counter: "./counter.js" }</script>');
+
+  assert.strictEqual(t.errors.length, 1);
+  assert.strictEqual(t.errors[0].phase, 'load');
+  assert.ok(t.errors[0].error instanceof SyntaxError);
+});
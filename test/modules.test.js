@@ -0,0 +1,70 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var createRuntime = require('../ziw-test').createRuntime;
+
+/**
+ * A runtime whose loader answers every load with modules[src], recording
+ * what was asked for — in place of the kit's stubs, to hand back whole
+ * module namespaces.
+ */
+function moduleRuntime(modules) {
+  var t = createRuntime();
+  var requested = [];
+  t.Ziw.config({
+    loader: function (src, type) {
+      requested.push([src, type]);
+      return Promise.resolve(modules[src]);
+    },
+  });
+  t.requested = requested;
+  return t;
+}
+
+test('the default export registers under the jscomponent name, named definitions under theirs', async function () {
+  var t = moduleRuntime({
+    './board.mjs': {
+      default: { state: { title: '' } },
+      Card: { state: { n: 0 } },
+      helper: function () {},
+      LIMIT: 10,
+    },
+  });
+  t.mount(
+    '<div jscomponent="Board" jssrc="./board.mjs"><h1 jsdata="title">Todo</h1>' +
+      '<p jscomponent="Card"><b jsdata="n">3</b></p></div>'
+  );
+  await t.settle();
+
+  assert.deepStrictEqual(t.requested, [['./board.mjs', 'module']]);
+  assert.deepStrictEqual(t.state('div'), { title: 'Todo' });
+  assert.deepStrictEqual(t.state('p'), { n: 3 });
+  assert.deepStrictEqual(t.errors, []);
+});
+
+test('jstype="module" loads as a module; other srcs load as scripts', async function () {
+  var t = moduleRuntime({ './a.js': { default: { state: {} } }, './b.js': undefined });
+  t.mount(
+    '<div id="a" jscomponent="A" jssrc="./a.js" jstype="module"></div>' +
+    '<div id="b" jscomponent="B" jssrc="./b.js"></div>'
+  );
+  await t.settle();
+
+  assert.deepStrictEqual(t.requested, [['./a.js', 'module'], ['./b.js', 'script']]);
+  assert.ok(t.get('#a'));
+  assert.deepStrictEqual(t.errors.map(function (info) { return info.component; }), ['B'], 'b.js registered nothing');
+});
+
+test('instances sharing a src load it once', async function () {
+  var t = moduleRuntime({ './tab.mjs': { default: { state: { label: '' } } } });
+  t.mount(
+    '<div jscomponent="Tab" jssrc="./tab.mjs"><i jsdata="label">One</i></div>' +
+    '<div jscomponent="Tab" jssrc="./tab.mjs"><i jsdata="label">Two</i></div>'
+  );
+  await t.settle();
+
+  assert.strictEqual(t.requested.length, 1);
+  var tabs = t.document.querySelectorAll('[jscomponent="Tab"]');
+  assert.deepStrictEqual([t.state(tabs[0]).label, t.state(tabs[1]).label], ['One', 'Two']);
+});
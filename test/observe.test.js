@@ -0,0 +1,99 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var createRuntime = require('../ziw-test').createRuntime;
+
+// MutationObserver records are delivered in a microtask.
+function mutationsDelivered() {
+  return new Promise(function (resolve) { setTimeout(resolve, 0); });
+}
+
+/**
+ * A runtime whose DOMContentLoaded scan has run, so that only the
+ * observer can activate what the tests insert.
+ */
+async function observedRuntime() {
+  var t = createRuntime();
+  await mutationsDelivered();
+  t.Ziw.observe();
+  return t;
+}
+
+function tracked(log, name, def) {
+  return Object.assign({
+    state: {},
+    init: function (compEl) { log.push('init ' + (compEl.id || name)); },
+    destroy: function (compEl) { log.push('destroy ' + (compEl.id || name)); },
+  }, def);
+}
+
+test('inserted components are initialized and removed ones destroyed, innermost first', async function () {
+  var t = await observedRuntime();
+  var log = [];
+  t.register('Outer', tracked(log, 'Outer'));
+  t.register('Inner', tracked(log, 'Inner', { state: { n: 0 } }));
+
+  var host = t.document.createElement('div');
+  host.innerHTML = '<section id="outer" jscomponent="Outer"><p id="inner" jscomponent="Inner"><b jsdata="n">2</b></p></section>';
+  t.document.body.appendChild(host);
+  await mutationsDelivered();
+  assert.deepStrictEqual(log, ['init outer', 'init inner']);
+  assert.strictEqual(t.state('#inner').n, 2);
+
+  host.remove();
+  await mutationsDelivered();
+  assert.deepStrictEqual(log.slice(2), ['destroy inner', 'destroy outer']);
+  assert.strictEqual(t.Ziw.get(host.querySelector('#inner')), null);
+});
+
+test('inserted components that are not registered yet get their jsload strategy', async function () {
+  var t = await observedRuntime();
+  t.stub('./card.js', { state: {} });
+
+  var card = t.document.createElement('div');
+  card.setAttribute('jscomponent', 'Card');
+  card.setAttribute('jssrc', './card.js');
+  t.document.body.appendChild(card);
+  await mutationsDelivered();
+  assert.deepStrictEqual(t.pendingLoads(), ['./card.js']);
+});
+
+test('jsif toggles and jsfor moves do not destroy the components they move', async function () {
+  var t = createRuntime();
+  var log = [];
+  t.register('Tip', tracked(log, 'Tip'));
+  t.register('Page', { state: { open: true, rows: [] } });
+  t.mount(
+    '<div id="page" jscomponent="Page"><aside jsif="open"><i id="tip" jscomponent="Tip"></i></aside>' +
+      '<ul jsfor="rows"><li jskey="id" data-id="a"><i id="a" jscomponent="Tip"></i></li>' +
+      '<li jskey="id" data-id="b"><i id="b" jscomponent="Tip"></i></li></ul></div>'
+  );
+  t.Ziw.observe();
+  log.length = 0;
+
+  var page = t.get('#page');
+  await page.setState({ open: false });
+  await page.setState({ open: true });
+  await page.setState({ rows: page.state.rows.slice().reverse() });
+  await mutationsDelivered();
+  assert.deepStrictEqual(log, []);
+
+  await page.setState({ rows: page.state.rows.slice(1) });
+  await mutationsDelivered();
+  assert.deepStrictEqual(log, ['destroy b']);
+});
+
+test('observe(false) stops watching', async function () {
+  var t = await observedRuntime();
+  var log = [];
+  t.register('Widget', tracked(log, 'Widget'));
+  t.Ziw.observe(false);
+
+  var el = t.document.createElement('div');
+  el.setAttribute('jscomponent', 'Widget');
+  t.document.body.appendChild(el);
+  await mutationsDelivered();
+  assert.deepStrictEqual(log, []);
+  assert.strictEqual(t.Ziw.get(el), null);
+});
@@ -0,0 +1,107 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var createRuntime = require('../ziw-test').createRuntime;
+
+function wait(ms) {
+  return new Promise(function (resolve) { setTimeout(resolve, ms); });
+}
+
+function store(t, key, version, state) {
+  t.window.localStorage.setItem(key, JSON.stringify({ version: version, state: state }));
+}
+
+function stored(t, key) {
+  return JSON.parse(t.window.localStorage.getItem(key));
+}
+
+var contactHtml =
+  '<form jscomponent="ContactForm" jspersist="footer" id="contact">' +
+    '<input jsbind="name" value="Html"><input jsbind="email" value="html@example.com"><template jsif="submitted"><b>Sent</b></template>' +
+  '</form>';
+
+test('stored values win over the HTML, for the listed keys only', function () {
+  var t = createRuntime();
+  store(t, 'ziw:ContactForm:footer', 1, { name: 'Stored', submitted: true });
+  t.register('ContactForm', {
+    state: { name: '', email: '', submitted: false },
+    persist: { keys: ['name', 'email'] },
+  });
+  t.mount(contactHtml);
+
+  assert.deepStrictEqual(t.state('form'), { name: 'Stored', email: 'html@example.com', submitted: false });
+  assert.strictEqual(t.$('input').value, 'Stored');
+});
+
+test('entries from another version are migrated, or dropped without migrate', function () {
+  var t = createRuntime();
+  var calls = [];
+  store(t, 'ziw:Old', 0, { fullName: 'Ada' });
+  store(t, 'ziw:New', 1, { name: 'Ada' });
+  store(t, 'ziw:Zero', 0, { name: 'Ada' });
+  t.register('Old', {
+    state: { name: '' },
+    persist: {
+      version: 2,
+      migrate: function (saved, fromVersion) { calls.push(fromVersion); return { name: saved.fullName }; },
+    },
+  });
+  t.register('New', { state: { name: '' }, persist: { version: 2 } });
+  t.register('Zero', { state: { name: '' }, persist: { version: 0 } });
+  t.mount('<i jscomponent="Old"></i><i jscomponent="New"></i><i jscomponent="Zero"></i>');
+
+  assert.deepStrictEqual(calls, [0]);
+  assert.strictEqual(t.state('[jscomponent=Old]').name, 'Ada');
+  assert.strictEqual(t.state('[jscomponent=New]').name, '');
+  assert.strictEqual(t.state('[jscomponent=Zero]').name, 'Ada');
+});
+
+test('changes are written after the debounce, with the version and listed keys', async function () {
+  var t = createRuntime();
+  t.register('Draft', { state: { text: '', cursor: 0 }, persist: { keys: ['text'], version: 3, debounce: 20 } });
+  t.mount('<div jscomponent="Draft"></div>');
+
+  t.get('div').setState({ text: 'a' });
+  await t.settle();
+  t.get('div').setState({ text: 'ab', cursor: 2 });
+  await t.settle();
+  assert.strictEqual(t.window.localStorage.getItem('ziw:Draft'), null);
+
+  await wait(40);
+  assert.deepStrictEqual(stored(t, 'ziw:Draft'), { version: 3, state: { text: 'ab' } });
+});
+
+test('a write from another tab is applied through setState', async function () {
+  var t = createRuntime();
+  var updates = [];
+  t.register('Cart', {
+    state: { count: 0 },
+    persist: true,
+    update: function (compEl, state, prev) { updates.push([prev.count, state.count]); },
+  });
+  t.mount('<div jscomponent="Cart"><b jsdata="count">0</b></div>');
+
+  var raw = JSON.stringify({ version: 1, state: { count: 4 } });
+  t.window.localStorage.setItem('ziw:Cart', raw);
+  t.window.dispatchEvent(new t.window.StorageEvent('storage', {
+    key: 'ziw:Cart', newValue: raw, storageArea: t.window.localStorage,
+  }));
+  t.window.dispatchEvent(new t.window.StorageEvent('storage', {
+    key: 'ziw:Cart', newValue: raw, storageArea: t.window.sessionStorage,
+  }));
+  await t.settle();
+  assert.strictEqual(t.$('b').textContent, '4');
+  assert.deepStrictEqual(updates, [[0, 4]]);
+});
+
+test('unreadable entries are reported and ignored', function () {
+  var t = createRuntime();
+  t.window.localStorage.setItem('ziw:Broken', '{not json');
+  t.register('Broken', { state: { value: 1 }, persist: true });
+  t.mount('<div jscomponent="Broken"></div>');
+
+  assert.deepStrictEqual(t.state('div'), { value: 1 });
+  assert.strictEqual(t.errors.length, 1);
+  assert.strictEqual(t.errors[0].phase, 'persist');
+});
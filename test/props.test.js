@@ -0,0 +1,108 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var createRuntime = require('../ziw-test').createRuntime;
+
+test('jsprop-* passes values down and re-renders the child with the parent\'s batch', async function () {
+  var t = createRuntime();
+  var changes = [];
+  t.register('TodoList', { state: { todos: ['a'], user: { name: 'Ada' } } });
+  t.register('Summary', {
+    props: { todos: [], heading: 'Todos', maxItems: 10, note: 'none' },
+    propsChanged: function (compEl, props, prev) { changes.push([prev.heading, props.heading]); },
+  });
+  t.mount(
+    '<section jscomponent="TodoList"><span jsdata="todos.length">1</span>' +
+      '<div jscomponent="Summary" jsprop-todos="{todos}" jsprop-heading="Todos for {user.name}" jsprop-max-items="5">' +
+        '<h3 jsdata="$props.heading"></h3><p jstext="{$props.todos.length} of {$props.maxItems}, {$props.note}"></p>' +
+      '</div></section>'
+  );
+  await t.settle();
+  assert.deepStrictEqual(t.get('div').props, { todos: ['a'], heading: 'Todos for Ada', maxItems: '5', note: 'none' });
+  assert.strictEqual(t.$('h3').textContent, 'Todos for Ada');
+
+  t.get('section').setState({ todos: ['a', 'b'], user: { name: 'Grace' } });
+  await t.settle();
+  assert.strictEqual(t.$('span').textContent, '2');
+  assert.strictEqual(t.$('h3').textContent, 'Todos for Grace');
+  assert.strictEqual(t.$('p').textContent, '2 of 5, none');
+  assert.deepStrictEqual(changes, [['Todos for Ada', 'Todos for Grace']]);
+});
+
+test('emit reaches the nearest ancestor with an on handler, with the row context', async function () {
+  var t = createRuntime();
+  var handled = [];
+  var results = [];
+  t.register('Board', {
+    state: { cards: [] },
+    on: {
+      saved: function (event, childEl, compEl, ctx) {
+        handled.push([event.detail, childEl.getAttribute('jscomponent'), ctx.index, ctx.itemPath]);
+      },
+    },
+  });
+  t.register('Column', { state: {} });
+  t.register('Card', {
+    state: {},
+    actions: {
+      save: function (event, el, compEl, ctx) {
+        results.push(ctx.emit('saved', { id: 7 }), ctx.emit('unknown'));
+      },
+    },
+  });
+  t.mount(
+    '<main jscomponent="Board"><div jscomponent="Column"><ul jsfor="cards">' +
+      '<li jscomponent="Card" jskey="id" data-id="1"><button jsaction="save">Save</button></li>' +
+      '<li jscomponent="Card" jskey="id" data-id="2"><button jsaction="save">Save</button></li>' +
+    '</ul></div></main>'
+  );
+
+  t.click(t.document.querySelectorAll('button')[1]);
+  await t.settle();
+  assert.deepStrictEqual(results, [true, false]);
+  assert.deepStrictEqual(handled, [[{ id: 7 }, 'Card', 1, 'cards.1']]);
+});
+
+test('emit to a parent whose script is still loading is delivered once it registers', async function () {
+  var t = createRuntime();
+  var handled = [];
+  t.stub('./outer.js', {
+    state: {},
+    on: { ping: function (event, childEl, compEl, ctx) { handled.push(event.detail); } },
+  });
+  t.register('InnerWidget', {
+    state: {},
+    actions: { ping: function (event, el, compEl, ctx) { handled.push(ctx.emit('ping', 'hello')); } },
+  });
+  t.mount(
+    '<section jscomponent="Outer" jssrc="./outer.js" jsload="interaction">' +
+      '<div jscomponent="InnerWidget"><button jsaction="ping">Ping</button></div></section>'
+  );
+
+  t.click('button');
+  assert.deepStrictEqual(handled, [true]);
+  assert.deepStrictEqual(t.pendingLoads(), ['./outer.js']);
+
+  t.resolveLoad('./outer.js');
+  await t.settle();
+  assert.deepStrictEqual(handled, [true, 'hello']);
+});
+
+test('Ziw.get returns the instance handle of a component or an element inside it', async function () {
+  var t = createRuntime();
+  t.register('Counter', { state: { count: 0 }, props: { step: 1 } });
+  t.register('Plain', {});
+  t.mount(
+    '<div jscomponent="Counter" jsprop-step="{2}"><b jsdata="count">3</b></div>' +
+    '<p jscomponent="Plain"><i>x</i></p>'
+  );
+
+  var handle = t.Ziw.get(t.$('b'));
+  assert.deepStrictEqual([handle.state, handle.props], [{ count: 3 }, { step: 2 }]);
+  handle.setState({ count: 4 });
+  assert.deepStrictEqual(handle.state, { count: 4 });
+  await t.settle();
+  assert.strictEqual(t.$('b').textContent, '4');
+  assert.strictEqual(t.Ziw.get(t.$('i')), null);
+});
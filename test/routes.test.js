@@ -0,0 +1,109 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var createRuntime = require('../ziw-test').createRuntime;
+
+var ROUTES =
+  '<section jsroute="/" id="home">Home</section>' +
+  '<template jsroute="/items/:id"><section id="detail">Item</section></template>';
+
+test('a click on a route link navigates in place', async function () {
+  var t = createRuntime();
+  var opened = 0;
+  t.register('Nav', { actions: { open: function () { opened++; } } });
+  t.mount('<nav jscomponent="Nav"><a href="/items/42" jsaction="click:open">Item 42</a></nav>' + ROUTES);
+
+  var event = t.click('a');
+  await t.settle();
+  assert.strictEqual(opened, 1);
+  assert.strictEqual(event.defaultPrevented, true);
+  assert.strictEqual(t.window.location.pathname, '/items/42');
+  assert.ok(t.document.getElementById('detail'));
+  assert.strictEqual(t.document.getElementById('home'), null);
+});
+
+test('a jsaction that cancels the click keeps the route link from navigating', async function () {
+  var t = createRuntime();
+  t.register('Nav', {
+    actions: {
+      guard: function () {},
+      confirm: function (event) { event.preventDefault(); },
+    },
+  });
+  t.mount(
+    '<nav jscomponent="Nav"><a id="a" href="/items/1" jsaction="click.prevent:guard">1</a>' +
+      '<span jsaction="click:confirm"><a id="b" href="/items/2">2</a></span></nav>' + ROUTES
+  );
+
+  t.click('#a');
+  t.click('#b');
+  await t.settle();
+  assert.strictEqual(t.window.location.pathname, '/');
+  assert.ok(t.document.getElementById('home'));
+  assert.strictEqual(t.document.getElementById('detail'), null);
+});
+
+test('route params reach $route bindings and routeChanged, and back re-matches', async function () {
+  var t = createRuntime();
+  var changes = [];
+  t.register('Detail', {
+    state: {},
+    routeChanged: function (compEl, route, prev) { changes.push([prev.params.id, route.params.id]); },
+  });
+  t.mount(
+    '<section jsroute="/" id="home">Home</section>' +
+    '<template jsroute="/items/:id"><section id="detail" jscomponent="Detail"><b jsdata="$route.params.id"></b></section></template>'
+  );
+
+  t.Ziw.navigate('/items/1');
+  await t.settle();
+  assert.strictEqual(t.$('b').textContent, '1');
+  t.Ziw.navigate('/items/2?tab=notes');
+  await t.settle();
+  assert.strictEqual(t.$('b').textContent, '2');
+  assert.deepStrictEqual(changes, [[undefined, '1'], ['1', '2']]);
+
+  t.window.history.back();
+  await new Promise(function (resolve) { t.window.addEventListener('popstate', resolve, { once: true }); });
+  await t.settle();
+  assert.strictEqual(t.window.location.pathname, '/items/1');
+  assert.strictEqual(t.$('b').textContent, '1');
+});
+
+test('url keys are read on init, and written back leaving initial values out', async function () {
+  var t = createRuntime();
+  t.window.history.replaceState(null, '', '/?p=3&tags=%5B%22new%22%5D');
+  t.register('ProductList', {
+    state: { filter: 'all', page: 1, tags: [] },
+    url: { keys: { filter: 'filter', page: 'p', tags: 'tags' } },
+  });
+  t.mount('<div jscomponent="ProductList"><b jsdata="page">1</b></div>');
+  assert.deepStrictEqual(t.state('div'), { filter: 'all', page: 3, tags: ['new'] });
+  var entries = t.window.history.length;
+
+  t.get('div').setState({ filter: 'sale', page: 1 });
+  await t.settle();
+  assert.strictEqual(t.window.location.search, '?tags=%5B%22new%22%5D&filter=sale');
+  assert.strictEqual(t.window.history.length, entries);
+});
+
+test('history: \'push\' adds an entry per batch, and back re-applies the URL', async function () {
+  var t = createRuntime();
+  t.register('Tabs', { state: { tab: 'info' }, url: { keys: ['tab'], mode: 'hash', history: 'push' } });
+  t.mount('<div jscomponent="Tabs"><b jsdata="tab">info</b></div>');
+  var entries = t.window.history.length;
+
+  t.get('div').setState({ tab: 'specs' });
+  await t.settle();
+  t.get('div').setState({ tab: 'reviews' });
+  await t.settle();
+  assert.strictEqual(t.window.location.hash, '#tab=reviews');
+  assert.strictEqual(t.window.history.length, entries + 2);
+
+  t.window.history.back();
+  await new Promise(function (resolve) { t.window.addEventListener('popstate', resolve, { once: true }); });
+  await t.settle();
+  assert.strictEqual(t.state('div').tab, 'specs');
+  assert.strictEqual(t.$('b').textContent, 'specs');
+});
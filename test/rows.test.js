@@ -0,0 +1,87 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var createRuntime = require('../ziw-test').createRuntime;
+
+function mountTodos(t, def) {
+  t.register('Todos', def);
+  t.mount(
+    '<div jscomponent="Todos"><ul jsfor="todos">' +
+      '<li jskey="id" data-id="1" jsclass-done="done" jsattr-title="text">' +
+        '<input type="checkbox" jsbind="done" checked><span jsdata="text">Milk</span>' +
+        '<b jstext="{$index + 1}/{todos.length}">1/2</b><small jsif="done &amp;&amp; showDone">done</small>' +
+        '<button jsaction="remove">x</button>' +
+        '<ul jsfor="tags"><li jsaction="pick" jsdata="$item">dairy</li><li jsaction="pick" jsdata="$item">cold</li></ul>' +
+      '</li>' +
+      '<li jskey="id" data-id="2" jsclass-done="done" jsattr-title="text">' +
+        '<input type="checkbox" jsbind="done"><span jsdata="text">Eggs</span>' +
+        '<b jstext="{$index + 1}/{todos.length}">2/2</b><template jsif="done &amp;&amp; showDone"><small>done</small></template>' +
+        '<button jsaction="remove">x</button>' +
+        '<ul jsfor="tags"><li jsaction="pick" jsdata="$item">farm</li></ul>' +
+      '</li>' +
+    '</ul></div>'
+  );
+  return t.document.querySelectorAll('div > ul > li');
+}
+
+test('rows hydrate their fields, checkboxes and nested lists into the item', function () {
+  var t = createRuntime();
+  mountTodos(t, { state: { todos: [], showDone: true } });
+
+  assert.deepStrictEqual(t.state('div').todos, [
+    { id: '1', done: true, text: 'Milk', tags: ['dairy', 'cold'] },
+    { id: '2', done: false, text: 'Eggs', tags: ['farm'] },
+  ]);
+});
+
+test('every binding in a row reads the item, $index and component state', async function () {
+  var t = createRuntime();
+  var rows = mountTodos(t, { state: { todos: [], showDone: true } });
+
+  t.input(rows[1].querySelector('input'), true);
+  await t.settle();
+  assert.strictEqual(t.state('div').todos[1].done, true);
+  assert.strictEqual(rows[1].className, 'done');
+  assert.ok(rows[1].querySelector('small'));
+
+  t.get('div').setState({ showDone: false, 'todos.1.text': 'Bread' });
+  await t.settle();
+  assert.strictEqual(rows[1].getAttribute('title'), 'Bread');
+  assert.strictEqual(rows[1].querySelector('span').textContent, 'Bread');
+  assert.strictEqual(t.document.querySelector('small'), null);
+
+  t.get('div').setState({ todos: t.state('div').todos.concat({ id: '3', text: 'Tea', done: false, tags: ['hot'] }) });
+  await t.settle();
+  var all = t.document.querySelectorAll('div > ul > li');
+  assert.deepStrictEqual(Array.from(all, function (row) { return row.querySelector('b').textContent; }), ['1/3', '2/3', '3/3']);
+  assert.deepStrictEqual(Array.from(all[2].querySelectorAll('ul li'), function (li) { return li.textContent; }), ['hot']);
+});
+
+test('row actions get the item, its index and its state path, nested lists included', async function () {
+  var t = createRuntime();
+  var seen = [];
+  var rows = mountTodos(t, {
+    state: { todos: [] },
+    actions: {
+      remove: function (event, el, compEl, ctx) {
+        seen.push([ctx.item.text, ctx.index, ctx.itemPath]);
+        ctx.setState({ todos: ctx.state.todos.filter(function (todo, i) { return i !== ctx.index; }) });
+      },
+      pick: function (event, el, compEl, ctx) {
+        seen.push([ctx.item, ctx.index, ctx.itemPath]);
+        ctx.setState({ [ctx.itemPath]: ctx.item.toUpperCase() });
+      },
+    },
+  });
+
+  t.click(rows[0].querySelectorAll('ul li')[1]);
+  await t.settle();
+  assert.deepStrictEqual(t.state('div').todos[0].tags, ['dairy', 'COLD']);
+
+  t.click(rows[0].querySelector('button'));
+  await t.settle();
+  assert.deepStrictEqual(seen, [['cold', 1, 'todos.0.tags.1'], ['Milk', 0, 'todos.0']]);
+  assert.deepStrictEqual(t.state('div').todos.map(function (todo) { return todo.text; }), ['Eggs']);
+  assert.strictEqual(t.document.querySelectorAll('div > ul > li').length, 1);
+});
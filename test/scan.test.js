@@ -0,0 +1,41 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var createRuntime = require('../ziw-test').createRuntime;
+
+test('Ziw.scan() initializes inserted instances of registered components', function () {
+  var t = createRuntime();
+  t.register('Counter', { state: { count: 0 } });
+  t.mount('<div jscomponent="Counter"><span jsdata="count">1</span></div>');
+
+  var added = t.document.createElement('div');
+  added.innerHTML = '<div id="later" jscomponent="Counter"><span jsdata="count">7</span></div>';
+  t.document.body.appendChild(added);
+  assert.strictEqual(t.get('#later'), null);
+
+  t.Ziw.scan(added);
+  assert.deepStrictEqual(t.state('#later'), { count: 7 });
+  assert.strictEqual(t.errors.length, 0);
+});
+
+test('Ziw.scan() leaves initialized instances as they are', async function () {
+  var t = createRuntime();
+  t.register('Counter', { state: { count: 0 } });
+  var root = t.mount('<div jscomponent="Counter"><span jsdata="count">1</span></div>');
+  await t.get('div').setState({ count: 2 });
+
+  t.Ziw.scan(root);
+  assert.deepStrictEqual(t.state('div'), { count: 2 });
+});
+
+test('Ziw.scan() schedules loads for components that are not registered yet', function () {
+  var t = createRuntime();
+  t.stub('./late.js', { state: {} });
+  var added = t.document.createElement('div');
+  added.innerHTML = '<div jscomponent="Late" jssrc="./late.js" jsload="eager"></div>';
+  t.document.body.appendChild(added);
+
+  t.Ziw.scan(added);
+  assert.deepStrictEqual(t.pendingLoads(), ['./late.js']);
+});
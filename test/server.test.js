@@ -0,0 +1,151 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var createRuntime = require('../ziw-test').createRuntime;
+var renderToString = require('../ziw-server').renderToString;
+
+/**
+ * Render markup against state on the server, mount the HTML in a fresh
+ * runtime with def registered, and return the kit.
+ */
+function roundTrip(markup, state, def) {
+  var t = createRuntime();
+  t.register('Test', def || { state: {} });
+  t.mount(renderToString(markup, state));
+  return t;
+}
+
+test('scalars hydrate back to the rendered state', function () {
+  var state = { name: 'Ada', age: 36, admin: true, ratio: 0.5, address: { city: 'London' } };
+  var t = roundTrip(
+    '<div jscomponent="Test"><b jsdata="name"></b><i jsdata="age"></i><em jsdata="admin"></em>' +
+      '<s jsdata="ratio"></s><span jsdata="address.city"></span></div>',
+    state,
+    { state: { name: '', age: 0, admin: false, ratio: 0, address: { city: '' } } }
+  );
+  assert.deepStrictEqual(t.state('div'), state);
+});
+
+test('jsdata-type carries types the definition does not declare', function () {
+  var t = roundTrip('<div jscomponent="Test"><i jsdata="count"></i></div>', { count: 3 }, { state: { count: null } });
+  assert.strictEqual(t.state('div').count, 3);
+});
+
+test('list rows keep number, boolean and string fields, keyed or not', function () {
+  var state = {
+    todos: [
+      { id: 1, text: 'Milk', qty: 2, done: true },
+      { id: 2, text: '42', qty: 0, done: false },
+    ],
+  };
+  var html = renderToString(
+    '<div jscomponent="Test"><ul jsfor="todos"><li jskey="id">' +
+      '<span jsdata="text"></span><i jsdata="qty"></i><b jsif="done">✓</b></li></ul></div>',
+    state
+  );
+  assert.match(html, /<li jskey="id" data-id="1" jskey-type="number">/);
+
+  var t = roundTrip(
+    '<div jscomponent="Test"><ul jsfor="todos"><li jskey="id">' +
+      '<span jsdata="text"></span><i jsdata="qty"></i><b jsif="done">✓</b></li></ul></div>',
+    state,
+    { state: { todos: [] } }
+  );
+  assert.deepStrictEqual(t.state('div').todos, [
+    { text: 'Milk', qty: 2, done: true, id: 1 },
+    { text: '42', qty: 0, done: false, id: 2 },
+  ]);
+});
+
+test('primitive list items keep their type', function () {
+  var state = { sizes: [1, 2.5], flags: [true, false], tags: ['1', 'b'] };
+  var t = roundTrip(
+    '<div jscomponent="Test"><ul jsfor="sizes"><li></li></ul><ul jsfor="flags"><li></li></ul>' +
+      '<ul jsfor="tags"><li><span jsdata="$item"></span></li></ul></div>',
+    state,
+    { state: { sizes: [], flags: [], tags: [] } }
+  );
+  assert.deepStrictEqual(t.state('div'), state);
+});
+
+test('nested lists round-trip', function () {
+  var state = { groups: [{ name: 'a', items: [{ n: 1 }, { n: 2 }] }, { name: 'b', items: [] }] };
+  var t = roundTrip(
+    '<div jscomponent="Test"><section jsfor="groups"><div><h2 jsdata="name"></h2>' +
+      '<ul jsfor="items"><li jsdata="n"></li></ul></div></section></div>',
+    state,
+    { state: { groups: [] } }
+  );
+  // An empty nested list renders no rows, so there is nothing to read it from.
+  assert.deepStrictEqual(t.state('div'), { groups: [{ name: 'a', items: [{ n: 1 }, { n: 2 }] }, { name: 'b' }] });
+});
+
+test('jsif state round-trips in both directions', function () {
+  var markup = '<div jscomponent="Test"><p jsif="open">Open</p><p jsif="!busy">Idle</p></div>';
+  var def = { state: { open: false, busy: false } };
+  [{ open: true, busy: false }, { open: false, busy: true }].forEach(function (state) {
+    assert.deepStrictEqual(roundTrip(markup, state, def).state('div'), state);
+  });
+});
+
+test('jsbind fields keep number and boolean values', function () {
+  var state = { name: 'Ada', size: 12, level: 3, agree: true, pick: 2, ids: [1, 3], on: false };
+  var t = roundTrip(
+    '<form jscomponent="Test">' +
+      '<input jsbind="name"><input type="number" jsbind="size"><input jsbind="level">' +
+      '<input type="checkbox" jsbind="agree">' +
+      '<input type="radio" name="p" value="1" jsbind="pick"><input type="radio" name="p" value="2" jsbind="pick">' +
+      '<select multiple jsbind="ids"><option>1</option><option>2</option><option>3</option></select>' +
+      '<select jsbind="on"><option>true</option><option>false</option></select>' +
+    '</form>',
+    state,
+    { state: { name: '', size: 0, level: 0, agree: false, pick: 0, ids: [], on: true } }
+  );
+  assert.deepStrictEqual(t.state('form'), state);
+});
+
+test('null and undefined render as empty text and hydrate as empty strings', function () {
+  var t = roundTrip(
+    '<div jscomponent="Test"><b jsdata="note"></b><ul jsfor="rows"><li><i jsdata="label"></i></li></ul></div>',
+    { note: null, rows: [{ label: null }] },
+    { state: { note: null, rows: [] } }
+  );
+  assert.deepStrictEqual(t.state('div'), { note: '', rows: [{ label: '' }] });
+});
+
+test('typed markers in the markup win over the rendered value', function () {
+  var html = renderToString('<div jscomponent="Test"><i jsdata="n" jsdata-type="string"></i></div>', { n: 5 });
+  assert.match(html, /<i jsdata="n" jsdata-type="string">5<\/i>/);
+});
+
+test('the server renders what the browser runtime renders for the same state', async function () {
+  var markup =
+    '<div jscomponent="Test"><h1 jsdata="title"></h1><a jsattr-href="url" jsattr-hidden="!visible">Link</a>' +
+      '<p jsif="open">Open</p><p jsif="closed">Closed</p>' +
+      '<ul jsfor="todos"><li jskey="id"><span jsdata="text"></span><b jsif="done">✓</b></li></ul>' +
+      '<ol jsfor="tags"><li></li></ol><input jsbind="name"><input type="checkbox" jsbind="agree"></div>';
+  var state = {
+    title: 'Todos', url: '/todos', visible: true, open: true, closed: false,
+    todos: [{ id: 1, text: 'Milk', done: true }, { id: 2, text: 'Eggs', done: false }],
+    tags: ['a', 'b'], name: 'Ada', agree: true,
+  };
+  var t = roundTrip(markup, state, {
+    state: { title: '', url: '', visible: false, open: false, closed: false, todos: [], tags: [], name: '', agree: false },
+  });
+  var root = t.$('div').parentElement;
+
+  // Attribute bindings are output-only (see above); everything else hydrates.
+  assert.deepStrictEqual(t.state('div'), Object.assign({}, state, { url: '', visible: false }));
+
+  // Rendering the state in the browser leaves the server's HTML as it was,
+  // apart from the markers the runtime keeps for jsif.
+  await t.get('div').setState({ url: state.url, visible: state.visible });
+  var expected = t.document.createElement('div');
+  expected.innerHTML = renderToString(markup, state);
+  var walker = t.document.createTreeWalker(root, t.window.NodeFilter.SHOW_COMMENT);
+  var markers = [];
+  while (walker.nextNode()) markers.push(walker.currentNode);
+  markers.forEach(function (marker) { marker.remove(); });
+  assert.strictEqual(root.innerHTML, expected.innerHTML);
+});
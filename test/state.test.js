@@ -0,0 +1,129 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var createRuntime = require('../ziw-test').createRuntime;
+
+test('setState calls in one action are batched into one render and one update', async function () {
+  var t = createRuntime();
+  var updates = [];
+  t.register('Counter', {
+    state: { count: 0, clicks: 0 },
+    update: function (compEl, state, prev) { updates.push([prev.count, state.count]); },
+    actions: {
+      add: function (event, el, compEl, ctx) {
+        ctx.setState({ count: 1 });
+        ctx.setState(function (state) { return { count: state.count + 1 }; });
+        ctx.setState({ clicks: 1 });
+      },
+    },
+  });
+  t.mount('<div jscomponent="Counter"><span jsdata="count">0</span><button jsaction="add"></button></div>');
+
+  t.fire('add');
+  assert.strictEqual(t.$('span').textContent, '0', 'not rendered synchronously');
+  assert.deepStrictEqual(t.state('div'), { count: 2, clicks: 1 }, 'state is current straight away');
+
+  await t.Ziw.nextTick();
+  assert.strictEqual(t.$('span').textContent, '2');
+  assert.deepStrictEqual(updates, [[0, 2]]);
+});
+
+test('setState resolves once the change is rendered', async function () {
+  var t = createRuntime();
+  t.register('Label', { state: { text: 'a' } });
+  t.mount('<p jscomponent="Label"><span jsdata="text">a</span></p>');
+
+  var pending = t.get('p').setState({ text: 'b' });
+  assert.strictEqual(t.$('span').textContent, 'a');
+  await pending;
+  assert.strictEqual(t.$('span').textContent, 'b');
+});
+
+test('nextTick waits for updates made by update hooks', async function () {
+  var t = createRuntime();
+  t.register('Doubler', {
+    state: { value: 1, double: 2 },
+    update: function (compEl, state, prev) {
+      if (state.value !== prev.value) Ziw.get(compEl).setState({ double: state.value * 2 });
+    },
+  });
+  var Ziw = t.Ziw;
+  t.mount('<p jscomponent="Doubler"><span jsdata="double">2</span></p>');
+
+  t.get('p').setState({ value: 5 });
+  await Ziw.nextTick();
+  assert.strictEqual(t.$('span').textContent, '10');
+});
+
+test('only bindings affected by the changed keys re-render', async function () {
+  var t = createRuntime();
+  t.register('Pair', { state: { a: 'a', b: 'b' } });
+  t.mount('<p jscomponent="Pair"><i jsdata="a">a</i><b jsdata="b">b</b></p>');
+  // Edit the DOM behind the runtime's back: a render of b would undo it.
+  t.$('b').textContent = 'edited';
+
+  await t.get('p').setState({ a: 'A' });
+  assert.strictEqual(t.$('i').textContent, 'A');
+  assert.strictEqual(t.$('b').textContent, 'edited');
+});
+
+test('settle() waits for replayed actions to render', async function () {
+  var t = createRuntime();
+  t.stub('./counter.js', {
+    state: { count: 0 },
+    actions: {
+      increment: function (event, el, compEl, ctx) { ctx.setState({ count: ctx.state.count + 1 }); },
+    },
+  });
+  t.mount(
+    '<div jscomponent="Counter" jssrc="./counter.js" jsload="interaction">' +
+      '<span jsdata="count">0</span><button jsaction="increment"></button></div>'
+  );
+
+  t.fire('increment');
+  t.fire('increment');
+  t.resolveLoad();
+  await t.settle();
+  assert.strictEqual(t.$('span').textContent, '2');
+});
+
+test('bindings read dot paths and setState writes them immutably', async function () {
+  var t = createRuntime();
+  var prevs = [];
+  t.register('Profile', {
+    state: { user: { name: '', avatar: '' }, todos: [] },
+    update: function (compEl, state, prev) { prevs.push(prev); },
+  });
+  t.mount(
+    '<section jscomponent="Profile"><img jsattr-src="user.avatar"><span jsdata="user.name">Bob</span>' +
+      '<ul jsfor="todos"><li jskey="id" data-id="1"><input type="checkbox" jsbind="done"></li></ul></section>'
+  );
+  var profile = t.get('section');
+  await profile.setState({ 'user.avatar': '/bob.png' });
+  var before = profile.state;
+
+  await profile.setState({ 'user.name': 'Ann', 'todos.0.done': true });
+  assert.strictEqual(t.$('span').textContent, 'Ann');
+  assert.strictEqual(t.$('input').checked, true);
+  assert.strictEqual(before.user.name, 'Bob', 'the old state object is left as it was');
+  assert.strictEqual(before.todos[0].done, false);
+  assert.notStrictEqual(profile.state.user, before.user);
+  assert.deepStrictEqual(profile.state.user, { name: 'Ann', avatar: '/bob.png' });
+  assert.strictEqual(prevs[prevs.length - 1].user, before.user);
+});
+
+test('a nested change re-renders bindings on its path, not its siblings', async function () {
+  var t = createRuntime();
+  t.register('Profile', { state: { user: { name: '', avatar: '' } } });
+  t.mount(
+    '<section jscomponent="Profile"><span jsdata="user.name">Bob</span><i jsdata="user.avatar">a.png</i>' +
+      '<b jsdata="user | json"></b></section>'
+  );
+  t.$('i').textContent = 'edited';
+
+  await t.get('section').setState({ user: { name: 'Ann', avatar: 'a.png' } });
+  assert.strictEqual(t.$('span').textContent, 'Ann');
+  assert.strictEqual(t.$('i').textContent, 'edited', 'user.avatar did not change');
+  assert.strictEqual(t.$('b').textContent, '{"name":"Ann","avatar":"a.png"}');
+});
@@ -0,0 +1,142 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var createRuntime = require('../ziw-test').createRuntime;
+
+test('store writes in one action render once, on the next flush', async function () {
+  var t = createRuntime();
+  var cart = t.Ziw.store('cart', { count: 0, total: 0 });
+  t.register('Cart', {
+    stores: ['cart'],
+    actions: {
+      add: function (event, el, compEl, ctx) {
+        ctx.stores.cart.set({ count: ctx.stores.cart.get('count') + 1 });
+        ctx.stores.cart.set({ total: 5 });
+        ctx.stores.cart.set({ count: ctx.stores.cart.get('count') + 1 });
+      },
+    },
+  });
+  t.mount('<div jscomponent="Cart"><span jsdata="$cart.count">0</span><button jsaction="add"></button></div>');
+  var renders = 0;
+  new t.window.MutationObserver(function (records) { renders += records.length; })
+    .observe(t.$('span'), { childList: true });
+
+  t.fire('add');
+  assert.strictEqual(cart.get('count'), 2, 'get() sees the writes straight away');
+  assert.strictEqual(t.$('span').textContent, '0', 'not rendered synchronously');
+
+  await t.Ziw.nextTick();
+  assert.strictEqual(t.$('span').textContent, '2');
+  assert.strictEqual(renders, 1);
+});
+
+test('store.set() resolves once every bound component has rendered', async function () {
+  var t = createRuntime();
+  var cart = t.Ziw.store('cart', { count: 0 });
+  t.register('Badge', { stores: ['cart'] });
+  t.mount(
+    '<div jscomponent="Badge" id="a"><i jsdata="$cart.count">0</i></div>' +
+    '<div jscomponent="Badge" id="b"><b jsif="$cart.count">in cart</b></div>'
+  );
+
+  await cart.set({ count: 3 });
+  assert.strictEqual(t.$('#a i').textContent, '3');
+  assert.ok(t.$('#b b'));
+});
+
+test('subscribers are called once per flush with the first prev and every change', async function () {
+  var t = createRuntime();
+  var cart = t.Ziw.store('cart', { count: 0, note: '' });
+  await t.Ziw.nextTick();
+  var calls = [];
+  cart.subscribe(function (state, prev, changed) { calls.push([prev.count, state.count, changed]); });
+
+  cart.set({ count: 1 });
+  cart.set({ note: 'hi' });
+  cart.set({ count: 2 });
+  assert.deepStrictEqual(calls, []);
+  await t.Ziw.nextTick();
+  assert.deepStrictEqual(calls, [[0, 2, ['count', 'note']]]);
+});
+
+test('what a subscriber sets renders in the same flush', async function () {
+  var t = createRuntime();
+  var cart = t.Ziw.store('cart', { count: 0 });
+  t.register('Summary', { state: { label: '' } });
+  t.mount('<p jscomponent="Summary"><span jsdata="label"></span></p>');
+  cart.subscribe(function (state) { t.get('p').setState({ label: state.count + ' items' }); });
+
+  await cart.set({ count: 4 });
+  assert.strictEqual(t.$('span').textContent, '4 items');
+});
+
+test('jsbind writes back to a store', async function () {
+  var t = createRuntime();
+  var cart = t.Ziw.store('cart', { note: '' });
+  t.register('Note', { stores: ['cart'] });
+  t.mount('<div jscomponent="Note"><input jsbind="$cart.note"><span jsdata="$cart.note"></span></div>');
+
+  t.input('input', 'gift wrap');
+  await t.settle();
+  assert.strictEqual(cart.get('note'), 'gift wrap');
+  assert.strictEqual(t.$('span').textContent, 'gift wrap');
+});
+
+test('a component that loads after the store changed renders the current values', async function () {
+  var t = createRuntime();
+  var cart = t.Ziw.store('cart', { count: 0 });
+  t.stub('./badge.js', { stores: ['cart'] });
+  t.mount(
+    '<header jscomponent="Badge" jssrc="./badge.js" jsload="visible"><span jsdata="$cart.count">0</span>' +
+      '<b jsif="$cart.count">!</b></header>'
+  );
+
+  await cart.set({ count: 3 });
+  assert.strictEqual(t.$('span').textContent, '0', 'not loaded yet');
+  t.reveal('header');
+  t.resolveLoad();
+  await t.settle();
+  assert.strictEqual(t.$('span').textContent, '3');
+  assert.ok(t.$('b'));
+  assert.strictEqual(cart.get('count'), 3, 'store values are not hydrated from the HTML');
+});
+
+test('Ziw.store() returns the existing store and only fills in missing defaults', async function () {
+  var t = createRuntime();
+  var cart = t.Ziw.store('cart', { count: 1 });
+  var again = t.Ziw.store('cart', { count: 0, items: [] });
+  assert.deepStrictEqual(again.get(), { count: 1, items: [] });
+  assert.strictEqual(t.Ziw.store('cart').get('count'), 1);
+
+  await t.Ziw.nextTick();
+  var calls = 0;
+  var unsubscribe = cart.subscribe(function () { calls++; });
+  await cart.set({ count: 2 });
+  unsubscribe();
+  await cart.set({ count: 3 });
+  assert.strictEqual(calls, 1);
+});
+
+test('handlers reach declared stores through ctx.stores', async function () {
+  var t = createRuntime();
+  var cart = t.Ziw.store('cart', { items: [] });
+  t.register('Product', {
+    stores: ['cart'],
+    actions: {
+      add: function (event, el, compEl, ctx) {
+        ctx.stores.cart.set({ items: ctx.stores.cart.get('items').concat(el.value) });
+      },
+    },
+  });
+  t.register('Badge', { stores: ['cart'] });
+  t.mount(
+    '<div jscomponent="Product"><button jsaction="add" value="tea">Add</button></div>' +
+    '<header jscomponent="Badge"><span jsdata="$cart.items.length">0</span></header>'
+  );
+
+  t.fire('add');
+  await t.settle();
+  assert.deepStrictEqual(cart.get('items'), ['tea']);
+  assert.strictEqual(t.$('span').textContent, '1');
+});
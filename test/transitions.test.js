@@ -0,0 +1,88 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var createRuntime = require('../ziw-test').createRuntime;
+
+var STYLE = '<style>.fade-enter-active, .fade-leave-active { transition-duration: 0.2s }</style>';
+
+// The -from classes are swapped for -to after a frame (a 16ms timer without requestAnimationFrame).
+function nextFrame() {
+  return new Promise(function (resolve) { setTimeout(resolve, 40); });
+}
+
+function classes(el) {
+  return Array.from(el.classList).sort();
+}
+
+test('jsif with jstransition plays enter and leave, removing the element at transitionend', async function () {
+  var t = createRuntime();
+  t.register('Modal', { state: { open: true } });
+  t.mount(STYLE + '<div jscomponent="Modal"><p jsif="open" jstransition="fade">Hi</p></div>');
+  var p = t.$('p');
+
+  await t.get('div').setState({ open: false });
+  assert.deepStrictEqual(classes(p), ['fade-leave-active', 'fade-leave-from']);
+  await nextFrame();
+  assert.deepStrictEqual(classes(p), ['fade-leave-active', 'fade-leave-to']);
+  assert.ok(p.isConnected);
+
+  t.dispatch(p, 'transitionend');
+  assert.strictEqual(p.isConnected, false);
+  assert.deepStrictEqual(classes(p), []);
+
+  await t.get('div').setState({ open: true });
+  assert.ok(p.isConnected);
+  assert.deepStrictEqual(classes(p), ['fade-enter-active', 'fade-enter-from']);
+  await nextFrame();
+  t.dispatch(p, 'transitionend');
+  assert.deepStrictEqual(classes(p), []);
+});
+
+test('showing an element again interrupts its leave transition', async function () {
+  var t = createRuntime();
+  t.register('Toast', { state: { visible: true } });
+  t.mount(STYLE + '<div jscomponent="Toast"><p jsif="visible" jstransition="fade">Saved</p></div>');
+  var p = t.$('p');
+
+  await t.get('div').setState({ visible: false });
+  await nextFrame();
+  await t.get('div').setState({ visible: true });
+  assert.deepStrictEqual(classes(p), ['fade-enter-active', 'fade-enter-from']);
+
+  await nextFrame();
+  t.dispatch(p, 'transitionend');
+  assert.ok(p.isConnected);
+  assert.deepStrictEqual(classes(p), []);
+  assert.strictEqual(t.document.querySelectorAll('p').length, 1);
+});
+
+test('a removed jsfor row leaves first, and its components are destroyed after', async function () {
+  var t = createRuntime();
+  var destroyed = [];
+  t.Ziw.observe();
+  t.register('List', { state: { items: [] } });
+  t.register('Row', { state: {}, destroy: function (compEl) { destroyed.push(compEl.textContent); } });
+  t.mount(
+    STYLE + '<div jscomponent="List"><ul jsfor="items">' +
+      '<li jstransition="fade"><span jscomponent="Row" jsdata="$item">a</span></li>' +
+      '<li jstransition="fade"><span jscomponent="Row" jsdata="$item">b</span></li>' +
+    '</ul></div>'
+  );
+  var rows = t.document.querySelectorAll('li');
+
+  await t.get('div').setState({ items: ['b', 'c'] });
+  var all = t.document.querySelectorAll('li');
+  assert.deepStrictEqual(Array.from(all, function (li) { return li.textContent; }), ['a', 'b', 'c']);
+  assert.deepStrictEqual(classes(rows[0]), ['fade-leave-active', 'fade-leave-from']);
+  assert.deepStrictEqual(classes(all[2]), ['fade-enter-active', 'fade-enter-from']);
+  assert.deepStrictEqual(destroyed, []);
+  assert.ok(t.get(rows[0].firstChild));
+
+  await nextFrame();
+  t.dispatch(rows[0], 'transitionend');
+  await t.settle();
+  assert.strictEqual(rows[0].isConnected, false);
+  assert.deepStrictEqual(destroyed, ['a']);
+  assert.strictEqual(t.get(rows[0].firstChild), null);
+});
@@ -0,0 +1,37 @@
+/**
+ * Ziw expressions for Node — the binding language of ziw.js, for
+ * ziw-server.js, so the server reads every binding exactly as the browser
+ * does.
+ *
+ * The language lives in ziw.js itself (between its <ziw-expr> markers), so
+ * pages need only that one script. This module evaluates that block, so
+ * there is a single copy of the parser and formatters:
+ *
+ *   var expressions = require('./ziw-expr').create({ onError: function (error, info, context) { … } });
+ *   var compiled = expressions.compileExpression('count | plural:"item"');
+ *   expressions.evaluate(compiled, { count: 2 });  // "2 items"
+ *
+ * Each create() call is an independent instance with its own compile
+ * caches and formatters.
+ */
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+
+var BEGIN_MARKER = '// <ziw-expr>';
+var END_MARKER = '// </ziw-expr>';
+
+/**
+ * Evaluate the expression language block of ziw.js and return its
+ * { create } factory.
+ */
+function loadExpressionLanguage(file) {
+  var source = fs.readFileSync(file, 'utf8');
+  var begin = source.indexOf(BEGIN_MARKER);
+  var end = source.indexOf(END_MARKER);
+  if (begin < 0 || end < begin) throw new Error('Ziw: no ' + BEGIN_MARKER + ' block in ' + file);
+  return Function("'use strict';\n" + source.slice(begin, end) + '\nreturn expressionLanguage();')();
+}
+
+module.exports = loadExpressionLanguage(path.join(__dirname, 'ziw.js'));
@@ -0,0 +1,605 @@
+/**
+ * Ziw server renderer — produces Ziw-compatible HTML from component markup
+ * and a state object, in Node, without a DOM.
+ *
+ * The output follows the same binding semantics as the browser runtime, so
+ * it hydrates back to the given state:
+ *   jsdata="expr"     — textContent set to String(value); a bare key may be a dot path
+ *   jstext="a {expr}" — textContent from text with {expression} placeholders
+ *   jsfor="key"       — first child element repeated per item, rows bound to item, $item, $index
+ *   jsif="expr"       — real element when truthy, <template jsif> form when falsy
+ *   jsattr-foo="expr" — attribute set, or removed for false/null/undefined
+ *   jsclass, jsclass-foo, jsstyle-prop — merged into the class / style attributes
+ *   jsbind="key"      — value / checked / selected / textarea and contenteditable content
+ *
+ * Numbers and booleans written as text get a jsdata-type, jskey-type or
+ * jsbind-type attribute, so they hydrate as numbers and booleans, not strings.
+ *
+ * Usage:
+ *   var renderToString = require('./ziw-server').renderToString;
+ *   var html = renderToString(templateHtml, { count: 3 });
+ *
+ * Expressions are compiled by ziw-expr.js, which runs the expression
+ * language of ziw.js itself, so both read bindings alike.
+ *
+ * Bindings are scoped like the runtime: if the markup's root element has a
+ * jscomponent attribute it is the component, and nested jscomponent subtrees
+ * are left untouched.
+ */
+'use strict';
+
+var VOID_ELEMENTS = {
+  area: true, base: true, br: true, col: true, embed: true, hr: true, img: true,
+  input: true, link: true, meta: true, param: true, source: true, track: true, wbr: true,
+};
+
+// Elements whose content is raw text up to the matching end tag.
+var RAW_TEXT_ELEMENTS = { script: true, style: true, textarea: true, title: true };
+
+// Start tags that implicitly close an open element of the listed names.
+var IMPLIED_END = {
+  li: ['li'], p: ['p'], option: ['option'],
+  tr: ['tr', 'td', 'th'], td: ['td', 'th'], th: ['td', 'th'],
+};
+
+// ---------------------------------------------------------------------------
+// Parsing
+// ---------------------------------------------------------------------------
+
+function createElement(tag, attrs) {
+  return { type: 'element', tag: tag, attrs: attrs || [], children: [], parent: null };
+}
+
+function createText(raw) {
+  return { type: 'text', raw: raw, parent: null };
+}
+
+function appendChild(parent, node) {
+  node.parent = parent;
+  parent.children.push(node);
+}
+
+/**
+ * Decode the character references that can appear in attribute values.
+ */
+function decodeEntities(str) {
+  return str.replace(/&(#x[0-9a-f]+|#[0-9]+|amp|lt|gt|quot|apos|nbsp);/gi, function (m, ref) {
+    var lower = ref.toLowerCase();
+    if (lower[0] === '#') {
+      var code = lower[1] === 'x' ? parseInt(lower.slice(2), 16) : parseInt(lower.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    return { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' }[lower];
+  });
+}
+
+/**
+ * Parse the attribute section of a start tag into [{ name, value, raw }].
+ * `raw` keeps the original source so untouched attributes serialize verbatim.
+ */
+function parseAttributes(source) {
+  var attrs = [];
+  var re = /([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+  var match;
+  while ((match = re.exec(source))) {
+    var value = match[2] !== undefined ? match[2] :
+                match[3] !== undefined ? match[3] :
+                match[4] !== undefined ? match[4] : '';
+    attrs.push({ name: match[1].toLowerCase(), value: decodeEntities(value), raw: match[0] });
+  }
+  return attrs;
+}
+
+/**
+ * Parse an HTML fragment into a lightweight tree rooted at a 'fragment' node.
+ * Handles comments, doctypes, void and raw-text elements, and the common
+ * implied end tags; it is meant for component markup, not arbitrary pages.
+ */
+function parse(html) {
+  var root = createElement('#fragment');
+  var current = root;
+  var pos = 0;
+
+  function closeTo(tag) {
+    var node = current;
+    while (node !== root && node.tag !== tag) node = node.parent;
+    if (node !== root) current = node.parent;
+  }
+
+  while (pos < html.length) {
+    var lt = html.indexOf('<', pos);
+    if (lt === -1) lt = html.length;
+    if (lt > pos) {
+      appendChild(current, createText(html.slice(pos, lt)));
+      pos = lt;
+      continue;
+    }
+
+    if (html.startsWith('<!--', pos)) {
+      var endComment = html.indexOf('-->', pos + 4);
+      if (endComment === -1) endComment = html.length;
+      appendChild(current, { type: 'comment', raw: html.slice(pos, endComment + 3), parent: null });
+      pos = endComment + 3;
+      continue;
+    }
+
+    var endTagMatch = /^<\/([a-zA-Z][^\s>\/]*)\s*>/.exec(html.slice(pos));
+    if (endTagMatch) {
+      closeTo(endTagMatch[1].toLowerCase());
+      pos += endTagMatch[0].length;
+      continue;
+    }
+
+    var startTagMatch = /^<([a-zA-Z][^\s>\/]*)((?:[^>"']|"[^"]*"|'[^']*')*?)(\/?)>/.exec(html.slice(pos));
+    if (startTagMatch) {
+      var tag = startTagMatch[1].toLowerCase();
+      var implied = IMPLIED_END[tag];
+      if (implied && implied.indexOf(current.tag) !== -1) current = current.parent;
+
+      var el = createElement(tag, parseAttributes(startTagMatch[2]));
+      appendChild(current, el);
+      pos += startTagMatch[0].length;
+
+      if (RAW_TEXT_ELEMENTS[tag]) {
+        var close = html.toLowerCase().indexOf('</' + tag, pos);
+        if (close === -1) close = html.length;
+        if (close > pos) appendChild(el, createText(html.slice(pos, close)));
+        pos = close;
+        var gt = html.indexOf('>', pos);
+        pos = gt === -1 ? html.length : gt + 1;
+      } else if (!VOID_ELEMENTS[tag] && !startTagMatch[3]) {
+        current = el;
+      }
+      continue;
+    }
+
+    // Doctype, processing instruction or a stray '<' — keep it as raw text.
+    var other = /^<[!?][^>]*>/.exec(html.slice(pos));
+    var raw = other ? other[0] : '<';
+    appendChild(current, createText(raw));
+    pos += raw.length;
+  }
+
+  return root;
+}
+
+// ---------------------------------------------------------------------------
+// Tree helpers
+// ---------------------------------------------------------------------------
+
+function escapeText(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function escapeAttr(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+}
+
+function getAttr(el, name) {
+  for (var i = 0; i < el.attrs.length; i++) {
+    if (el.attrs[i].name === name) return el.attrs[i].value;
+  }
+  return null;
+}
+
+function hasAttr(el, name) {
+  return getAttr(el, name) !== null;
+}
+
+function setAttr(el, name, value) {
+  var attr = { name: name, value: String(value), raw: null };
+  for (var i = 0; i < el.attrs.length; i++) {
+    if (el.attrs[i].name === name) {
+      el.attrs[i] = attr;
+      return;
+    }
+  }
+  el.attrs.push(attr);
+}
+
+function removeAttr(el, name) {
+  el.attrs = el.attrs.filter(function (attr) { return attr.name !== name; });
+}
+
+function setText(el, value) {
+  el.children = [];
+  appendChild(el, createText(escapeText(value)));
+}
+
+function textContent(node) {
+  if (node.type === 'text') return decodeEntities(node.raw);
+  if (node.type !== 'element') return '';
+  var text = '';
+  for (var i = 0; i < node.children.length; i++) text += textContent(node.children[i]);
+  return text;
+}
+
+function elementChildren(el) {
+  return el.children.filter(function (child) { return child.type === 'element'; });
+}
+
+function cloneNode(node) {
+  if (node.type !== 'element') return { type: node.type, raw: node.raw, parent: null };
+  var copy = createElement(node.tag, node.attrs.map(function (attr) {
+    return { name: attr.name, value: attr.value, raw: attr.raw };
+  }));
+  for (var i = 0; i < node.children.length; i++) appendChild(copy, cloneNode(node.children[i]));
+  return copy;
+}
+
+function replaceNode(oldNode, newNode) {
+  var siblings = oldNode.parent.children;
+  newNode.parent = oldNode.parent;
+  siblings[siblings.indexOf(oldNode)] = newNode;
+  oldNode.parent = null;
+}
+
+/**
+ * Collect descendant elements (excluding root) in document order.
+ */
+function descendants(root) {
+  var found = [];
+  (function walk(node) {
+    for (var i = 0; i < node.children.length; i++) {
+      var child = node.children[i];
+      if (child.type !== 'element') continue;
+      found.push(child);
+      walk(child);
+    }
+  })(root);
+  return found;
+}
+
+/**
+ * Mirror of the runtime's inScope: no jscomponent or jsfor between el and
+ * root, so the element is bound against root's scope.
+ */
+function inScope(el, root) {
+  var ancestor = el.parent;
+  while (ancestor && ancestor !== root) {
+    if (hasAttr(ancestor, 'jscomponent') || hasAttr(ancestor, 'jsfor')) return false;
+    ancestor = ancestor.parent;
+  }
+  return ancestor === root;
+}
+
+// The elements bound in root's scope, root itself included if self is set.
+function scopeElements(root, self) {
+  return (self ? [root] : []).concat(descendants(root).filter(function (el) {
+    return inScope(el, root);
+  }));
+}
+
+// ---------------------------------------------------------------------------
+// Expressions
+// ---------------------------------------------------------------------------
+
+// Set<Function> — onError() listeners.
+var errorHandlers = new Set();
+
+// The binding expression language: the same code as the browser runtime's.
+var expressions = require('./ziw-expr').create({ onError: reportError });
+var compileExpression = expressions.compileExpression;
+var compileTemplate = expressions.compileTemplate;
+var evaluate = expressions.evaluate;
+
+/**
+ * Route a binding error (a syntax error, an unknown formatter…) to the
+ * onError() listeners, or to the console if there are none. Either way
+ * the binding renders as it would in the browser: as undefined.
+ */
+function reportError(error, info) {
+  info.error = error;
+  if (errorHandlers.size === 0) {
+    console.error('[Ziw] ' + info.phase + ' error in "' + info.expression + '"', error);
+    return;
+  }
+  errorHandlers.forEach(function (fn) { fn(info); });
+}
+
+/**
+ * Register an error listener, like Ziw.onError in the browser; it gets
+ * { error, phase: 'binding', expression }. A listener that throws fails
+ * the renderToString() call. Returns a function that removes it.
+ */
+function onError(fn) {
+  errorHandlers.add(fn);
+  return function () { errorHandlers.delete(fn); };
+}
+
+// ---------------------------------------------------------------------------
+// Bindings
+// ---------------------------------------------------------------------------
+
+/**
+ * Read a dot-separated path from an object (same rules as the runtime).
+ */
+function getPath(obj, path) {
+  var parts = path.split('.');
+  for (var i = 0; i < parts.length; i++) {
+    if (obj === null || obj === undefined) return undefined;
+    obj = obj[parts[i]];
+  }
+  return obj;
+}
+
+function hasPath(obj, path) {
+  var parts = path.split('.');
+  for (var i = 0; i < parts.length; i++) {
+    if (obj === null || typeof obj !== 'object' || !(parts[i] in obj)) return false;
+    obj = obj[parts[i]];
+  }
+  return true;
+}
+
+/**
+ * Normalize each jsif element to the form the runtime hydrates to its value:
+ * the real element when visible, a <template jsif> wrapper when hidden.
+ */
+function renderIfBindings(root, scope) {
+  var els = scopeElements(root, false);
+  for (var i = 0; i < els.length; i++) {
+    var el = els[i];
+    if (!hasAttr(el, 'jsif')) continue;
+    var raw = getAttr(el, 'jsif');
+    var visible = !!evaluate(compileExpression(raw), scope);
+
+    if (el.tag === 'template') {
+      var content = elementChildren(el)[0];
+      if (!content || !visible) continue;
+      setAttr(content, 'jsif', raw);
+      replaceNode(el, content);
+    } else if (!visible) {
+      var wrapper = createElement('template', [{ name: 'jsif', value: raw, raw: null }]);
+      replaceNode(el, wrapper);
+      removeAttr(el, 'jsif');
+      appendChild(wrapper, el);
+    }
+  }
+}
+
+/**
+ * Set the text of a [jsdata] or [jstext] element, like the runtime's
+ * renderText. Returns without touching other elements.
+ */
+function renderText(el, scope) {
+  var compiled;
+  if (hasAttr(el, 'jsdata')) compiled = compileExpression(getAttr(el, 'jsdata'));
+  else if (hasAttr(el, 'jstext')) compiled = compileTemplate(getAttr(el, 'jstext'));
+  else return;
+  if (compiled.path !== null && !hasPath(scope, compiled.path)) return;
+  var value = evaluate(compiled, scope);
+  setText(el, value === null || value === undefined ? '' : value);
+  // Bare paths hydrate back into state: say what the text was.
+  if (compiled.path !== null) markType(el, 'jsdata-type', value);
+}
+
+/**
+ * Set a jsdata-type / jskey-type / jsbind-type attribute for a number or
+ * boolean written as text, so hydration reads it back with its type.
+ * An attribute already in the markup wins.
+ */
+function markType(el, name, value) {
+  var type = typeof value;
+  if ((type === 'number' || type === 'boolean') && !hasAttr(el, name)) setAttr(el, name, type);
+}
+
+/**
+ * Same as the runtime's rowScope: the item's fields, $item and $index over
+ * the enclosing scope.
+ */
+function rowScope(scope, item, index) {
+  var local = Object.create(scope);
+  if (item !== null && typeof item === 'object' && !Array.isArray(item)) Object.assign(local, item);
+  local.$item = item;
+  local.$index = index;
+  return local;
+}
+
+/**
+ * Repeat each jsfor container's first child per item, rendering every row
+ * against its own scope (nested lists included), like the runtime's renderRow.
+ */
+function renderForBindings(root, scope) {
+  var els = scopeElements(root, false);
+  for (var i = 0; i < els.length; i++) {
+    var container = els[i];
+    if (!hasAttr(container, 'jsfor')) continue;
+    var items = getPath(scope, getAttr(container, 'jsfor'));
+    var template = elementChildren(container)[0];
+    if (!Array.isArray(items) || !template) continue;
+
+    var keyField = getAttr(template, 'jskey');
+    var textBound = hasAttr(template, 'jsdata') || hasAttr(template, 'jstext') ||
+      descendants(template).some(function (el) { return hasAttr(el, 'jsdata') || hasAttr(el, 'jstext'); });
+    container.children = [];
+    for (var j = 0; j < items.length; j++) {
+      var item = items[j];
+      var row = cloneNode(template);
+      var isObject = item !== null && typeof item === 'object' && !Array.isArray(item);
+      if (isObject && keyField && item[keyField] !== undefined) {
+        setAttr(row, 'data-' + keyField, item[keyField]);
+        markType(row, 'jskey-type', item[keyField]);
+      }
+      if (!isObject && !textBound) {
+        setText(row, item);
+        markType(row, 'jsdata-type', item);
+      }
+      renderScope(row, rowScope(scope, item, j), true);
+      appendChild(container, row);
+    }
+  }
+}
+
+function renderDataBindings(root, scope, self) {
+  var els = scopeElements(root, self);
+  for (var i = 0; i < els.length; i++) renderText(els[i], scope);
+}
+
+// Class names from a jsclass value: a space-separated string, an array of
+// names, or an object whose truthy keys are the names to add.
+function classNames(value) {
+  if (!value) return [];
+  if (typeof value === 'string') return value.split(/\s+/).filter(Boolean);
+  if (Array.isArray(value)) {
+    return value.reduce(function (names, item) { return names.concat(classNames(item)); }, []);
+  }
+  if (typeof value === 'object') {
+    return Object.keys(value).filter(function (name) { return value[name]; });
+  }
+  return [];
+}
+
+// Add the names in `add` to the element's class attribute and drop those in `remove`.
+function updateClasses(el, add, remove) {
+  var classes = (getAttr(el, 'class') || '').split(/\s+/).filter(function (name) {
+    return name && remove.indexOf(name) === -1;
+  });
+  for (var i = 0; i < add.length; i++) {
+    if (classes.indexOf(add[i]) === -1) classes.push(add[i]);
+  }
+  if (classes.length > 0) setAttr(el, 'class', classes.join(' '));
+  else removeAttr(el, 'class');
+}
+
+// Set (or, for null, remove) one declaration in the element's style attribute.
+function updateStyle(el, prop, value) {
+  var declarations = (getAttr(el, 'style') || '').split(';').filter(function (decl) {
+    var colon = decl.indexOf(':');
+    return decl.trim() && (colon === -1 || decl.slice(0, colon).trim() !== prop);
+  }).map(function (decl) { return decl.trim(); });
+  if (value !== null) declarations.push(prop + ': ' + value);
+  if (declarations.length > 0) setAttr(el, 'style', declarations.join('; ') + ';');
+  else removeAttr(el, 'style');
+}
+
+function renderAttrBindings(root, scope, self) {
+  var els = scopeElements(root, self);
+  for (var i = 0; i < els.length; i++) {
+    var el = els[i];
+    var attrs = el.attrs.slice();
+    for (var j = 0; j < attrs.length; j++) {
+      var name = attrs[j].name;
+      if (name !== 'jsclass' && !/^js(?:class|style|attr)-/.test(name)) continue;
+      var value = evaluate(compileExpression(attrs[j].value), scope);
+      var empty = value === false || value === null || value === undefined;
+      if (name === 'jsclass') {
+        var falsyKeys = value && typeof value === 'object' && !Array.isArray(value) ?
+          Object.keys(value).filter(function (key) { return !value[key]; }) : [];
+        updateClasses(el, classNames(value), falsyKeys);
+      } else if (name.indexOf('jsclass-') === 0) {
+        var className = name.slice(8);
+        updateClasses(el, value ? [className] : [], value ? [] : [className]);
+      } else if (name.indexOf('jsstyle-') === 0) {
+        var prop = name.slice(8);
+        var dot = prop.indexOf('.', 2);
+        var unit = dot === -1 ? '' : prop.slice(dot + 1);
+        if (dot !== -1) prop = prop.slice(0, dot);
+        updateStyle(el, prop, empty || value === '' ? null : String(value) + unit);
+      } else {
+        var attr = name.slice(7);
+        if (empty) {
+          removeAttr(el, attr);
+        } else {
+          setAttr(el, attr, value === true ? '' : value);
+        }
+      }
+    }
+  }
+}
+
+function renderInputBindings(root, scope, self) {
+  var els = scopeElements(root, self);
+  for (var i = 0; i < els.length; i++) {
+    var el = els[i];
+    if (!hasAttr(el, 'jsbind')) continue;
+    var key = getAttr(el, 'jsbind');
+    if (!hasPath(scope, key)) continue;
+    var value = getPath(scope, key);
+    var type = (getAttr(el, 'type') || '').toLowerCase();
+
+    var editable = hasAttr(el, 'contenteditable') && getAttr(el, 'contenteditable') !== 'false';
+    // Radios and array-bound checkboxes are checked when their value matches.
+    var inputValue = hasAttr(el, 'value') ? getAttr(el, 'value') : 'on';
+    // A lone checkbox reads back as a boolean and number inputs as numbers
+    // already; other fields need jsbind-type for non-string values.
+    var typed = el.tag === 'input' && (type === 'number' || type === 'range' || (type === 'checkbox' && !Array.isArray(value)));
+    if (!typed) markType(el, 'jsbind-type', Array.isArray(value) ? value[0] : value);
+
+    if (el.tag === 'input' && type === 'radio') {
+      if (String(value) === inputValue) setAttr(el, 'checked', '');
+      else removeAttr(el, 'checked');
+    } else if (el.tag === 'input' && type === 'checkbox') {
+      if (Array.isArray(value) ? value.map(String).indexOf(inputValue) !== -1 : value) setAttr(el, 'checked', '');
+      else removeAttr(el, 'checked');
+    } else if (el.tag === 'textarea' || editable) {
+      setText(el, value === null || value === undefined ? '' : value);
+    } else if (el.tag === 'select') {
+      var selected = Array.isArray(value) ? value.map(String) : [String(value)];
+      var options = descendants(el).filter(function (node) { return node.tag === 'option'; });
+      for (var j = 0; j < options.length; j++) {
+        var optionValue = hasAttr(options[j], 'value') ? getAttr(options[j], 'value') : textContent(options[j]);
+        if (selected.indexOf(optionValue) !== -1) setAttr(options[j], 'selected', '');
+        else removeAttr(options[j], 'selected');
+      }
+    } else if (value === null || value === undefined) {
+      setAttr(el, 'value', '');
+    } else {
+      setAttr(el, 'value', value);
+    }
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Serialization
+// ---------------------------------------------------------------------------
+
+function serialize(node) {
+  if (node.type === 'text' || node.type === 'comment') return node.raw;
+  var html = '';
+  for (var i = 0; i < node.children.length; i++) html += serialize(node.children[i]);
+  if (node.tag === '#fragment') return html;
+
+  var open = '<' + node.tag;
+  for (var j = 0; j < node.attrs.length; j++) {
+    var attr = node.attrs[j];
+    open += ' ' + (attr.raw !== null ? attr.raw : attr.value === '' ? attr.name : attr.name + '="' + escapeAttr(attr.value) + '"');
+  }
+  open += '>';
+  return VOID_ELEMENTS[node.tag] ? open : open + html + '</' + node.tag + '>';
+}
+
+/**
+ * Render every binding in root's scope, jsfor rows recursively with their
+ * own scope. self includes root's own bindings (a row element).
+ */
+function renderScope(root, scope, self) {
+  renderIfBindings(root, scope);
+  renderForBindings(root, scope);
+  renderDataBindings(root, scope, self);
+  renderAttrBindings(root, scope, self);
+  renderInputBindings(root, scope, self);
+}
+
+/**
+ * Render component markup against a state object.
+ *
+ * @param {string} templateHtml — component markup (the jscomponent root element, or its contents).
+ * @param {object} state        — state to render; the output hydrates back to it.
+ * @returns {string} HTML
+ */
+function renderToString(templateHtml, state) {
+  var fragment = parse(templateHtml);
+  var roots = elementChildren(fragment);
+  var compEl = roots.length === 1 && hasAttr(roots[0], 'jscomponent') ? roots[0] : fragment;
+
+  renderScope(compEl, state || {}, false);
+  return serialize(fragment);
+}
+
+module.exports = {
+  renderToString: renderToString,
+  // Register custom formatters here too: each side has its own registry.
+  formatter: expressions.formatter,
+  onError: onError,
+};
@@ -0,0 +1,449 @@
+/**
+ * Ziw test kit — runs ziw.js headlessly in Node against a DOM window (a
+ * fresh jsdom one unless you pass your own), for testing components
+ * without a browser.
+ *
+ * Each createRuntime() call evaluates its own copy of the runtime, so
+ * registries, stores and listeners are never shared between windows:
+ *
+ *   var createRuntime = require('./ziw-test').createRuntime;
+ *
+ *   var t = createRuntime();
+ *   t.stub('./counter.js', { state: { count: 0 }, actions: { increment: ... } });
+ *   t.mount('<div jscomponent="Counter" jssrc="./counter.js" jsload="interaction">…</div>');
+ *   t.fire('increment');             // buffered: the component isn't loaded yet
+ *   t.resolveLoad('./counter.js');   // the stubbed script "arrives"; the click is replayed
+ *   t.settle().then(function () {
+ *     assert.equal(t.state('[jscomponent]').count, 1);
+ *   });
+ *
+ * Component scripts are never fetched: jssrc loads go through stubs, and
+ * stay pending until resolveLoad() (or straight away with { auto: true }),
+ * so buffering and every jsload path can be tested step by step. The
+ * browser APIs the load strategies wait on are replaced by controllable
+ * fakes: reveal(el) makes an element visible, idle() runs idle callbacks.
+ */
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+
+// Browser globals ziw.js reads as free variables; each runtime binds them to its window.
+// ziwTestHook is only ever bound here: ziw.js hands it the internals the kit needs.
+var RUNTIME_GLOBALS = ['window', 'document', 'CustomEvent', 'MutationObserver', 'IntersectionObserver',
+  'FormData', 'URL', 'URLSearchParams', 'ziwTestHook'];
+
+// Event constructors by event type prefix; everything else is a plain Event.
+var EVENT_CONSTRUCTORS = [
+  [/^(click|dblclick|contextmenu|mouse)/, 'MouseEvent'],
+  [/^pointer/, 'PointerEvent'],
+  [/^key/, 'KeyboardEvent'],
+  [/^(focus|blur)/, 'FocusEvent'],
+  [/^submit$/, 'SubmitEvent'],
+];
+
+// Map<string, string> — ziw.js sources read so far, by file path.
+var sourceCache = new Map();
+
+function readSource(file) {
+  if (!sourceCache.has(file)) sourceCache.set(file, fs.readFileSync(file, 'utf8'));
+  return sourceCache.get(file);
+}
+
+/**
+ * A fresh, empty jsdom window. jsdom is only required when no window is
+ * passed in.
+ */
+function createWindow() {
+  var JSDOM = require('jsdom').JSDOM;
+  return new JSDOM('<!DOCTYPE html>', { url: 'http://localhost/' }).window;
+}
+
+// ---------------------------------------------------------------------------
+// Browser API fakes
+// ---------------------------------------------------------------------------
+
+/**
+ * An IntersectionObserver class whose instances report an element as
+ * visible only when reveal(el) is called.
+ */
+function createIntersectionObserver(observers) {
+  function FakeIntersectionObserver(callback) {
+    this.callback = callback;
+    this.targets = new Set();
+    observers.add(this);
+  }
+  FakeIntersectionObserver.prototype.observe = function (el) { this.targets.add(el); };
+  FakeIntersectionObserver.prototype.unobserve = function (el) { this.targets.delete(el); };
+  FakeIntersectionObserver.prototype.disconnect = function () {
+    this.targets.clear();
+    observers.delete(this);
+  };
+  return FakeIntersectionObserver;
+}
+
+/**
+ * Replace the window's requestIdleCallback/cancelIdleCallback with a queue
+ * that only runs when idle() is called.
+ */
+function installIdleQueue(window, queue) {
+  var nextHandle = 1;
+  window.requestIdleCallback = function (fn) {
+    var handle = nextHandle++;
+    queue.set(handle, fn);
+    return handle;
+  };
+  window.cancelIdleCallback = function (handle) {
+    queue.delete(handle);
+  };
+}
+
+/**
+ * Create an event of the right interface for its type. init defaults to
+ * { bubbles: true, cancelable: true }.
+ */
+function createEvent(window, type, init) {
+  init = Object.assign({ bubbles: true, cancelable: true }, init);
+  for (var i = 0; i < EVENT_CONSTRUCTORS.length; i++) {
+    var Ctor = window[EVENT_CONSTRUCTORS[i][1]];
+    if (EVENT_CONSTRUCTORS[i][0].test(type) && Ctor) return new Ctor(type, init);
+  }
+  return new window.Event(type, init);
+}
+
+// ---------------------------------------------------------------------------
+// jsaction lookup
+// ---------------------------------------------------------------------------
+
+/**
+ * The first [jsaction] element under root naming actionName, with the
+ * runtime's spec for it (parsed by ziw.js itself, so modifiers and
+ * several actions per attribute read exactly as they do in the browser)
+ * and the event type to fire: options.event, or the spec's own type, or
+ * 'click' for a bare action. Returns null if there is none.
+ */
+function findAction(internals, root, actionName, eventType) {
+  var els = root.querySelectorAll('[jsaction]');
+  for (var i = 0; i < els.length; i++) {
+    var specs = internals.parseActions(els[i].getAttribute('jsaction'));
+    for (var j = 0; j < specs.length; j++) {
+      if (specs[j].actionName !== actionName) continue;
+      if (eventType && specs[j].eventType && specs[j].eventType !== eventType) continue;
+      return { el: els[i], spec: specs[j], eventType: eventType || specs[j].eventType || 'click' };
+    }
+  }
+  return null;
+}
+
+/**
+ * Event init that satisfies a spec's key and system-key modifiers, so
+ * fire('add') reaches jsaction="keydown.ctrl.enter:add". init wins.
+ */
+function specInit(spec, init) {
+  var modifiers = {};
+  if (spec.keys.length > 0) modifiers.key = spec.keys[0];
+  for (var i = 0; i < spec.systemKeys.length; i++) modifiers[spec.systemKeys[i] + 'Key'] = true;
+  return Object.assign(modifiers, init);
+}
+
+// ---------------------------------------------------------------------------
+// Runtime
+// ---------------------------------------------------------------------------
+
+/**
+ * Evaluate ziw.js against a window and return helpers for driving it.
+ *
+ * @param {Window} [window] — a DOM window, e.g. new JSDOM(html, { url }).window.
+ *   It should be a fresh one: the runtime installs listeners on its document.
+ *   Defaults to a new, empty jsdom window at http://localhost/ (jsdom must
+ *   be installed).
+ * @param {object} [options]
+ * @param {string} [options.src]  — path of ziw.js (defaults to the one next to this file)
+ * @param {object} [options.config] — passed to Ziw.config(); loadRetries defaults to 0 here
+ * @returns {object} the test runtime (see the methods below)
+ */
+function createRuntime(window, options) {
+  options = options || {};
+  window = window || createWindow();
+  var document = window.document;
+  var observers = new Set();
+  var idleQueue = new Map();
+  // Map<string, { definition, auto }> — stubbed jssrc values.
+  var stubs = new Map();
+  // Array<{ src, type, settled, resolve, reject }> — loads the runtime asked for, in order.
+  var requests = [];
+  var roots = [];
+  var errors = [];
+
+  installIdleQueue(window, idleQueue);
+  var globals = {
+    window: window,
+    document: document,
+    CustomEvent: window.CustomEvent,
+    MutationObserver: window.MutationObserver,
+    IntersectionObserver: createIntersectionObserver(observers),
+    FormData: window.FormData,
+    URL: window.URL || URL,
+    URLSearchParams: window.URLSearchParams || URLSearchParams,
+  };
+  // { parseActions, loading, flushing } — handed over by ziw.js through ziwTestHook.
+  var internals = null;
+  globals.ziwTestHook = function (exposed) { internals = exposed; };
+  var src = options.src || path.join(__dirname, 'ziw.js');
+  var run = Function.apply(null, RUNTIME_GLOBALS.concat(readSource(src)));
+  run.apply(window, RUNTIME_GLOBALS.map(function (name) { return globals[name]; }));
+
+  var Ziw = window.Ziw;
+  Ziw.onError(function (info) { errors.push(info); });
+  Ziw.config(Object.assign({ loadRetries: 0 }, options.config, { loader: loader }));
+
+  /**
+   * Ziw.config({ loader }) for the stubs: a load waits for resolveLoad()
+   * unless its stub is auto. Unstubbed srcs fail to load.
+   */
+  function loader(src, type) {
+    var stub = stubs.get(src);
+    if (!stub) return Promise.reject(new Error('No stub for component script ' + src));
+    return new Promise(function (resolve, reject) {
+      var request = { src: src, type: type, settled: false, resolve: resolve, reject: reject };
+      requests.push(request);
+      if (stub.auto) settleLoad(request, null);
+    });
+  }
+
+  /**
+   * Finish a pending load: run a function stub (like a classic script
+   * calling Ziw.register) or hand back a definition as the default export.
+   */
+  function settleLoad(request, error) {
+    request.settled = true;
+    if (error) return request.reject(error);
+    var definition = stubs.get(request.src).definition;
+    if (typeof definition === 'function') {
+      try {
+        definition(Ziw, window);
+      } catch (err) {
+        return request.reject(err);
+      }
+      return request.resolve(null);
+    }
+    request.resolve({ default: definition });
+  }
+
+  function pendingRequests(src) {
+    return requests.filter(function (request) {
+      return !request.settled && (src === undefined || request.src === src);
+    });
+  }
+
+  /**
+   * An element from an element or a selector (searched in the mounted
+   * fixtures, then the whole document).
+   */
+  function element(target) {
+    if (typeof target !== 'string') return target;
+    for (var i = roots.length - 1; i >= 0; i--) {
+      var found = roots[i].querySelector(target);
+      if (found) return found;
+    }
+    var el = document.querySelector(target);
+    if (!el) throw new Error('No element matches ' + target);
+    return el;
+  }
+
+  var runtime = {
+    window: window,
+    document: document,
+    Ziw: Ziw,
+    // Everything reported to Ziw.onError, in order: { error, phase, component, … }.
+    errors: errors,
+
+    /**
+     * Add fixture HTML to the body and activate it: bind routes, schedule
+     * component loads and initialize registered components. Returns the
+     * wrapper element.
+     */
+    mount: function (html) {
+      var root = document.createElement('div');
+      root.innerHTML = html;
+      document.body.appendChild(root);
+      roots.push(root);
+      Ziw.scan(root);
+      return root;
+    },
+
+    /**
+     * Register a definition directly, as a loaded script would. Works
+     * before or after mounting the components that use it.
+     */
+    register: function (name, def) {
+      Ziw.register(name, def);
+    },
+
+    /**
+     * Stub a jssrc value. definition is a component definition (registered
+     * under the jscomponent name that requested it, like a module's default
+     * export) or a function(Ziw, window) run like a classic script. The load
+     * waits for resolveLoad(src) unless options.auto is set.
+     */
+    stub: function (src, definition, stubOptions) {
+      stubs.set(src, { definition: definition, auto: !!(stubOptions && stubOptions.auto) });
+    },
+
+    /**
+     * The srcs the runtime has asked for and that are still pending.
+     */
+    pendingLoads: function () {
+      return pendingRequests().map(function (request) { return request.src; });
+    },
+
+    /**
+     * Let the pending loads of src (or all of them) finish. Call settle()
+     * afterwards to wait for the replay of buffered events.
+     */
+    resolveLoad: function (src) {
+      var pending = pendingRequests(src);
+      if (pending.length === 0) throw new Error('No pending load' + (src ? ' of ' + src : ''));
+      pending.forEach(function (request) { settleLoad(request, null); });
+    },
+
+    /**
+     * Fail the pending loads of src (or all of them) with error.
+     */
+    failLoad: function (src, error) {
+      var pending = pendingRequests(src);
+      if (pending.length === 0) throw new Error('No pending load' + (src ? ' of ' + src : ''));
+      pending.forEach(function (request) {
+        settleLoad(request, error || new Error('Failed to load component script: ' + request.src));
+      });
+    },
+
+    /**
+     * Report target as intersecting to the observers watching it
+     * (jsload="visible").
+     */
+    reveal: function (target) {
+      var el = element(target);
+      observers.forEach(function (observer) {
+        if (observer.targets.has(el)) observer.callback([{ target: el, isIntersecting: true }], observer);
+      });
+    },
+
+    /**
+     * Run the queued requestIdleCallback callbacks (jsload="idle").
+     */
+    idle: function () {
+      var callbacks = Array.from(idleQueue.values());
+      idleQueue.clear();
+      callbacks.forEach(function (fn) { fn({ didTimeout: false, timeRemaining: function () { return 50; } }); });
+    },
+
+    /**
+     * Dispatch an event of the given type at target (bubbling and
+     * cancelable unless init says otherwise). Returns the event.
+     */
+    dispatch: function (target, type, init) {
+      var event = createEvent(window, type, init);
+      element(target).dispatchEvent(event);
+      return event;
+    },
+
+    click: function (target, init) {
+      return runtime.dispatch(target, 'click', init);
+    },
+
+    /**
+     * Set a field's value (checked for checkboxes and radios) and fire
+     * input and change, as typing or picking would.
+     */
+    input: function (target, value) {
+      var el = element(target);
+      if (el.type === 'checkbox' || el.type === 'radio') el.checked = !!value;
+      else if (el.isContentEditable || el.hasAttribute('contenteditable')) el.textContent = value;
+      else el.value = value;
+      runtime.dispatch(el, 'input');
+      runtime.dispatch(el, 'change');
+      return el;
+    },
+
+    /**
+     * Fire the event of the first [jsaction] element naming actionName,
+     * within options.within (an element or selector; default: the mounted
+     * fixtures and the document). options.event picks the event type,
+     * options.init is passed to the event. Returns the event.
+     */
+    fire: function (actionName, fireOptions) {
+      fireOptions = fireOptions || {};
+      var scopes = fireOptions.within ? [element(fireOptions.within)] : roots.concat(document);
+      for (var i = 0; i < scopes.length; i++) {
+        var found = findAction(internals, scopes[i], actionName, fireOptions.event);
+        if (found) return runtime.dispatch(found.el, found.eventType, specInit(found.spec, fireOptions.init));
+      }
+      throw new Error('No jsaction names "' + actionName + '"');
+    },
+
+    /**
+     * Wait until the runtime is quiet: every load that isn't waiting on
+     * resolveLoad() has registered and replayed its events (loads that
+     * start meanwhile, e.g. jsload="after:…" chains, included) and no
+     * setState batch is left to render. Pending stubbed loads stay pending.
+     */
+    settle: function () {
+      function round() {
+        // A macrotask first, so promise chains started by the last round run out.
+        return new Promise(function (resolve) { setTimeout(resolve, 0); }).then(function () {
+          var loads = internals.loading().filter(function (src) {
+            return pendingRequests(src).length === 0;
+          });
+          if (loads.length === 0 && !internals.flushing()) return undefined;
+          // Polled rather than awaited: a load retrying after a failure
+          // may go back to waiting on resolveLoad().
+          return Ziw.nextTick().then(round);
+        });
+      }
+      return round();
+    },
+
+    /**
+     * Ziw.get() for target: { state, props, setState }, or null.
+     */
+    get: function (target) {
+      return Ziw.get(element(target));
+    },
+
+    /**
+     * The current state of the component on (or around) target.
+     */
+    state: function (target) {
+      var instance = Ziw.get(element(target));
+      if (!instance) throw new Error('No component instance at ' + target);
+      return instance.state;
+    },
+
+    /**
+     * Ziw.inspect() for target.
+     */
+    inspect: function (target) {
+      return Ziw.inspect(element(target));
+    },
+
+    $: element,
+
+    /**
+     * Destroy the components in the mounted fixtures and remove them.
+     */
+    cleanup: function () {
+      roots.forEach(function (root) {
+        var comps = root.querySelectorAll('[jscomponent]');
+        for (var i = comps.length - 1; i >= 0; i--) Ziw.destroy(comps[i]);
+        root.remove();
+      });
+      roots = [];
+    },
+  };
+  return runtime;
+}
+
+module.exports = {
+  createRuntime: createRuntime,
+};
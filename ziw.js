@@ -7,26 +7,84 @@
  * HTML API:
  *   jscomponent="Name"  — marks an element as a component root
  *   jsaction="actionName" — marks an element as triggering a named action
+ *   jsaction="click:add; keydown.enter:add; input.debounce-300:search"
+ *                       — event:action pairs with modifiers (prevent, stop, once, self,
+ *                         debounce-ms, throttle-ms, ctrl/alt/shift/meta, key names)
  *   jssrc="./path.js"   — URL of the component's JS file (enables lazy loading)
- *   jsload="eager|interaction|visible|idle" — when to load the JS
- *   jsdata="key"        — binds element's textContent to a state key
- *   jsfor="key"         — repeats first child element for each item in a state array
- *   jsif="key"          — removes element when falsy, re-inserts when truthy (prefix ! to negate)
- *   jsattr-foo="key"    — sets attribute foo from state; false/null removes it
- *   jsbind="key"        — two-way binding: syncs input/select/textarea value to state
+ *   jstype="module"     — load jssrc with import() (implied for .mjs); exports are registered
+ *   jsload="eager|interaction|visible|idle|hover|focus" — when to load the JS
+ *   jsload="media:(min-width: 800px)" — load once the media query matches
+ *   jsload="after:Name"  — load once component Name has registered
+ *   jsbuffer="submit click" — event types to preventDefault while buffered before load
+ *   jsdata="expr"       — binds element's textContent to a state key or expression
+ *   jstext="Hi {name}!" — textContent from text with {expression} placeholders
+ *   jsfor="key"         — repeats first child element for each item in a state array; bindings
+ *                         in a row read the item's fields, $item and $index (nested jsfor too)
+ *   jskey="field"       — on a jsfor template: item field used to match rows across updates
+ *   jsdata-type="number|boolean" / jskey-type — type of hydrated jsdata text / data-<key> field
+ *   jsif="expr"         — removes element when falsy, re-inserts when truthy
+ *   jstransition="fade" — on a jsif, jsroute or jsfor row element: enter/leave classes fade-enter-from,
+ *                         fade-enter-active, fade-enter-to, fade-leave-from, … ; removal waits for the end
+ *   jsattr-foo="expr"   — sets attribute foo from state; false/null removes it
+ *   jsclass-foo="key"   — toggles class foo on truthiness, keeping the other classes
+ *   jsclass="key"       — adds classes from a string, array or { name: bool } map
+ *   jsstyle-prop="key"  — sets one style property or --custom-property (jsstyle-width.px adds a unit)
+ *   jsbind="key"        — two-way binding: syncs input/select/textarea/contenteditable value to state
+ *                         (radio groups → value, checkboxes → boolean or array, select multiple → array)
+ *   jsbind-type="number|boolean|string" — coerce the bound value (number/range inputs default to number)
+ *   jsbind-lazy         — sync on change (blur for contenteditable) instead of every input
+ *   jsprop-foo="a {expr}" — on a child component: passes prop foo ($props.foo); "{expr}" passes the raw value
+ *   jspersist="id"      — storage key suffix for a component with def.persist (defaults to the element id)
+ *   jsroute="/items/:id" — shown while the location matches (":name" captures a segment, a final "*"
+ *                         the rest), removed otherwise; <template jsroute> starts hidden. Same-origin
+ *                         links to a route path navigate without a reload
+ *   <template jserror>  — inside a component: shown if its script fails to load
+ *   <form jssubmit="/url"> — validate jsbind fields on submit, then post them as JSON (URL optional)
+ *   <script type="application/json" jsmanifest> — { "Name": { src, load, type, deps } }
+ *                       — manifest used for components without jssrc
+ *
+ *   Binding keys may be dot paths into nested state ("user.name", "todos.0.text").
+ *   jsdata, jstext, jsif, jsattr-*, jsclass and jsstyle-* take expressions (no eval):
+ *   a.b, a[i], ! - + * / %, comparisons, && || ??, a ? b : c, 'text {expr}', value | formatter:arg.
+ *   Route: $route.path, $route.params.id, $route.query.key.
+ *   Form state: $errors.key, $touched.key, $dirty.key, $form.valid/invalid/dirty/touched,
+ *   $form.submitting/submitted/status/response/error.
  *
  * JS API:
  *   Ziw.register('Name', {
  *     state: { key: initialValue },           // optional initial state
+ *     props: { key: defaultValue },           // props from jsprop-* attributes, bindable as $props.key
+ *     on: { saved(event, childEl, compEl, ctx) { } }, // a descendant's emit('saved', detail)
+ *     stores: ['cart'],                        // shared stores bound as $cart.key
+ *     computed: { total(state) { } },          // derived values, bindable like state keys
+ *     concurrency: { save: 'drop' },           // re-entrant async actions: 'drop' | 'queue'
+ *     validate: { email(value, state) { } },   // return a message if invalid; see $errors, $form
+ *     persist: { storage, keys, version, migrate, debounce },  // or true: save state to local/sessionStorage
+ *     url: { keys, mode: 'query'|'hash', history: 'replace'|'push' }, // or [keys]: mirror state in the URL
  *     init(compEl, state) { },                 // called once on activation
- *     update(compEl, state, prev) { },         // called after each setState
- *     destroy(compEl, state) { },              // called via Ziw.destroy(el)
+ *     update(compEl, state, prev) { },         // called once per batch of setState calls (see below)
+ *     propsChanged(compEl, props, prev) { },   // called after new props are rendered
+ *     routeChanged(compEl, route, prev) { },   // called after the location's route changed
+ *     destroy(compEl, state) { },              // called via Ziw.destroy(el) or on removal when observing
  *     actions: {
  *       actionName: {
- *         click(event, actionEl, componentEl, { state, setState }) { ... }
- *       }
- *     }
+ *         click(event, actionEl, componentEl, { state, props, route, setState, emit, validate, computed, stores }) { ... }
+ *       },
+ *       otherAction(event, actionEl, componentEl, ctx) { ... }  // event type from jsaction
+ *     }                                        // in a jsfor row, ctx also has item, index, itemPath
  *   });
+ *   setState({ 'a.b': v }) / setState(prev => patch) — replaces state (ctx.state is a snapshot);
+ *                                            calls batch until the next microtask and resolve when rendered
+ *   Ziw.nextTick()                           // promise: resolves once pending setState calls and store writes are rendered
+ *   Ziw.get(el)                              // { state, props, setState } of a component instance, or null
+ *   Ziw.navigate('/items/3', { replace })    // go to a URL in place, as a jsroute link does
+ *   Ziw.store('cart', { count: 0 })         // shared store: { get, set, subscribe }
+ *   Ziw.onError(fn)                          // fn({ error, phase, component, action, src, element })
+ *   Ziw.debug(true)                          // trace event dispatch and warn about likely mistakes
+ *   Ziw.inspect(el)                          // { state, prev, props, computed, ifs, attrs, fors } snapshot
+ *   Ziw.config({ loadRetries, loadRetryDelay, bufferTimeout, flush, router, loader, components: { Name: { src, load, type, deps } } })
+ *   Ziw.defineLoadStrategy('name', (el, load, arg) => cleanup)  // custom jsload="name:arg"
+ *   Ziw.formatter('name', (value, ...args) => result)            // pipe: value | name:arg
  */
 (function () {
   'use strict';
@@ -37,28 +95,174 @@
   // Set<string> — DOM event type names that already have a global listener.
   var activeEventTypes = new Set();
 
+  // This runtime's instance of the binding expression language (see
+  // expressionLanguage below; ziw-server.js runs the same code).
+  var expressions = expressionLanguage().create({ onError: reportBindingError });
+  var compileExpression = expressions.compileExpression;
+  var compileTemplate = expressions.compileTemplate;
+  var compileProp = expressions.compileProp;
+  var evaluate = expressions.evaluate;
+  var formatter = expressions.formatter;
+
   // Map<string, Promise> — in-flight script loads keyed by src URL.
   var pendingLoads = new Map();
 
-  // Array<{event, actionEl, compEl, compName, actionName, eventType}>
-  // Buffered events for "interaction" components waiting to load.
+  // Set<string> — srcs whose load hasn't registered and replayed (or failed) yet.
+  var unfinishedLoads = new Set();
+
+  // Map<string, {src, load, type, deps}> — component manifest from
+  // Ziw.config({ components }) and <script jsmanifest> blocks.
+  var manifest = new Map();
+
+  // WeakSet<Element> — jsmanifest scripts already read.
+  var readManifestScripts = new WeakSet();
+
+  // Set<string> — srcs that already have a preload hint.
+  var preloadedSrcs = new Set();
+
+  // Array<{event, actionEl, compEl, compName, actionName, eventType, spec}>
+  // Buffered events for components waiting to load; spec is null for an emit.
   var eventQueue = [];
 
   // Shared IntersectionObserver instance, created lazily.
   var visibilityObserver = null;
 
+  // WeakMap<Element, function> — load functions of elements waiting to become visible.
+  var visibleLoads = new WeakMap();
+
+  // Map<string, function(el, load, arg)> — jsload strategies by name.
+  var loadStrategies = new Map();
+
+  // WeakMap<Element, function> — cleanup for each element whose strategy hasn't loaded it yet.
+  var loadCleanups = new WeakMap();
+
+  // Map<string, Set<function>> — callbacks waiting for a component to be registered.
+  var registerWaiters = new Map();
+
+  // MutationObserver for automatic activation/teardown, created by Ziw.observe().
+  var mutationObserver = null;
+
   // WeakMap<Element, { state: object, prev: object }> — per-element state.
   var instanceStore = new WeakMap();
 
   // WeakMap<Element, Element> — stores the cloned template (first child) for each jsfor container.
   var forTemplates = new WeakMap();
 
-  // WeakMap<Element, Array<{el, marker, key, negated, inDom}>> — jsif bindings per component.
+  // WeakMap<Element, Array<{key, el, item, index}>> — rendered rows per jsfor container, in DOM order.
+  var forRowsStore = new WeakMap();
+
+  // WeakMap<Element, Array<string>> — every path read by a jsfor template's bindings.
+  var forDepsStore = new WeakMap();
+
+  // WeakMap<Element, { ifs, attrs }> — jsif and class/style/attribute bindings per jsfor row.
+  var rowBindingsStore = new WeakMap();
+
+  // Map<Element, componentDef> — components with setState calls waiting for the next flush.
+  var pendingUpdates = new Map();
+  var flushScheduled = false;
+
+  // Array<Function> — nextTick() resolvers, called after the next complete flush.
+  var flushWaiters = [];
+
+  // Map<string, Set<Element>> — components persisted under each storage key, for cross-tab sync.
+  var persistedComponents = new Map();
+
+  // Set<Element> — components with a debounced persist write still pending.
+  var pendingWrites = new Set();
+  var persistListening = false;
+
+  // Set<Element> — components with def.url, re-read from the URL on back/forward.
+  var urlComponents = new Set();
+
+  // URL built up by the url writes of the current flush (see commitUrl), and
+  // whether any of them asked for a new history entry.
+  var pendingUrl = null;
+  var pendingUrlPush = false;
+  var historyListening = false;
+
+  // Whether the bubble-phase click listener for route links is installed.
+  var routeLinksListening = false;
+
+  // Array<{el, marker, route, inDom}> — jsroute regions, in the order they were found.
+  var routeBindings = [];
+
+  // WeakSet<Element> — jsroute elements already bound.
+  var boundRoutes = new WeakSet();
+
+  // { path, params, query } — the current route, bound as $route.
+  var currentRoute = { path: '', params: {}, query: {} };
+
+  // Set<Element> — initialized components, re-rendered when the route changes.
+  var liveComponents = new Set();
+
+  // WeakMap<Element, Array<{el, marker, expr, inDom}>> — jsif bindings per component.
   var ifBindingsStore = new WeakMap();
 
-  // WeakMap<Element, Array<{el, attr, key}>> — jsattr-* bindings per component.
+  // WeakMap<Element, { leaving, cancel }> — jstransition phases in progress, per element.
+  var runningTransitions = new WeakMap();
+
+  // WeakMap<Element, Array<{el, kind, name, expr, applied}>> — jsattr-*, jsclass and jsstyle-* bindings per component.
   var attrBindingsStore = new WeakMap();
 
+  // Map<string, { state: object, prev: object, subscribers: Set<Function>, components: Set<Element> }>
+  // Shared stores keyed by name; components lists the instances bound to it.
+  var storeRegistry = new Map();
+
+  // Map<string, { prev: object, changed: string[] }> — store changes awaiting the next flush, by store name.
+  var pendingStores = new Map();
+
+  // Map<string, Array<actionSpec>> — parsed jsaction attribute values.
+  var actionSpecCache = new Map();
+
+  // WeakMap<Element, Set<string>> — `.once` specs that already fired, per action element.
+  var onceFired = new WeakMap();
+
+  // WeakMap<Element, Map<string, number>> — debounce timers / last throttle times, per action element.
+  var actionTimers = new WeakMap();
+
+  // Key modifier aliases for jsaction (compared against event.key, lowercased).
+  var KEY_ALIASES = {
+    esc: 'escape', space: ' ', up: 'arrowup', down: 'arrowdown', left: 'arrowleft', right: 'arrowright',
+  };
+
+  // Set<Function> — listeners registered with Ziw.onError().
+  var errorHandlers = new Set();
+
+  // Whether Ziw.debug() is on: traces dispatch and warns about likely mistakes.
+  var debugMode = false;
+
+  // Set<string> — debug warnings already shown, so each appears once.
+  var shownWarnings = new Set();
+
+  // Set<Element|Document> — roots scanned in debug mode before the page
+  // loaded, audited by a single load listener; null when none is waiting.
+  var pendingAudits = null;
+
+  // Runtime options, changed through Ziw.config().
+  var settings = {
+    loadRetries: 2,       // extra attempts after a jssrc script fails to load
+    loadRetryDelay: 300,  // ms before the first retry; doubles on each attempt
+    bufferTimeout: 5000,  // ms before a prevented buffered event falls back to native behaviour
+    flush: 'microtask',   // when batched setState calls reach the DOM: 'microtask' | 'frame'
+    router: 'path',       // what jsroute patterns match: the location's 'path' or its 'hash' ("#/items/3")
+    loader: null,         // function (src, type) → promise of exports, replacing <script> and import()
+  };
+
+  // Keys that mark a module export as a component definition.
+  var DEFINITION_KEYS = ['actions', 'state', 'props', 'on', 'stores', 'computed', 'concurrency', 'persist', 'url', 'init', 'update', 'propsChanged', 'routeChanged', 'destroy'];
+
+  // jsload strategies whose events are buffered and trigger a load when
+  // they reach the component before its script has loaded.
+  var INTERACTIVE_STRATEGIES = ['interaction', 'hover', 'focus'];
+
+  // Binding attribute prefixes handled by the attr pipeline, and the kind of binding each makes.
+  var ATTR_BINDING_PREFIXES = [
+    ['jsattr-', 'attr'],
+    ['jsclass-', 'class'],
+    ['jsstyle-', 'style'],
+    ['jsprop-', 'prop'],
+  ];
+
   // Default event types installed eagerly so interaction-triggered
   // components can catch events before any JS registers.
   var DEFAULT_EVENT_TYPES = [
@@ -68,6 +272,225 @@
     // 'mousemove', 'mouseup', 'mousedown',
   ];
 
+  /**
+   * Route an error to the Ziw.onError() listeners, or to the console if
+   * there are none. info describes where it happened:
+   * { phase, component, action, src, element }, where phase is one of
+   * 'load', 'action', 'init', 'update', 'propsChanged', 'destroy',
+   * 'computed', 'binding', 'validate', 'submit' or 'persist'.
+   */
+  function reportError(error, info) {
+    info.error = error;
+    if (errorHandlers.size === 0) {
+      console.error('[Ziw] ' + info.phase + ' error' +
+        (info.component ? ' in ' + info.component : ''), error);
+      return;
+    }
+    errorHandlers.forEach(function (fn) {
+      try {
+        fn(info);
+      } catch (handlerError) {
+        console.error(handlerError);
+      }
+    });
+  }
+
+  /**
+   * Register an error listener. Returns a function that removes it.
+   */
+  function onError(fn) {
+    errorHandlers.add(fn);
+    return function () { errorHandlers.delete(fn); };
+  }
+
+  /**
+   * Update runtime options. Unknown keys are ignored.
+   */
+  function config(options) {
+    var keys = Object.keys(options);
+    for (var i = 0; i < keys.length; i++) {
+      if (keys[i] === 'components') addManifest(options.components);
+      else if (keys[i] in settings) settings[keys[i]] = options[keys[i]];
+    }
+  }
+
+  /**
+   * Turn debug mode on (the default) or off. While it is on, the dispatch of
+   * every event is traced with console.debug, and likely mistakes are
+   * warned about once each: bindings that read keys missing from state,
+   * components that are never registered, unknown jsload strategies and
+   * duplicate register calls.
+   */
+  function debug(enabled) {
+    debugMode = enabled !== false;
+    if (debugMode) auditComponents(document);
+  }
+
+  /**
+   * Log a dispatch decision in debug mode. Arguments are passed on to
+   * console.debug, so elements stay inspectable.
+   */
+  function trace() {
+    if (!debugMode) return;
+    console.debug.apply(console, ['[Ziw]'].concat(Array.prototype.slice.call(arguments)));
+  }
+
+  /**
+   * Warn about a likely mistake in debug mode, once per message.
+   */
+  function warn(message, el) {
+    if (!debugMode || shownWarnings.has(message)) return;
+    shownWarnings.add(message);
+    if (el) console.warn('[Ziw] ' + message, el);
+    else console.warn('[Ziw] ' + message);
+  }
+
+  /**
+   * Debug check on init: warn about bindings in the component's scope that
+   * read a top-level key the scope doesn't have (a typo, or a key missing
+   * from def.state). Bindings inside jsfor rows read the row's item and
+   * aren't checked.
+   */
+  function checkBindings(compEl, scope) {
+    var name = compEl.getAttribute('jscomponent');
+    var checks = [];
+    var els = compEl.querySelectorAll('[jsdata], [jstext], [jsfor], [jsbind]');
+    for (var i = 0; i < els.length; i++) {
+      if (!inScope(els[i], compEl)) continue;
+      if (els[i].hasAttribute('jsdata') || els[i].hasAttribute('jstext')) {
+        checks.push([els[i], textBinding(els[i]).deps]);
+      }
+      if (els[i].hasAttribute('jsfor')) checks.push([els[i], compileExpression(els[i].getAttribute('jsfor')).deps]);
+      if (els[i].hasAttribute('jsbind')) checks.push([els[i], [els[i].getAttribute('jsbind')]]);
+    }
+    var ifs = ifBindingsStore.get(compEl) || [];
+    for (var j = 0; j < ifs.length; j++) checks.push([ifs[j].el, ifs[j].expr.deps]);
+    var attrs = attrBindingsStore.get(compEl) || [];
+    for (var k = 0; k < attrs.length; k++) checks.push([attrs[k].el, attrs[k].expr.deps]);
+
+    for (var c = 0; c < checks.length; c++) {
+      var deps = checks[c][1];
+      for (var d = 0; d < deps.length; d++) {
+        var key = deps[d].split('.')[0];
+        if (!(key in scope)) {
+          warn(name + ': binding reads "' + deps[d] + '", but "' + key + '" is not in its state', checks[c][0]);
+        }
+      }
+    }
+  }
+
+  /**
+   * Debug check of the components under root, once the page has loaded
+   * (scripts may register them until then): warn about components that are
+   * neither registered nor loadable, and jsload values naming no strategy.
+   */
+  function auditComponents(root) {
+    if (document.readyState === 'complete') {
+      setTimeout(function () { checkComponents(root); }, 0);
+      return;
+    }
+    if (!pendingAudits) {
+      pendingAudits = new Set();
+      window.addEventListener('load', function () {
+        var roots = pendingAudits;
+        pendingAudits = null;
+        roots.forEach(checkComponents);
+      }, { once: true });
+    }
+    pendingAudits.add(root);
+  }
+
+  /**
+   * The warnings of auditComponents for the components under root.
+   */
+  function checkComponents(root) {
+    var els = root.querySelectorAll('[jscomponent]');
+    for (var i = 0; i < els.length; i++) {
+      var name = els[i].getAttribute('jscomponent');
+      var source = getSource(name, els[i]);
+      if (!source && !componentRegistry.has(name)) {
+        warn(name + ' is never registered: no script registers it and it has no jssrc or manifest entry', els[i]);
+      }
+      var load = els[i].getAttribute('jsload') || (source && source.load);
+      if (load && !loadStrategies.has(parseLoad(load).name)) {
+        warn(name + ': jsload="' + load + '" is not a load strategy (known: ' +
+          Array.from(loadStrategies.keys()).join(', ') + ')', els[i]);
+      }
+    }
+  }
+
+  /**
+   * The attribute a class/style/attribute/prop binding came from.
+   */
+  function attrBindingName(b) {
+    if (b.kind === 'classes') return 'jsclass';
+    for (var k = 0; k < ATTR_BINDING_PREFIXES.length; k++) {
+      if (ATTR_BINDING_PREFIXES[k][1] === b.kind) return ATTR_BINDING_PREFIXES[k][0] + b.name;
+    }
+    return null;
+  }
+
+  /**
+   * A snapshot of the component on el (or containing it) for debugging:
+   * { component, element, registered, state, prev, props, computed, ifs,
+   * attrs, fors }. ifs are { el, expression, visible }, attrs
+   * { el, attribute, expression, value } and fors { el, expression, rows }
+   * with rows { key, index, item, el }. The instance fields are null and
+   * the binding lists empty for a component without an instance. Returns
+   * null outside any component.
+   */
+  function inspect(el) {
+    var compEl = el && el.closest('[jscomponent]');
+    if (!compEl) return null;
+    var name = compEl.getAttribute('jscomponent');
+    var instance = instanceStore.get(compEl);
+    var result = {
+      component: name, element: compEl, registered: componentRegistry.has(name),
+      state: null, prev: null, props: null, computed: null, ifs: [], attrs: [], fors: [],
+    };
+    if (!instance) return result;
+    result.state = instance.state;
+    result.prev = instance.prev;
+    result.props = instance.props;
+    result.computed = instance.computed;
+
+    var ifs = ifBindingsStore.get(compEl) || [];
+    for (var i = 0; i < ifs.length; i++) {
+      // The attribute stays on a <template> marker, or on the element itself.
+      var source = ifs[i].marker.nodeType === 1 ? ifs[i].marker : ifs[i].el;
+      result.ifs.push({ el: ifs[i].el, expression: source.getAttribute('jsif'), visible: ifs[i].inDom });
+    }
+    var attrs = attrBindingsStore.get(compEl) || [];
+    for (var j = 0; j < attrs.length; j++) {
+      var attribute = attrBindingName(attrs[j]);
+      result.attrs.push({
+        el: attrs[j].el, attribute: attribute, expression: attrs[j].el.getAttribute(attribute), value: attrs[j].applied,
+      });
+    }
+    var containers = compEl.querySelectorAll('[jsfor]');
+    for (var k = 0; k < containers.length; k++) {
+      if (!inScope(containers[k], compEl)) continue;
+      var rows = (forRowsStore.get(containers[k]) || []).map(function (row) {
+        return { key: row.key, index: row.index, item: row.item, el: row.el };
+      });
+      result.fors.push({ el: containers[k], expression: containers[k].getAttribute('jsfor'), rows: rows });
+    }
+    return result;
+  }
+
+  /**
+   * Call a lifecycle hook (init/update/destroy) if defined, reporting
+   * anything it throws instead of letting it break the interaction.
+   */
+  function callHook(compEl, def, hook, args) {
+    if (typeof def[hook] !== 'function') return;
+    try {
+      def[hook].apply(def, args);
+    } catch (err) {
+      reportError(err, { phase: hook, component: compEl.getAttribute('jscomponent'), element: compEl });
+    }
+  }
+
   /**
    * Deep-clone a plain object (supports nested objects, arrays, and primitives).
    */
@@ -87,535 +510,3828 @@
   }
 
   /**
-   * Check whether a descendant element belongs to the given component element,
-   * i.e. there is no closer jscomponent ancestor between them.
+   * Read a dot-separated path ("user.name", "todos.0.text") from an object.
+   * Returns undefined if any segment along the way is missing.
+   */
+  function getPath(obj, path) {
+    var parts = path.split('.');
+    for (var i = 0; i < parts.length; i++) {
+      if (obj === null || obj === undefined) return undefined;
+      obj = obj[parts[i]];
+    }
+    return obj;
+  }
+
+  /**
+   * Check whether every segment of a dot-separated path exists on an object.
+   */
+  function hasPath(obj, path) {
+    var parts = path.split('.');
+    for (var i = 0; i < parts.length; i++) {
+      if (obj === null || typeof obj !== 'object' || !(parts[i] in obj)) return false;
+      obj = obj[parts[i]];
+    }
+    return true;
+  }
+
+  /**
+   * Write a value at a dot-separated path, mutating in place and creating
+   * intermediate objects as needed. Only used on freshly cloned state
+   * during hydration.
+   */
+  function assignPath(obj, path, value) {
+    var parts = path.split('.');
+    for (var i = 0; i < parts.length - 1; i++) {
+      if (obj[parts[i]] === null || typeof obj[parts[i]] !== 'object') obj[parts[i]] = {};
+      obj = obj[parts[i]];
+    }
+    obj[parts[parts.length - 1]] = value;
+  }
+
+  /**
+   * Immutable write: return a copy of obj with value at parts[i..], copying
+   * every object/array along the path and sharing everything else.
+   */
+  function setIn(obj, parts, i, value) {
+    if (i === parts.length) return value;
+    var copy = Array.isArray(obj) ? obj.slice() :
+               (obj !== null && typeof obj === 'object') ? Object.assign({}, obj) : {};
+    copy[parts[i]] = setIn(copy[parts[i]], parts, i + 1, value);
+    return copy;
+  }
+
+  function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  /**
+   * Collect the paths under `base` whose values differ between prev and next.
+   * Plain objects are compared key by key; arrays and primitives by identity.
+   */
+  function diffPaths(prev, next, base, out) {
+    if (prev === next) return out;
+    if (!isPlainObject(prev) || !isPlainObject(next)) {
+      out.push(base);
+      return out;
+    }
+    var keys = Object.keys(prev);
+    var nextKeys = Object.keys(next);
+    for (var i = 0; i < nextKeys.length; i++) {
+      if (!(nextKeys[i] in prev)) keys.push(nextKeys[i]);
+    }
+    for (var j = 0; j < keys.length; j++) {
+      diffPaths(prev[keys[j]], next[keys[j]], base + '.' + keys[j], out);
+    }
+    return out;
+  }
+
+  /**
+   * Check whether a binding on `path` must update for the given changed paths
+   * (null means everything changed). A change to "user" affects "user.name"
+   * and vice versa; "user.name" does not affect "user.avatar".
+   */
+  function isAffected(path, changedKeys) {
+    if (!changedKeys) return true;
+    for (var i = 0; i < changedKeys.length; i++) {
+      var changed = changedKeys[i];
+      if (changed === path ||
+          path.indexOf(changed + '.') === 0 ||
+          changed.indexOf(path + '.') === 0) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  // <ziw-expr> — everything up to </ziw-expr> is also evaluated in Node by
+  // ziw-expr.js, for ziw-server.js. Keep it free of references to the rest
+  // of this file.
+
+  /**
+   * The binding expression language:
+   *
+   *   a.b, a[i], todos.0.text        — paths; reading through null gives undefined
+   *   ! - + * / % < <= > >= === !== == != && || ??   a ? b : c   (grouping)
+   *   'text {expr}'                  — strings with {expression} placeholders
+   *   value | formatter:arg:arg      — pipes through registered formatters
+   *
+   * Expressions are parsed into closures, never eval'd, so they work under
+   * a strict Content-Security-Policy. Returns { create(options) }; each
+   * instance has its own compile caches and formatters, and reports errors
+   * to options.onError(error, info, context) (or throws them).
+   */
+  function expressionLanguage() {
+    // Binary operators by precedence, lowest first.
+    var BINARY_LEVELS = [
+      ['??'], ['||'], ['&&'], ['===', '!==', '==', '!='], ['<', '<=', '>', '>='], ['+', '-'], ['*', '/', '%'],
+    ];
+
+    var BINARY_OPERATORS = {
+      '===': function (a, b) { return a === b; },
+      '!==': function (a, b) { return a !== b; },
+      '==': function (a, b) { return a == b; },
+      '!=': function (a, b) { return a != b; },
+      '<': function (a, b) { return a < b; },
+      '<=': function (a, b) { return a <= b; },
+      '>': function (a, b) { return a > b; },
+      '>=': function (a, b) { return a >= b; },
+      '+': function (a, b) { return a + b; },
+      '-': function (a, b) { return a - b; },
+      '*': function (a, b) { return a * b; },
+      '/': function (a, b) { return a / b; },
+      '%': function (a, b) { return a % b; },
+    };
+
+    var EXPRESSION_LITERALS = { 'true': true, 'false': false, 'null': null, 'undefined': undefined };
+
+    /**
+     * Find the index of the '}' closing the '{' at `open`, skipping quoted
+     * strings and nested braces.
+     */
+    function findClosingBrace(source, open) {
+      var depth = 0;
+      var quote = null;
+      for (var i = open; i < source.length; i++) {
+        var ch = source[i];
+        if (quote) {
+          if (ch === '\\') i++;
+          else if (ch === quote) quote = null;
+        } else if (ch === '"' || ch === "'") {
+          quote = ch;
+        } else if (ch === '{') {
+          depth++;
+        } else if (ch === '}' && --depth === 0) {
+          return i;
+        }
+      }
+      throw new SyntaxError('Unclosed "{" in ' + source);
+    }
+
+    /**
+     * Join template parts against a scope; null and undefined render as ''.
+     */
+    function joinParts(parts, scope) {
+      var out = '';
+      for (var i = 0; i < parts.length; i++) {
+        if (typeof parts[i] === 'string') {
+          out += parts[i];
+        } else {
+          var value = parts[i].evaluate(scope);
+          out += value === null || value === undefined ? '' : value;
+        }
+      }
+      return out;
+    }
+
+    function peekOp(p, ops) {
+      var token = p.tokens[p.pos];
+      return !!token && token.type === 'op' && ops.indexOf(token.value) !== -1;
+    }
+
+    function expectOp(p, op) {
+      if (!peekOp(p, [op])) {
+        var token = p.tokens[p.pos];
+        throw new SyntaxError('Expected "' + op + '" but found ' +
+          (token ? '"' + token.value + '"' : 'end of expression') + ' in ' + p.source);
+      }
+      p.pos++;
+    }
+
+    function binaryNode(op, a, b) {
+      if (op === '&&') return function (scope) { return a(scope) && b(scope); };
+      if (op === '||') return function (scope) { return a(scope) || b(scope); };
+      if (op === '??') {
+        return function (scope) {
+          var value = a(scope);
+          return value === null || value === undefined ? b(scope) : value;
+        };
+      }
+      var operator = BINARY_OPERATORS[op];
+      return function (scope) { return operator(a(scope), b(scope)); };
+    }
+
+    /**
+     * Property access never throws: reading through null/undefined gives
+     * undefined.
+     */
+    function memberNode(object, key) {
+      return function (scope) {
+        var value = object(scope);
+        if (value === null || value === undefined) return undefined;
+        return value[typeof key === 'function' ? key(scope) : key];
+      };
+    }
+
+    /**
+     * Create an expression language instance.
+     *
+     * @param {object} [options]
+     * @param {Function} [options.onError] — onError(error, info, context) for
+     *   syntax errors (when compiling) and evaluation errors such as an
+     *   unknown formatter; info is { phase: 'binding', expression } and
+     *   context whatever the caller passed to evaluate(). Throws by default.
+     * @returns {{ compileExpression, compileTemplate, compileProp, evaluate, formatter }}
+     */
+    function create(options) {
+      var onError = (options && options.onError) || function (error) { throw error; };
+
+      // Map<string, {evaluate, deps, path, source}> — compiled binding expressions by source.
+      var expressionCache = new Map();
+
+      // Map<string, {evaluate, deps, path, source}> — compiled jstext templates by source.
+      var templateCache = new Map();
+
+      // Map<string, Function> — formatters for `value | name:arg` pipes.
+      var formatters = new Map();
+
+      /**
+       * Parse text with {expression} placeholders from `start` up to the
+       * closing `quote` (or the end of source when quote is null). Backslash
+       * escapes the next character, so \{ is a literal brace. Returns
+       * { parts, end }: parts are strings and compiled expressions.
+       */
+      function parseTemplate(source, start, quote) {
+        var parts = [];
+        var text = '';
+        for (var i = start; i < source.length; i++) {
+          var ch = source[i];
+          if (ch === quote) {
+            if (text) parts.push(text);
+            return { parts: parts, end: i };
+          }
+          if (ch === '\\' && i + 1 < source.length) {
+            text += source[++i];
+          } else if (ch === '{') {
+            var close = findClosingBrace(source, i);
+            if (text) parts.push(text);
+            text = '';
+            parts.push(compileExpression(source.slice(i + 1, close)));
+            i = close;
+          } else {
+            text += ch;
+          }
+        }
+        if (quote) throw new SyntaxError('Unterminated string in ' + source);
+        if (text) parts.push(text);
+        return { parts: parts, end: source.length };
+      }
+
+      /**
+       * Split an expression into tokens: { type: 'num'|'str'|'ident'|'op', value }.
+       * A str token's value is its template parts (see parseTemplate). Digits
+       * right after '.' are a property name, so "todos.0.text" stays a path.
+       */
+      function tokenize(source) {
+        var tokens = [];
+        var i = 0;
+        while (i < source.length) {
+          var ch = source[i];
+          var rest = source.slice(i);
+          var prev = tokens[tokens.length - 1];
+          var afterDot = prev && prev.type === 'op' && prev.value === '.';
+          var match;
+          if (/\s/.test(ch)) {
+            i++;
+          } else if (/[A-Za-z_$]/.test(ch) || (afterDot && /\d/.test(ch))) {
+            match = /^[\w$]+/.exec(rest)[0];
+            tokens.push({ type: 'ident', value: match });
+            i += match.length;
+          } else if (/\d/.test(ch)) {
+            match = /^\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/.exec(rest)[0];
+            tokens.push({ type: 'num', value: parseFloat(match) });
+            i += match.length;
+          } else if (ch === '"' || ch === "'") {
+            var str = parseTemplate(source, i + 1, ch);
+            tokens.push({ type: 'str', value: str.parts });
+            i = str.end + 1;
+          } else {
+            match = /^(?:===|!==|==|!=|<=|>=|&&|\|\||\?\?|[-+*\/%<>!?:.()\[\]|])/.exec(rest);
+            if (!match) throw new SyntaxError('Unexpected "' + ch + '" in ' + source);
+            tokens.push({ type: 'op', value: match[0] });
+            i += match[0].length;
+          }
+        }
+        return tokens;
+      }
+
+      /**
+       * Recursive-descent parser. Each parse function returns { fn, path }:
+       * fn(scope) computes the value, and path is the dotted state path when
+       * the node is nothing but a property access (else null). Paths read are
+       * pushed onto p.deps.
+       *
+       *   pipe    := ternary ('|' name (':' nullish)*)*
+       *   ternary := nullish ('?' ternary ':' ternary)?
+       *   binary  := see BINARY_LEVELS
+       *   unary   := ('!' | '-' | '+') unary | postfix
+       *   postfix := primary ('.' name | '[' pipe ']')*
+       *   primary := number | string | literal | name | '(' pipe ')'
+       */
+      function parsePipe(p) {
+        var node = parseTernary(p);
+        while (peekOp(p, ['|'])) {
+          p.pos++;
+          var name = p.tokens[p.pos++];
+          if (!name || name.type !== 'ident') throw new SyntaxError('Expected a formatter name in ' + p.source);
+          var args = [];
+          while (peekOp(p, [':'])) {
+            p.pos++;
+            args.push(parseBinary(p, 0).fn);
+          }
+          node = { fn: pipeNode(node.fn, name.value, args), path: null };
+        }
+        return node;
+      }
+
+      function pipeNode(input, name, args) {
+        return function (scope) {
+          var fn = formatters.get(name);
+          if (!fn) throw new Error('Unknown formatter "' + name + '"');
+          var values = [input(scope)];
+          for (var i = 0; i < args.length; i++) values.push(args[i](scope));
+          return fn.apply(null, values);
+        };
+      }
+
+      function parseTernary(p) {
+        var test = parseBinary(p, 0);
+        if (!peekOp(p, ['?'])) return test;
+        p.pos++;
+        var yes = parseTernary(p).fn;
+        expectOp(p, ':');
+        var no = parseTernary(p).fn;
+        return {
+          fn: function (scope) { return test.fn(scope) ? yes(scope) : no(scope); },
+          path: null,
+        };
+      }
+
+      function parseBinary(p, level) {
+        if (level === BINARY_LEVELS.length) return parseUnary(p);
+        var left = parseBinary(p, level + 1);
+        while (peekOp(p, BINARY_LEVELS[level])) {
+          var op = p.tokens[p.pos++].value;
+          var right = parseBinary(p, level + 1);
+          left = { fn: binaryNode(op, left.fn, right.fn), path: null };
+        }
+        return left;
+      }
+
+      function parseUnary(p) {
+        if (!peekOp(p, ['!', '-', '+'])) return parsePostfix(p);
+        var op = p.tokens[p.pos++].value;
+        var operand = parseUnary(p).fn;
+        var fn = op === '!' ? function (scope) { return !operand(scope); } :
+                 op === '-' ? function (scope) { return -operand(scope); } :
+                 function (scope) { return +operand(scope); };
+        return { fn: fn, path: null };
+      }
+
+      function parsePostfix(p) {
+        var node = parsePrimary(p);
+        while (peekOp(p, ['.', '['])) {
+          if (p.tokens[p.pos++].value === '.') {
+            var name = p.tokens[p.pos++];
+            if (!name || name.type !== 'ident') throw new SyntaxError('Expected a property name in ' + p.source);
+            node = { fn: memberNode(node.fn, name.value), path: node.path === null ? null : node.path + '.' + name.value };
+          } else {
+            // The path before a computed key is already a dependency (see parsePrimary).
+            var key = parsePipe(p).fn;
+            expectOp(p, ']');
+            node = { fn: memberNode(node.fn, key), path: null };
+          }
+        }
+        return node;
+      }
+
+      function parsePrimary(p) {
+        var token = p.tokens[p.pos++];
+        if (!token) throw new SyntaxError('Unexpected end of expression in ' + p.source);
+        if (token.type === 'num') {
+          return { fn: function () { return token.value; }, path: null };
+        }
+        if (token.type === 'str') {
+          var parts = token.value;
+          for (var i = 0; i < parts.length; i++) {
+            if (typeof parts[i] !== 'string') p.deps.push.apply(p.deps, parts[i].deps);
+          }
+          return { fn: function (scope) { return joinParts(parts, scope); }, path: null };
+        }
+        if (token.type === 'ident') {
+          if (token.value in EXPRESSION_LITERALS) {
+            var literal = EXPRESSION_LITERALS[token.value];
+            return { fn: function () { return literal; }, path: null };
+          }
+          var node = parsePathChain(p, { fn: function (scope) { return scope[token.value]; }, path: token.value });
+          p.deps.push(node.path);
+          return node;
+        }
+        if (token.value === '(') {
+          var inner = parsePipe(p);
+          expectOp(p, ')');
+          return { fn: inner.fn, path: null };
+        }
+        throw new SyntaxError('Unexpected "' + token.value + '" in ' + p.source);
+      }
+
+      /**
+       * Extend a name with static ".prop" segments so the whole path becomes
+       * one dependency; computed segments are left to parsePostfix.
+       */
+      function parsePathChain(p, node) {
+        while (peekOp(p, ['.']) && p.tokens[p.pos + 1] && p.tokens[p.pos + 1].type === 'ident') {
+          var name = p.tokens[p.pos + 1].value;
+          p.pos += 2;
+          node = { fn: memberNode(node.fn, name), path: node.path + '.' + name };
+        }
+        return node;
+      }
+
+      /**
+       * Compile a binding expression (cached per source string) into
+       * { evaluate(scope), deps, path, source }. deps are the paths it reads,
+       * for change tracking; path is set when the expression is a bare path,
+       * which is the only form hydration reads back from HTML.
+       *
+       * Syntax errors are reported once and the binding evaluates to undefined.
+       */
+      function compileExpression(source) {
+        var compiled = expressionCache.get(source);
+        if (compiled) return compiled;
+        try {
+          var p = { source: source, tokens: tokenize(source), pos: 0, deps: [] };
+          var node = parsePipe(p);
+          if (p.pos < p.tokens.length) {
+            throw new SyntaxError('Unexpected "' + p.tokens[p.pos].value + '" in ' + source);
+          }
+          compiled = { evaluate: node.fn, deps: p.deps, path: node.path, source: source };
+        } catch (err) {
+          onError(err, { phase: 'binding', expression: source }, null);
+          compiled = { evaluate: function () { return undefined; }, deps: [], path: null, source: source };
+        }
+        expressionCache.set(source, compiled);
+        return compiled;
+      }
+
+      /**
+       * Compile jstext content: text with {expression} placeholders.
+       * Cached like compileExpression.
+       */
+      function compileTemplate(source) {
+        var compiled = templateCache.get(source);
+        if (compiled) return compiled;
+        try {
+          var parts = parseTemplate(source, 0, null).parts;
+          var deps = [];
+          for (var i = 0; i < parts.length; i++) {
+            if (typeof parts[i] !== 'string') deps = deps.concat(parts[i].deps);
+          }
+          compiled = { evaluate: function (scope) { return joinParts(parts, scope); }, deps: deps, path: null, source: source };
+        } catch (err) {
+          onError(err, { phase: 'binding', expression: source }, null);
+          compiled = { evaluate: function () { return ''; }, deps: [], path: null, source: source };
+        }
+        templateCache.set(source, compiled);
+        return compiled;
+      }
+
+      /**
+       * Compile a jsprop-* value: text with {expression} placeholders like
+       * jstext, except that a value that is a single placeholder ("{items}")
+       * passes the expression's value through unconverted.
+       */
+      function compileProp(source) {
+        var trimmed = source.trim();
+        if (trimmed[0] === '{' && trimmed.indexOf('{', 1) === -1 && trimmed.indexOf('}') === trimmed.length - 1) {
+          return compileExpression(trimmed.slice(1, -1));
+        }
+        return compileTemplate(source);
+      }
+
+      /**
+       * Evaluate a compiled expression or template against a scope. Errors
+       * (e.g. an unknown formatter) go to onError with context, and the
+       * value is undefined.
+       */
+      function evaluate(compiled, scope, context) {
+        try {
+          return compiled.evaluate(scope);
+        } catch (err) {
+          onError(err, { phase: 'binding', expression: compiled.source }, context);
+          return undefined;
+        }
+      }
+
+      /**
+       * Register a formatter for binding pipes: `value | name:arg1:arg2` calls
+       * fn(value, arg1, arg2).
+       */
+      function formatter(name, fn) {
+        formatters.set(name, fn);
+      }
+
+      /**
+       * Built-in formatters. Number and date output follows the default locale
+       * (the page's in the browser).
+       */
+      function defineBuiltinFormatters() {
+        formatter('upper', function (value) { return value === null || value === undefined ? '' : String(value).toUpperCase(); });
+        formatter('lower', function (value) { return value === null || value === undefined ? '' : String(value).toLowerCase(); });
+        formatter('number', function (value, digits) {
+          var options = digits === undefined ? undefined : { minimumFractionDigits: digits, maximumFractionDigits: digits };
+          return Number(value).toLocaleString(undefined, options);
+        });
+        formatter('currency', function (value, code) {
+          return Number(value).toLocaleString(undefined, { style: 'currency', currency: code || 'USD' });
+        });
+        formatter('percent', function (value, digits) {
+          return Number(value).toLocaleString(undefined, { style: 'percent', maximumFractionDigits: digits || 0 });
+        });
+        // count | plural:'item'  → "1 item", "3 items"; count | plural:'person':'people'
+        formatter('plural', function (count, singular, plural) {
+          return count + ' ' + (count === 1 ? singular : (plural || singular + 's'));
+        });
+        formatter('date', function (value, style) {
+          return new Date(value).toLocaleDateString(undefined, style ? { dateStyle: style } : undefined);
+        });
+        formatter('default', function (value, fallback) {
+          return value === null || value === undefined || value === '' ? fallback : value;
+        });
+        formatter('json', function (value) { return JSON.stringify(value); });
+      }
+
+      defineBuiltinFormatters();
+      return {
+        compileExpression: compileExpression,
+        compileTemplate: compileTemplate,
+        compileProp: compileProp,
+        evaluate: evaluate,
+        formatter: formatter,
+      };
+    }
+
+    return { create: create };
+  }
+  // </ziw-expr>
+
+  /**
+   * Report a binding error from the expression language, naming the
+   * component when the caller of evaluate() passed its element.
+   */
+  function reportBindingError(error, info, compEl) {
+    if (compEl) {
+      info.component = compEl.getAttribute('jscomponent');
+      info.element = compEl;
+    }
+    reportError(error, info);
+  }
+
+  /**
+   * Whether a compiled binding reads any path affected by changedKeys.
+   */
+  function exprAffected(compiled, changedKeys) {
+    if (!changedKeys) return true;
+    for (var i = 0; i < compiled.deps.length; i++) {
+      if (isAffected(compiled.deps[i], changedKeys)) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Whether hydration may write a binding key into component state. Store
+   * paths ($name.key) and computed names are read-only views.
+   */
+  function isStateKey(key, def) {
+    if (key[0] === '$') return false;
+    return !(def && def.computed && key.split('.')[0] in def.computed);
+  }
+
+  /**
+   * Check whether a descendant element belongs to the given component element,
+   * i.e. there is no closer jscomponent ancestor between them.
+   */
+  function belongsToComponent(el, compEl) {
+    var ancestor = el.parentElement;
+    while (ancestor && ancestor !== compEl) {
+      if (ancestor.hasAttribute('jscomponent')) return false;
+      ancestor = ancestor.parentElement;
+    }
+    return ancestor === compEl;
+  }
+
+  /**
+   * Whether el is bound in root's scope: no jscomponent or jsfor element
+   * between them. Elements inside a jsfor row are bound against the row
+   * (see renderRow) rather than the component.
+   */
+  function inScope(el, root) {
+    var ancestor = el.parentElement;
+    while (ancestor && ancestor !== root) {
+      if (ancestor.hasAttribute('jscomponent') || ancestor.hasAttribute('jsfor')) return false;
+      ancestor = ancestor.parentElement;
+    }
+    return ancestor === root;
+  }
+
+  /**
+   * Hydrate state from server-rendered [jsdata] elements.
+   * Reads textContent and coerces it to the element's jsdata-type, else to
+   * match the type of the existing state value.
+   * Only paths already present in state are hydrated. Skips array values
+   * (handled by hydrateForBindings) and jsfor-scoped elements.
+   */
+  function hydrateBindings(compEl, state) {
+    var seen = {};
+    var els = compEl.querySelectorAll('[jsdata]');
+    for (var i = 0; i < els.length; i++) {
+      var el = els[i];
+      var key = el.getAttribute('jsdata');
+      if (seen[key] || !hasPath(state, key)) continue;
+      var current = getPath(state, key);
+      if (Array.isArray(current)) continue;
+      if (!inScope(el, compEl)) continue;
+      var text = el.textContent;
+      var type = typeof current;
+      if (el.hasAttribute('jsdata-type')) {
+        assignPath(state, key, coerceText(text, el.getAttribute('jsdata-type')));
+      } else if (type === 'number') {
+        assignPath(state, key, parseFloat(text));
+      } else if (type === 'boolean') {
+        assignPath(state, key, text === 'true');
+      } else {
+        assignPath(state, key, text);
+      }
+      seen[key] = true; // First matching element wins.
+    }
+  }
+
+  /**
+   * The compiled binding of a [jsdata] (expression) or [jstext] (template)
+   * element.
+   */
+  function textBinding(el) {
+    return el.hasAttribute('jsdata') ? compileExpression(el.getAttribute('jsdata')) :
+      compileTemplate(el.getAttribute('jstext'));
+  }
+
+  /**
+   * Set an element's text from a text binding. A bare path missing from
+   * scope leaves the server-rendered text alone; null/undefined render as ''.
+   */
+  function renderText(el, compiled, scope, compEl) {
+    if (compiled.path !== null && !hasPath(scope, compiled.path)) return;
+    var value = evaluate(compiled, scope, compEl);
+    var text = value === null || value === undefined ? '' : String(value);
+    if (el.textContent !== text) el.textContent = text;
+  }
+
+  /**
+   * Update [jsdata] and [jstext] descendant elements within a component element.
+   * Only updates bindings that read a path affected by changedKeys (or all if null).
+   * Scoped: won't cross into nested jscomponent boundaries.
+   * Skips elements inside jsfor rows (those are rendered by renderRow).
+   */
+  function updateBindings(compEl, state, changedKeys) {
+    var els = compEl.querySelectorAll('[jsdata], [jstext]');
+    for (var i = 0; i < els.length; i++) {
+      var compiled = textBinding(els[i]);
+      if (!exprAffected(compiled, changedKeys)) continue;
+      if (!inScope(els[i], compEl)) continue;
+      renderText(els[i], compiled, state, compEl);
+    }
+  }
+
+  /**
+   * On init, find all [jsfor] containers within a component and snapshot
+   * their first child element as the repeat template. Containers nested
+   * in rows are included, so server-rendered sub-lists hydrate too.
+   */
+  function initForBindings(compEl) {
+    var containers = compEl.querySelectorAll('[jsfor]');
+    for (var i = 0; i < containers.length; i++) {
+      var container = containers[i];
+      if (!belongsToComponent(container, compEl)) continue;
+      var firstChild = container.children[0];
+      if (firstChild) {
+        forTemplates.set(container, firstChild.cloneNode(true));
+      }
+    }
+  }
+
+  /**
+   * The repeat template of a jsfor container. A container inside a freshly
+   * cloned row has none yet: its first child is taken as the template and
+   * the copied children are dropped, to be rendered from the item.
+   */
+  function getForTemplate(container) {
+    var template = forTemplates.get(container);
+    if (template || !container.firstElementChild) return template || null;
+    template = container.firstElementChild.cloneNode(true);
+    forTemplates.set(container, template);
+    ignoreMutations(function () { container.textContent = ''; });
+    return template;
+  }
+
+  /**
+   * Compute the reconciliation key for a jsfor item.
+   * With jskey="field" on the template, object items are keyed by String(item[field]);
+   * otherwise the item itself is the key (object identity or primitive value).
+   */
+  function getItemKey(template, item) {
+    var field = template.getAttribute('jskey');
+    if (field && item !== null && typeof item === 'object') {
+      return String(item[field]);
+    }
+    return item;
+  }
+
+  /**
+   * The row element itself plus the descendants bound in its scope.
+   */
+  function rowElements(rowEl) {
+    var els = [rowEl];
+    var all = rowEl.querySelectorAll('*');
+    for (var i = 0; i < all.length; i++) {
+      if (inScope(all[i], rowEl)) els.push(all[i]);
+    }
+    return els;
+  }
+
+  /**
+   * Hydrate one server-rendered row back into its item. Bare jsdata and
+   * jsbind paths, "key"/"!key" jsif conditions and nested jsfor lists are
+   * read into an object; a row with none of them yields its text (or the
+   * text of its jsdata="$item" element) as a primitive item. Text is
+   * coerced by jsdata-type, a data-<key> field by jskey-type (both written
+   * by renderToString for numbers and booleans); it stays a string otherwise.
+   */
+  function hydrateRow(rowEl, keyField) {
+    var item = {};
+    var text = null;
+    rowBindingsStore.set(rowEl, { ifs: collectIfBindings(rowEl, item, null), attrs: collectAttrBindings(rowEl, true) });
+    var els = rowElements(rowEl);
+    for (var i = 0; i < els.length; i++) {
+      var el = els[i];
+      if (el.hasAttribute('jsdata')) {
+        var path = compileExpression(el.getAttribute('jsdata')).path;
+        var value = coerceText(el.textContent, el.getAttribute('jsdata-type'));
+        if (path === '$item') text = value;
+        else if (path && path[0] !== '$') assignPath(item, path, value);
+      }
+      var bindKey = el.getAttribute('jsbind');
+      if (bindKey && bindKey[0] !== '$') assignPath(item, bindKey, readInput(el, getPath(item, bindKey)));
+      var listKey = el !== rowEl && el.getAttribute('jsfor');
+      if (listKey && listKey[0] !== '$') {
+        var nested = hydrateList(el);
+        if (nested) assignPath(item, listKey, nested);
+      }
+    }
+    // A key field that isn't rendered as text can come from data-<field>.
+    if (keyField && !(keyField in item) && rowEl.hasAttribute('data-' + keyField)) {
+      item[keyField] = coerceText(rowEl.getAttribute('data-' + keyField), rowEl.getAttribute('jskey-type'));
+    }
+    if (Object.keys(item).length > 0) return item;
+    return text !== null ? text : coerceText(rowEl.textContent, rowEl.getAttribute('jsdata-type'));
+  }
+
+  /**
+   * Hydrate the existing children of a jsfor container into an items array
+   * (see hydrateRow) and record them as rendered rows so later updates
+   * reuse them. Returns null for a container with no template or children.
+   */
+  function hydrateList(container) {
+    var template = forTemplates.get(container);
+    var children = container.children;
+    if (!template || children.length === 0) return null;
+    var keyField = template.getAttribute('jskey');
+    var items = [];
+    var rows = [];
+    for (var i = 0; i < children.length; i++) {
+      var item = hydrateRow(children[i], keyField);
+      items.push(item);
+      rows.push({ key: getItemKey(template, item), el: children[i], item: item, index: i });
+    }
+    forRowsStore.set(container, rows);
+    return items;
+  }
+
+  /**
+   * Hydrate state from the component's server-rendered [jsfor] lists.
+   */
+  function hydrateForBindings(compEl, state, def) {
+    var containers = compEl.querySelectorAll('[jsfor]');
+    for (var i = 0; i < containers.length; i++) {
+      var container = containers[i];
+      if (!inScope(container, compEl)) continue;
+      var key = container.getAttribute('jsfor');
+      var items = hydrateList(container);
+      // Store-bound and computed lists keep their rows but don't write state.
+      if (items && isStateKey(key, def)) assignPath(state, key, items);
+    }
+  }
+
+  /**
+   * The scope a row's bindings resolve against: the item's fields, $item
+   * and $index over the enclosing scope, so component state, computed
+   * values and stores stay readable and an outer row's fields show through
+   * in nested lists.
+   */
+  function rowScope(scope, item, index) {
+    var local = Object.create(scope);
+    if (isPlainObject(item)) Object.assign(local, item);
+    local.$item = item;
+    local.$index = index;
+    return local;
+  }
+
+  /**
+   * Every path read by the bindings in a jsfor template, nested rows and
+   * <template jsif> content included. A list whose paths are all
+   * unaffected by a change can skip its rows entirely.
+   */
+  function templateDeps(template) {
+    var deps = forDepsStore.get(template);
+    if (deps) return deps;
+    deps = [];
+    var pending = [template];
+    while (pending.length > 0) {
+      var root = pending.pop();
+      var els = [root].concat(Array.prototype.slice.call(root.querySelectorAll('*')));
+      for (var i = 0; i < els.length; i++) {
+        var attrs = els[i].attributes;
+        for (var j = 0; j < attrs.length; j++) {
+          var name = attrs[j].name;
+          if (name === 'jsbind' || name === 'jsfor') {
+            deps.push(attrs[j].value);
+          } else if (name === 'jstext') {
+            deps = deps.concat(compileTemplate(attrs[j].value).deps);
+          } else if (name.indexOf('jsprop-') === 0) {
+            deps = deps.concat(compileProp(attrs[j].value).deps);
+          } else if (name === 'jsdata' || name === 'jsif' || name === 'jsclass' || isAttrBinding(name)) {
+            deps = deps.concat(compileExpression(attrs[j].value).deps);
+          }
+        }
+        if (els[i].tagName === 'TEMPLATE' && els[i].content.firstElementChild) {
+          pending.push(els[i].content.firstElementChild);
+        }
+      }
+    }
+    forDepsStore.set(template, deps);
+    return deps;
+  }
+
+  /**
+   * Render a row against its scope (see rowScope): jsif, text, class/style/
+   * attribute and jsbind bindings affected by changedKeys (all if null),
+   * then nested jsfor lists. A primitive item in a row without text
+   * bindings becomes the row's text. Keyed rows also get data-<field> so
+   * the markup hydrates to the same key.
+   */
+  function renderRow(rowEl, scope, changedKeys, compEl) {
+    var bindings = rowBindingsStore.get(rowEl);
+    if (!bindings) {
+      bindings = { ifs: collectIfBindings(rowEl, null, null), attrs: collectAttrBindings(rowEl, true) };
+      rowBindingsStore.set(rowEl, bindings);
+    }
+    var item = scope.$item;
+    var keyField = rowEl.getAttribute('jskey');
+    // Written only when they differ, so rows that merely stay put aren't touched.
+    if (keyField && isPlainObject(item) && item[keyField] !== undefined &&
+        rowEl.getAttribute('data-' + keyField) !== String(item[keyField])) {
+      rowEl.setAttribute('data-' + keyField, item[keyField]);
+    }
+    if (!isPlainObject(item) && !rowEl.hasAttribute('jsdata') && !rowEl.hasAttribute('jstext') &&
+        !rowEl.querySelector('[jsdata], [jstext]') && rowEl.textContent !== String(item)) {
+      rowEl.textContent = item;
+    }
+
+    // Content that was just shown may be stale, so render it in full.
+    if (toggleIfBindings(bindings.ifs, scope, changedKeys, compEl).length > 0) changedKeys = null;
+    for (var i = 0; i < bindings.attrs.length; i++) {
+      if (!exprAffected(bindings.attrs[i].expr, changedKeys)) continue;
+      applyAttrBinding(bindings.attrs[i], evaluate(bindings.attrs[i].expr, scope, compEl));
+    }
+
+    var els = rowElements(rowEl);
+    for (var j = 0; j < els.length; j++) {
+      var el = els[j];
+      if (el.hasAttribute('jsdata') || el.hasAttribute('jstext')) {
+        var compiled = textBinding(el);
+        if (exprAffected(compiled, changedKeys)) renderText(el, compiled, scope, compEl);
+      }
+      var bindKey = el.getAttribute('jsbind');
+      if (bindKey && isAffected(bindKey, changedKeys) && hasPath(scope, bindKey)) {
+        writeInput(el, getPath(scope, bindKey));
+      }
+      if (el !== rowEl && el.hasAttribute('jsfor')) renderList(el, scope, changedKeys, compEl);
+    }
+  }
+
+  /**
+   * Reconcile a single jsfor container against a new items array.
+   *
+   * Existing rows are matched to items by key (see getItemKey). Matched rows
+   * are kept and re-rendered in full only if their item changed, otherwise
+   * just for changedKeys (plus $index if they moved); unmatched rows are
+   * removed; new items get a fresh clone of the template. Rows are then moved
+   * into the new order, touching only those that are out of place, so focus,
+   * scroll position and nested component state survive the update.
+   */
+  function reconcileForContainer(container, template, items, scope, changedKeys, compEl) {
+    var oldRows = forRowsStore.get(container) || [];
+
+    // Map<key, Array<row>> — duplicate keys are matched in order.
+    var pool = new Map();
+    for (var i = 0; i < oldRows.length; i++) {
+      var bucket = pool.get(oldRows[i].key);
+      if (!bucket) pool.set(oldRows[i].key, bucket = []);
+      bucket.push(oldRows[i]);
+    }
+
+    var newRows = [];
+    for (var k = 0; k < items.length; k++) {
+      var item = items[k];
+      var itemKey = getItemKey(template, item);
+      var matches = pool.get(itemKey);
+      var row = matches && matches.shift();
+      if (row) {
+        var rowKeys = row.item !== item || !changedKeys ? null :
+          row.index !== k ? changedKeys.concat(['$index']) : changedKeys;
+        if (!rowKeys || rowKeys.length > 0) renderRow(row.el, rowScope(scope, item, k), rowKeys, compEl);
+        row.item = item;
+        row.index = k;
+      } else {
+        var clone = template.cloneNode(true);
+        renderRow(clone, rowScope(scope, item, k), null, compEl);
+        row = { key: itemKey, el: clone, item: item, index: k };
+      }
+      newRows.push(row);
+    }
+
+    var addedEls = [];
+    ignoreMutations(function () {
+      // Remove rows whose key no longer appears.
+      pool.forEach(function (leftover) {
+        for (var r = 0; r < leftover.length; r++) {
+          if (leftover[r].el.parentNode === container) removeRow(container, leftover[r].el);
+        }
+      });
+
+      // Insert new rows and move out-of-place ones. Rows still playing a
+      // leave transition keep their place and are stepped over.
+      var prevEl = null;
+      for (var n = 0; n < newRows.length; n++) {
+        var rowEl = newRows[n].el;
+        var expected = stayingElement(prevEl ? prevEl.nextElementSibling : container.firstElementChild);
+        if (rowEl !== expected) {
+          if (!rowEl.parentNode) {
+            addedEls.push(rowEl);
+            transitionIn(rowEl);
+          }
+          container.insertBefore(rowEl, expected);
+        }
+        prevEl = rowEl;
+      }
+    });
+
+    forRowsStore.set(container, newRows);
+
+    // Rows that joined the DOM still get activated when observing — only
+    // the moves are ignored. Removed rows are torn down by removeRow.
+    if (mutationObserver) {
+      for (var a = 0; a < addedEls.length; a++) activateTree(addedEls[a]);
+    }
+  }
+
+  /**
+   * Take a row out of its jsfor container, after its leave transition if
+   * it has one. When observing, its components are torn down then too, so
+   * they live until the row has really left.
+   */
+  function removeRow(container, rowEl) {
+    transitionOut(rowEl, function () {
+      if (rowEl.parentNode !== container) return;
+      container.removeChild(rowEl);
+      if (mutationObserver) destroyTree(rowEl);
+    });
+  }
+
+  /**
+   * el, or the first element after it that isn't leaving through a
+   * jstransition.
+   */
+  function stayingElement(el) {
+    while (el && isLeaving(el)) el = el.nextElementSibling;
+    return el;
+  }
+
+  /**
+   * Re-render one jsfor container if its list or anything its template
+   * reads is affected by changedKeys. The list path resolves against
+   * scope, so a list nested in a row can name a field of the row's item.
+   */
+  function renderList(container, scope, changedKeys, compEl) {
+    var key = container.getAttribute('jsfor');
+    var template = getForTemplate(container);
+    if (!template) return;
+    if (changedKeys && !isAffected(key, changedKeys)) {
+      var deps = templateDeps(template);
+      var affected = false;
+      for (var i = 0; i < deps.length && !affected; i++) affected = isAffected(deps[i], changedKeys);
+      if (!affected) return;
+    }
+    var items = getPath(scope, key);
+    if (!Array.isArray(items)) return;
+    reconcileForContainer(container, template, items, scope, changedKeys, compEl);
+  }
+
+  /**
+   * Re-render the component's [jsfor] containers affected by changedKeys.
+   */
+  function updateForBindings(compEl, state, changedKeys) {
+    var containers = compEl.querySelectorAll('[jsfor]');
+    for (var i = 0; i < containers.length; i++) {
+      if (inScope(containers[i], compEl)) renderList(containers[i], state, changedKeys, compEl);
+    }
+  }
+
+  /**
+   * Where a jsfor row's item lives, for the action context: the item, its
+   * index and its state path (e.g. "todos.2", or "todos.2.tags.0" in a
+   * nested list over a field of the item), or null outside any row.
+   */
+  function rowContext(el, compEl) {
+    for (var node = el; node && node !== compEl; node = node.parentElement) {
+      var container = node.parentElement;
+      var rows = container && container.hasAttribute('jsfor') && forRowsStore.get(container);
+      if (!rows) continue;
+      for (var i = 0; i < rows.length; i++) {
+        if (rows[i].el !== node) continue;
+        var key = container.getAttribute('jsfor');
+        var outer = rowContext(container, compEl);
+        var base = outer && isPlainObject(outer.item) && key.split('.')[0] in outer.item ?
+          outer.itemPath + '.' + key : key;
+        return { item: rows[i].item, index: i, itemPath: base + '.' + i };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * The state path a jsbind key inside a row writes to: $item is the item
+   * itself, and a bare key names a field of an object item unless it only
+   * exists in component state.
+   */
+  function rowBindPath(row, key, state) {
+    if (key === '$item') return row.itemPath;
+    var top = key.split('.')[0];
+    if (key[0] !== '$' && isPlainObject(row.item) && (top in row.item || !(top in state))) {
+      return row.itemPath + '.' + key;
+    }
+    return key;
+  }
+
+  /**
+   * On init, find all [jsif] elements and set up bindings.
+   *
+   * Two server-rendered forms, both hydrate state from HTML:
+   *
+   *   Real element  — condition is true:
+   *     <p jsif="key">…</p>
+   *     A comment marker is inserted before the element as a position anchor.
+   *
+   *   <template>    — condition is false:
+   *     <template jsif="key"><p>…</p></template>
+   *     The template itself is the marker; its content element is extracted
+   *     and held off-DOM until the condition becomes true.
+   */
+  function initIfBindings(compEl, state, def) {
+    ifBindingsStore.set(compEl, collectIfBindings(compEl, state, def));
+  }
+
+  /**
+   * The jsif bindings in root's scope (see initIfBindings). With a state
+   * object, "key" and "!key" conditions are hydrated into it; jsfor rows
+   * pass their item, or null for a fresh clone.
+   */
+  function collectIfBindings(root, state, def) {
+    var bindings = [];
+    var els = root.querySelectorAll('[jsif]');
+    for (var i = 0; i < els.length; i++) {
+      var el = els[i];
+      if (!inScope(el, root)) continue;
+      var raw = el.getAttribute('jsif');
+      var compiled = compileExpression(raw);
+      // Only "key" and "!key" hydrate state; other expressions are output-only.
+      var negated = raw.trim()[0] === '!';
+      var key = negated ? compileExpression(raw.trim().slice(1)).path : compiled.path;
+      var hydrate = state !== null && key !== null && isStateKey(key, def);
+      var marker, element, inDom;
+
+      if (el.tagName === 'TEMPLATE') {
+        // Condition is false — template is inert, content is off-DOM.
+        element = el.content.firstElementChild;
+        if (!element) continue; // Skip empty templates.
+        ensureActionListeners(element);
+        marker = el;
+        inDom = false;
+        if (hydrate) assignPath(state, key, negated ? true : false);
+      } else {
+        // Condition is true — element is visible, comment holds its place.
+        marker = document.createComment('jsif');
+        el.parentNode.insertBefore(marker, el);
+        element = el;
+        inDom = true;
+        if (hydrate) assignPath(state, key, negated ? false : true);
+      }
+
+      bindings.push({ el: element, marker: marker, expr: compiled, inDom: inDom });
+    }
+    return bindings;
+  }
+
+  function insertIfElement(b) {
+    transitionIn(b.el);
+    b.marker.parentNode.insertBefore(b.el, b.marker);
+    b.inDom = true;
+  }
+
+  function removeIfElement(b) {
+    b.inDom = false;
+    transitionOut(b.el, function () {
+      if (b.el.parentNode) b.el.parentNode.removeChild(b.el);
+    });
+  }
+
+  /**
+   * For each jsif binding whose expression reads a changed path, insert or
+   * remove the element. Returns the elements that were inserted.
+   */
+  function toggleIfBindings(bindings, state, changedKeys, compEl) {
+    var inserted = [];
+    for (var i = 0; i < bindings.length; i++) {
+      var b = bindings[i];
+      if (!exprAffected(b.expr, changedKeys)) continue;
+      var visible = !!evaluate(b.expr, state, compEl);
+      if (visible && !b.inDom) {
+        ignoreMutations(insertIfElement.bind(null, b));
+        inserted.push(b.el);
+      } else if (!visible && b.inDom) {
+        ignoreMutations(removeIfElement.bind(null, b));
+      }
+    }
+    return inserted;
+  }
+
+  function updateIfBindings(compEl, state, changedKeys) {
+    var bindings = ifBindingsStore.get(compEl);
+    if (!bindings) return;
+    var inserted = toggleIfBindings(bindings, state, changedKeys, compEl);
+    // Refresh all bindings within the newly inserted elements.
+    for (var i = 0; i < inserted.length; i++) updateBindings(inserted[i], state, null);
+  }
+
+  /**
+   * Run one jstransition phase ('enter' or 'leave') on el, Vue-style: add
+   * <name>-<phase>-from and <name>-<phase>-active, swap -from for -to after
+   * a frame, and finish once the transitions or animations that -active
+   * starts have ended (or their longest delay + duration has passed, in
+   * case an end event never fires). A phase still running on el is
+   * cancelled first — its classes removed and its `done` never called —
+   * so rapid toggles reverse cleanly. done runs when the phase finishes.
+   */
+  function runTransition(el, phase, done) {
+    cancelTransition(el);
+    var prefix = el.getAttribute('jstransition') + '-' + phase;
+    var from = prefix + '-from';
+    var active = prefix + '-active';
+    var to = prefix + '-to';
+    var timer = null;
+    var ends = 0;
+    var info = null;
+
+    function cleanup() {
+      cancelFrame();
+      clearTimeout(timer);
+      el.removeEventListener('transitionend', onEnd);
+      el.removeEventListener('animationend', onEnd);
+      el.classList.remove(from, active, to);
+      runningTransitions.delete(el);
+    }
+    function finish() {
+      cleanup();
+      if (done) done();
+    }
+    function onEnd(event) {
+      // Ignore descendants' transitions, and wait for every property that runs longest.
+      if (event.target !== el || !info || event.type !== info.event) return;
+      if (++ends >= info.count) finish();
+    }
+
+    el.classList.add(from, active);
+    el.addEventListener('transitionend', onEnd);
+    el.addEventListener('animationend', onEnd);
+    var cancelFrame = nextFrame(function () {
+      el.classList.remove(from);
+      el.classList.add(to);
+      info = transitionInfo(el);
+      if (info.timeout === 0) finish();
+      else timer = setTimeout(finish, info.timeout + 50);
+    });
+    runningTransitions.set(el, { leaving: phase === 'leave', cancel: cleanup });
+  }
+
+  function cancelTransition(el) {
+    var running = runningTransitions.get(el);
+    if (running) running.cancel();
+  }
+
+  /**
+   * Whether el is still in the DOM only to play its leave transition.
+   */
+  function isLeaving(el) {
+    var running = runningTransitions.get(el);
+    return !!running && running.leaving;
+  }
+
+  /**
+   * Call fn after the next frame has been painted (two animation frames),
+   * so classes added now are rendered before fn changes them. Returns a
+   * function that cancels the call.
+   */
+  function nextFrame(fn) {
+    if (!window.requestAnimationFrame) {
+      var timer = setTimeout(fn, 16);
+      return function () { clearTimeout(timer); };
+    }
+    var id = window.requestAnimationFrame(function () {
+      id = window.requestAnimationFrame(fn);
+    });
+    return function () { window.cancelAnimationFrame(id); };
+  }
+
+  /**
+   * What el's current transition or animation (whichever runs longer)
+   * takes: { timeout (ms), count of properties that run that long, event }.
+   */
+  function transitionInfo(el) {
+    var style = window.getComputedStyle(el);
+    var transition = longestTiming(style.transitionDelay, style.transitionDuration);
+    var animation = longestTiming(style.animationDelay, style.animationDuration);
+    var info = animation.timeout > transition.timeout ? animation : transition;
+    info.event = info === animation ? 'animationend' : 'transitionend';
+    return info;
+  }
+
+  /**
+   * The longest delay + duration (ms) in a pair of comma-separated CSS time
+   * lists, and how many entries reach it. Delays repeat to cover durations.
+   */
+  function longestTiming(delays, durations) {
+    var delayList = (delays || '').split(',');
+    var durationList = (durations || '').split(',');
+    var timeout = 0;
+    var count = 0;
+    for (var i = 0; i < durationList.length; i++) {
+      var ms = cssTime(durationList[i]) + cssTime(delayList[i % delayList.length]);
+      if (ms > timeout) {
+        timeout = ms;
+        count = 1;
+      } else if (ms === timeout && ms > 0) {
+        count++;
+      }
+    }
+    return { timeout: timeout, count: count };
+  }
+
+  /**
+   * A CSS time ("0.3s", "150ms") in milliseconds.
+   */
+  function cssTime(value) {
+    value = (value || '').trim();
+    var n = parseFloat(value) || 0;
+    return /ms$/.test(value) ? n : n * 1000;
+  }
+
+  /**
+   * Start el's enter transition, if it has a jstransition. Call it right
+   * before inserting el, so the -from class applies from the first frame.
+   */
+  function transitionIn(el) {
+    if (el.hasAttribute('jstransition')) runTransition(el, 'enter', null);
+  }
+
+  /**
+   * Remove el with remove() — straight away, or after its leave transition
+   * if it has a jstransition. The late removal is hidden from the
+   * MutationObserver like the immediate one.
+   */
+  function transitionOut(el, remove) {
+    if (!el.hasAttribute('jstransition')) return remove();
+    runTransition(el, 'leave', function () { ignoreMutations(remove); });
+  }
+
+  /**
+   * Whether an attribute name is a jsattr-*, jsclass-*, jsstyle-* or jsprop-* binding.
+   */
+  function isAttrBinding(name) {
+    for (var k = 0; k < ATTR_BINDING_PREFIXES.length; k++) {
+      if (name.indexOf(ATTR_BINDING_PREFIXES[k][0]) === 0) return true;
+    }
+    return false;
+  }
+
+  /**
+   * On init, scan for jsattr-*, jsclass, jsclass-*, jsstyle-* and jsprop-*
+   * attributes and build a flat list of { el, kind, name, expr, applied }
+   * bindings stored per component element.
+   */
+  function initAttrBindings(compEl) {
+    attrBindingsStore.set(compEl, collectAttrBindings(compEl, false));
+  }
+
+  /**
+   * The class/style/attribute bindings in root's scope, on root itself too
+   * if self is set (jsfor rows).
+   */
+  function collectAttrBindings(root, self) {
+    var bindings = [];
+    var all = root.querySelectorAll('*');
+    var els = self ? [root] : [];
+    for (var i = 0; i < all.length; i++) {
+      if (inScope(all[i], root)) els.push(all[i]);
+    }
+    for (var e = 0; e < els.length; e++) {
+      var el = els[e];
+      var attrs = el.attributes;
+      for (var j = 0; j < attrs.length; j++) {
+        var attrName = attrs[j].name;
+        if (attrName === 'jsclass') {
+          bindings.push({ el: el, kind: 'classes', name: null, expr: compileExpression(attrs[j].value), applied: [] });
+          continue;
+        }
+        for (var k = 0; k < ATTR_BINDING_PREFIXES.length; k++) {
+          var prefix = ATTR_BINDING_PREFIXES[k][0];
+          if (attrName.indexOf(prefix) === 0) {
+            var kind = ATTR_BINDING_PREFIXES[k][1];
+            bindings.push({
+              el: el, kind: kind, name: attrName.slice(prefix.length),
+              expr: kind === 'prop' ? compileProp(attrs[j].value) : compileExpression(attrs[j].value), applied: null,
+            });
+          }
+        }
+      }
+    }
+    return bindings;
+  }
+
+  /**
+   * Class names from a jsclass value: a space-separated string, an array of
+   * names, or an object whose truthy keys are the names to add.
+   */
+  function classNames(value) {
+    if (!value) return [];
+    if (typeof value === 'string') return value.split(/\s+/).filter(Boolean);
+    if (Array.isArray(value)) {
+      return value.reduce(function (names, item) { return names.concat(classNames(item)); }, []);
+    }
+    if (typeof value === 'object') {
+      return Object.keys(value).filter(function (name) { return value[name]; });
+    }
+    return [];
+  }
+
+  /**
+   * Apply one class/style/attribute binding:
+   *   jsattr-foo   — false/null/undefined removes the attribute; true sets it to ''; other values as a string
+   *   jsclass-foo  — toggles class foo on truthiness, leaving other classes alone
+   *   jsclass      — adds the classes named by the value (see classNames) and
+   *                  removes the ones it added before; an object's falsy keys are removed
+   *   jsstyle-prop — sets one style property or --custom-property; false/null/undefined/''
+   *                  removes it. A unit suffix (jsstyle-width.px, jsstyle-width.%) is appended.
+   *   jsprop-foo   — passes the value to the child component on the element (see setProp)
+   */
+  function applyAttrBinding(b, value) {
+    var el = b.el;
+    // What Ziw.inspect shows; a jsclass binding keeps the names it applied instead.
+    if (b.kind !== 'classes') b.applied = value;
+    if (b.kind === 'prop') {
+      setProp(el, propName(b.name), value);
+    } else if (b.kind === 'class') {
+      el.classList.toggle(b.name, !!value);
+    } else if (b.kind === 'classes') {
+      var names = classNames(value);
+      for (var i = 0; i < b.applied.length; i++) {
+        if (names.indexOf(b.applied[i]) === -1) el.classList.remove(b.applied[i]);
+      }
+      if (isPlainObject(value)) {
+        var keys = Object.keys(value);
+        for (var j = 0; j < keys.length; j++) {
+          if (!value[keys[j]]) el.classList.remove(keys[j]);
+        }
+      }
+      for (var k = 0; k < names.length; k++) el.classList.add(names[k]);
+      b.applied = names;
+    } else if (b.kind === 'style') {
+      var dot = b.name.indexOf('.', 2);
+      var prop = dot === -1 ? b.name : b.name.slice(0, dot);
+      if (value === false || value === null || value === undefined || value === '') {
+        el.style.removeProperty(prop);
+      } else {
+        el.style.setProperty(prop, String(value) + (dot === -1 ? '' : b.name.slice(dot + 1)));
+      }
+    } else if (value === false || value === null || value === undefined) {
+      el.removeAttribute(b.name);
+    } else {
+      el.setAttribute(b.name, value === true ? '' : String(value));
+    }
+  }
+
+  /**
+   * Apply attribute, class and style bindings affected by changedKeys (or
+   * all if changedKeys is null).
+   */
+  function updateAttrBindings(compEl, state, changedKeys) {
+    var bindings = attrBindingsStore.get(compEl);
+    if (!bindings) return;
+    for (var i = 0; i < bindings.length; i++) {
+      if (!exprAffected(bindings[i].expr, changedKeys)) continue;
+      applyAttrBinding(bindings[i], evaluate(bindings[i].expr, state, compEl));
+    }
+  }
+
+  /**
+   * Whether a jsbind element is contenteditable (bound to its textContent).
+   */
+  function isEditable(el) {
+    var attr = el.getAttribute('contenteditable');
+    return attr !== null && attr !== 'false';
+  }
+
+  /**
+   * Coerce a raw string from an element to the binding's type: jsbind-type
+   * ="number|boolean|string", else number for type="number"/"range".
+   * An empty number field becomes null.
+   */
+  function coerceInput(el, raw) {
+    return coerceText(raw, el.getAttribute('jsbind-type') ||
+      (el.type === 'number' || el.type === 'range' ? 'number' : 'string'));
+  }
+
+  /**
+   * Text read from the DOM as a jsbind-type / jsdata-type / jskey-type:
+   * 'number' (empty → null), 'boolean' ('true' or 'on'), else the text.
+   */
+  function coerceText(raw, type) {
+    if (type === 'number') return raw === '' ? null : Number(raw);
+    if (type === 'boolean') return raw === 'true' || raw === 'on';
+    return raw;
+  }
+
+  /**
+   * The value a jsbind element implies, given the current bound value:
+   * a radio yields its value when checked (else leaves current alone), a
+   * checkbox bound to an array adds or removes its value, a multi-select
+   * yields its selected values, contenteditable its text, and other
+   * checkboxes/inputs their checked state/value.
+   */
+  function readInput(el, current) {
+    if (el.type === 'radio') return el.checked ? coerceInput(el, el.value) : current;
+    if (el.type === 'checkbox') {
+      if (!Array.isArray(current)) return el.checked;
+      var value = coerceInput(el, el.value);
+      var rest = current.filter(function (item) { return item !== value; });
+      return el.checked ? rest.concat([value]) : rest;
+    }
+    if (el.tagName === 'SELECT' && el.multiple) {
+      var selected = [];
+      for (var i = 0; i < el.options.length; i++) {
+        if (el.options[i].selected) selected.push(coerceInput(el, el.options[i].value));
+      }
+      return selected;
+    }
+    if (isEditable(el)) return coerceInput(el, el.textContent);
+    return coerceInput(el, el.value);
+  }
+
+  /**
+   * Reflect a bound value onto a jsbind element (the inverse of readInput).
+   * Unchanged text isn't rewritten, so the caret stays put while typing.
+   */
+  function writeInput(el, value) {
+    if (el.type === 'radio') {
+      el.checked = coerceInput(el, el.value) === value;
+    } else if (el.type === 'checkbox') {
+      el.checked = Array.isArray(value) ? value.indexOf(coerceInput(el, el.value)) !== -1 : !!value;
+    } else if (el.tagName === 'SELECT' && el.multiple) {
+      for (var i = 0; i < el.options.length; i++) {
+        el.options[i].selected = Array.isArray(value) && value.indexOf(coerceInput(el, el.options[i].value)) !== -1;
+      }
+    } else {
+      var text = value === null || value === undefined ? '' : String(value);
+      if (isEditable(el)) {
+        if (el.textContent !== text) el.textContent = text;
+      } else if (el.value !== text) {
+        el.value = text;
+      }
+    }
+  }
+
+  /**
+   * Whether an event should sync a jsbind element to state: `input` and
+   * `change`, or only `change` with jsbind-lazy. contenteditable elements
+   * sync on `input`, or on `blur` when lazy.
+   */
+  function isBindEvent(el, eventType) {
+    var lazy = el.hasAttribute('jsbind-lazy');
+    if (isEditable(el)) return eventType === (lazy ? 'blur' : 'input');
+    return eventType === 'change' || (!lazy && eventType === 'input');
+  }
+
+  /**
+   * Hydrate state from server-rendered [jsbind] input values (see
+   * readInput). The first element bound to a path wins, except for radio
+   * groups and checkboxes bound to an array, which are read as a group.
+   */
+  function hydrateInputBindings(compEl, state) {
+    var seen = {};
+    var els = compEl.querySelectorAll('[jsbind]');
+    for (var i = 0; i < els.length; i++) {
+      var el = els[i];
+      var key = el.getAttribute('jsbind');
+      if (!hasPath(state, key)) continue;
+      if (!inScope(el, compEl)) continue;
+      var current = getPath(state, key);
+      var group = el.type === 'radio' || (el.type === 'checkbox' && Array.isArray(current));
+      if (seen[key] && !group) continue;
+      // A checkbox group's array is rebuilt from the boxes that are checked.
+      if (group && !seen[key] && el.type === 'checkbox') current = [];
+      assignPath(state, key, readInput(el, current));
+      seen[key] = true; // First matching element wins.
+    }
+  }
+
+  /**
+   * Sync [jsbind] input values from state for paths affected by changedKeys (or all).
+   * Called after programmatic setState so the input reflects the new value.
+   */
+  function updateInputBindings(compEl, state, changedKeys) {
+    var els = compEl.querySelectorAll('[jsbind]');
+    for (var i = 0; i < els.length; i++) {
+      var el = els[i];
+      var key = el.getAttribute('jsbind');
+      if (!isAffected(key, changedKeys) || !hasPath(state, key)) continue;
+      if (!inScope(el, compEl)) continue;
+      writeInput(el, getPath(state, key));
+    }
+  }
+
+  /**
+   * The fields a component validates: every [jsbind] state path mapped to
+   * its first bound element, plus def.validate paths bound to no element.
+   */
+  function getFormFields(compEl, def) {
+    var fields = {};
+    var els = compEl.querySelectorAll('[jsbind]');
+    for (var i = 0; i < els.length; i++) {
+      var key = els[i].getAttribute('jsbind');
+      if (key[0] === '$' || key in fields || !inScope(els[i], compEl)) continue;
+      fields[key] = els[i];
+    }
+    if (def.validate) {
+      var names = Object.keys(def.validate);
+      for (var j = 0; j < names.length; j++) {
+        if (!(names[j] in fields)) fields[names[j]] = null;
+      }
+    }
+    return fields;
+  }
+
+  /**
+   * Validate one field: native constraints on its element first (required,
+   * type, pattern, min/max…), then def.validate[key](value, state), which
+   * returns an error message or nothing. A custom message is also set as
+   * the element's custom validity so :invalid styles apply.
+   */
+  function validateField(compEl, def, instance, key, el) {
+    var message = null;
+    if (el && el.setCustomValidity) {
+      el.setCustomValidity('');
+      if (!el.validity.valid) message = el.validationMessage;
+    }
+    var validator = def.validate && def.validate[key];
+    if (!message && validator) {
+      try {
+        message = validator(getPath(instance.state, key), instance.state) || null;
+      } catch (err) {
+        reportError(err, { phase: 'validate', component: compEl.getAttribute('jscomponent'), element: compEl });
+      }
+      if (message && el && el.setCustomValidity) el.setCustomValidity(message);
+    }
+    return message;
+  }
+
+  /**
+   * Whether a field's value equals its initial one, for $dirty. Checkbox
+   * groups and multi-selects read a new array each time, so arrays compare
+   * by their items, in any order (a checkbox group's follows the clicks).
+   */
+  function sameFieldValue(value, initial) {
+    if (!Array.isArray(value) || !Array.isArray(initial)) return value === initial;
+    if (value.length !== initial.length) return false;
+    var rest = initial.slice();
+    for (var i = 0; i < value.length; i++) {
+      var at = rest.indexOf(value[i]);
+      if (at === -1) return false;
+      rest.splice(at, 1);
+    }
+    return true;
+  }
+
+  /**
+   * Revalidate the component's fields and rebuild its form flags, marking
+   * the paths in `touch` (or every field if true) as touched. Returns the
+   * changed $errors/$touched/$dirty/$form paths.
+   *
+   * $errors only shows messages for touched fields; $form.valid covers all.
+   */
+  function updateForm(compEl, def, instance, touch) {
+    var form = instance.form;
+    var fields = getFormFields(compEl, def);
+    var keys = Object.keys(fields);
+    var errors = {};
+    var touched = {};
+    var dirty = {};
+    var flags = Object.assign({}, form.flags, { valid: true, invalid: false, touched: false, dirty: false });
+    for (var i = 0; i < keys.length; i++) {
+      var key = keys[i];
+      var message = validateField(compEl, def, instance, key, fields[key]);
+      var isTouched = touch === true || (!!touch && touch.indexOf(key) !== -1) || !!getPath(form.touched, key);
+      var isDirty = !sameFieldValue(getPath(instance.state, key), form.initial[key]);
+      assignPath(errors, key, isTouched ? message : null);
+      assignPath(touched, key, isTouched);
+      assignPath(dirty, key, isDirty);
+      if (message) flags.valid = false;
+      if (isTouched) flags.touched = true;
+      if (isDirty) flags.dirty = true;
+    }
+    flags.invalid = !flags.valid;
+    return setFormState(instance, { errors: errors, touched: touched, dirty: dirty, flags: flags });
+  }
+
+  /**
+   * Replace parts of instance.form ({ errors, touched, dirty, flags }) and
+   * return the scope paths that changed.
+   */
+  function setFormState(instance, patch) {
+    var changedKeys = [];
+    var names = { errors: '$errors', touched: '$touched', dirty: '$dirty', flags: '$form' };
+    var parts = Object.keys(patch);
+    for (var i = 0; i < parts.length; i++) {
+      diffPaths(instance.form[parts[i]], patch[parts[i]], names[parts[i]], changedKeys);
+      instance.form[parts[i]] = patch[parts[i]];
+    }
+    return changedKeys;
+  }
+
+  /**
+   * Revalidate now and queue the bindings on form flags for the next flush.
+   * Returns whether the form is valid.
+   */
+  function refreshForm(compEl, def, instance, touch) {
+    queueRender(compEl, def, instance, updateForm(compEl, def, instance, touch));
+    return instance.form.flags.valid;
+  }
+
+  /**
+   * Handle the submit of a <form jssubmit> inside an initialized component:
+   * mark every field touched and revalidate. When the form is valid and
+   * jssubmit (or the form's action) names a URL, post the bound fields there
+   * as JSON with fetch and expose the outcome as $form.submitting,
+   * $form.submitted, $form.status, $form.response and $form.error.
+   *
+   * Returns false when the form is invalid, so its jsaction handlers
+   * don't run.
+   */
+  function submitForm(event, formEl) {
+    var compEl = formEl.closest('[jscomponent]');
+    var instance = compEl && instanceStore.get(compEl);
+    if (!instance) return true;
+    var def = componentRegistry.get(compEl.getAttribute('jscomponent'));
+    event.preventDefault();
+    if (!refreshForm(compEl, def, instance, true)) return false;
+
+    var url = formEl.getAttribute('jssubmit') || formEl.getAttribute('action');
+    if (!url) return true;
+
+    var method = (formEl.getAttribute('method') || 'POST').toUpperCase();
+    var fields = getFormFields(formEl, def);
+    var keys = Object.keys(fields);
+    var body = {};
+    for (var i = 0; i < keys.length; i++) {
+      if (fields[keys[i]]) assignPath(body, keys[i], getPath(instance.state, keys[i]));
+    }
+    var init = { method: method, headers: { Accept: 'application/json' } };
+    if (method === 'GET' || method === 'HEAD') {
+      var query = new URLSearchParams();
+      for (var j = 0; j < keys.length; j++) {
+        if (fields[keys[j]]) query.append(keys[j], getPath(instance.state, keys[j]));
+      }
+      url += (url.indexOf('?') === -1 ? '?' : '&') + query;
+    } else {
+      init.headers['Content-Type'] = 'application/json';
+      init.body = JSON.stringify(body);
+    }
+
+    function settle(patch) {
+      if (instanceStore.get(compEl) !== instance) return;
+      queueRender(compEl, def, instance, setFormState(instance, { flags: Object.assign({}, instance.form.flags, patch) }));
+    }
+
+    settle({ submitting: true, error: null });
+    window.fetch(url, init).then(function (response) {
+      var type = response.headers.get('Content-Type') || '';
+      return (type.indexOf('json') !== -1 ? response.json() : response.text()).then(function (data) {
+        settle({
+          submitting: false,
+          submitted: response.ok,
+          status: response.status,
+          response: data,
+          error: response.ok ? null : 'Request failed with status ' + response.status,
+        });
+      });
+    }).catch(function (err) {
+      reportError(err, { phase: 'submit', component: compEl.getAttribute('jscomponent'), src: url, element: compEl });
+      settle({ submitting: false, error: err.message || String(err) });
+    });
+    return true;
+  }
+
+  /**
+   * Whether a definition needs a per-element instance (state, stores, computed,
+   * validators or concurrency options).
+   */
+  function needsInstance(def) {
+    return !!(def.state || def.props || def.stores || def.computed || def.validate || def.concurrency);
+  }
+
+  /**
+   * Build the object bindings are resolved against: the instance state,
+   * computed values as top-level keys, $props, $route, $pending/$error action
+   * status, $errors/$touched/$dirty/$form validation state, and a `$name`
+   * entry for every store the definition declares.
+   */
+  function getScope(instance, def) {
+    var scope = Object.assign({}, instance.state, instance.computed);
+    scope.$props = instance.props;
+    scope.$route = currentRoute;
+    scope.$pending = instance.pending;
+    scope.$error = instance.errors;
+    scope.$errors = instance.form.errors;
+    scope.$touched = instance.form.touched;
+    scope.$dirty = instance.form.dirty;
+    scope.$form = instance.form.flags;
+    if (def.stores) {
+      for (var i = 0; i < def.stores.length; i++) {
+        scope['$' + def.stores[i]] = getStore(def.stores[i]).state;
+      }
+    }
+    return scope;
+  }
+
+  /**
+   * Call a computed function with a state proxy that records which
+   * top-level keys it reads; those keys are its dependencies.
+   */
+  function evaluateComputed(fn, state) {
+    var deps = [];
+    var tracker = new Proxy(state, {
+      get: function (target, prop) {
+        if (typeof prop === 'string' && deps.indexOf(prop) === -1) deps.push(prop);
+        return target[prop];
+      }
+    });
+    return { value: fn(tracker), deps: deps };
+  }
+
+  /**
+   * Recompute the computed values whose dependencies are affected by
+   * changedKeys (all of them if null). Names whose value changed are pushed
+   * onto changedKeys so dependent bindings update in the same pass.
+   */
+  function recompute(compEl, instance, def, changedKeys) {
+    if (!def.computed) return;
+    var names = Object.keys(def.computed);
+    var changedNames = [];
+    for (var i = 0; i < names.length; i++) {
+      var name = names[i];
+      var deps = instance.computedDeps[name];
+      if (changedKeys && deps) {
+        var affected = false;
+        for (var j = 0; j < deps.length && !affected; j++) {
+          affected = isAffected(deps[j], changedKeys);
+        }
+        if (!affected) continue;
+      }
+      var result;
+      try {
+        result = evaluateComputed(def.computed[name], instance.state);
+      } catch (err) {
+        reportError(err, { phase: 'computed', component: compEl.getAttribute('jscomponent'), element: compEl });
+        continue;
+      }
+      instance.computedDeps[name] = result.deps;
+      if (instance.computed[name] !== result.value || !(name in instance.computed)) {
+        instance.computed[name] = result.value;
+        changedNames.push(name);
+      }
+    }
+    if (changedKeys) {
+      for (var k = 0; k < changedNames.length; k++) changedKeys.push(changedNames[k]);
+    }
+  }
+
+  /**
+   * Run every update pass for the bindings affected by changedKeys.
+   */
+  function applyBindings(compEl, scope, changedKeys) {
+    updateIfBindings(compEl, scope, changedKeys);
+    updateBindings(compEl, scope, changedKeys);
+    updateAttrBindings(compEl, scope, changedKeys);
+    updateForBindings(compEl, scope, changedKeys);
+    updateInputBindings(compEl, scope, changedKeys);
+  }
+
+  /**
+   * Call an action handler, with a context if the component has an instance.
+   *
+   * A handler that returns a promise is tracked per action name: while it is
+   * in flight `$pending.<action>` is true, and a rejection is exposed as
+   * `$error.<action>` (cleared when the action runs again). def.concurrency
+   * decides what happens to re-entrant calls while one is pending:
+   * 'drop' ignores them, 'queue' runs them in order afterwards, and anything
+   * else (the default) runs them in parallel.
+   *
+   * `extra` holds additional context properties (e.g. a replay snapshot);
+   * a component without an instance receives just those as its context.
+   * An action inside a jsfor row also gets the row's item, index and
+   * itemPath (see rowContext).
+   */
+  function runAction(handler, event, actionEl, compEl, def, actionName, extra) {
+    var row = rowContext(actionEl, compEl);
+    if (row) extra = Object.assign(row, extra);
+    var errorInfo = {
+      phase: 'action',
+      component: compEl.getAttribute('jscomponent'),
+      action: actionName,
+      element: compEl,
+    };
+    var instance = instanceStore.get(compEl);
+    if (!instance) {
+      try {
+        if (extra) handler(event, actionEl, compEl, extra);
+        else handler(event, actionEl, compEl);
+      } catch (err) {
+        reportError(err, errorInfo);
+      }
+      return;
+    }
+
+    var mode = def.concurrency && def.concurrency[actionName];
+    if (instance.pending[actionName]) {
+      if (mode === 'drop') return;
+      if (mode === 'queue') {
+        if (!instance.actionQueues[actionName]) instance.actionQueues[actionName] = [];
+        instance.actionQueues[actionName].push([handler, event, actionEl, extra]);
+        return;
+      }
+    }
+
+    var result;
+    try {
+      result = handler(event, actionEl, compEl, makeContext(compEl, def, instance, extra));
+    } catch (err) {
+      reportError(err, errorInfo);
+      return;
+    }
+    if (!result || typeof result.then !== 'function') return;
+
+    instance.inFlight[actionName] = (instance.inFlight[actionName] || 0) + 1;
+    setActionStatus(compEl, def, instance, actionName, true, null);
+
+    result.then(function () {
+      settleAction(compEl, def, instance, actionName, null);
+    }, function (err) {
+      reportError(err, errorInfo);
+      settleAction(compEl, def, instance, actionName, err);
+    });
+  }
+
+  /**
+   * Finish one in-flight invocation and start the next queued one, if any.
+   */
+  function settleAction(compEl, def, instance, actionName, err) {
+    instance.inFlight[actionName]--;
+    var stillPending = instance.inFlight[actionName] > 0;
+    var message = err ? (err.message || String(err)) : instance.errors[actionName];
+    setActionStatus(compEl, def, instance, actionName, stillPending, message);
+
+    var queue = instance.actionQueues[actionName];
+    if (!stillPending && queue && queue.length > 0 && instanceStore.get(compEl) === instance) {
+      var next = queue.shift();
+      runAction(next[0], next[1], next[2], compEl, def, actionName, next[3]);
+    }
+  }
+
+  /**
+   * Update $pending.<action> / $error.<action> and queue the bindings on
+   * them for the next flush.
+   */
+  function setActionStatus(compEl, def, instance, actionName, pending, error) {
+    var changedKeys = [];
+    if (instance.pending[actionName] !== pending) {
+      instance.pending = Object.assign({}, instance.pending);
+      instance.pending[actionName] = pending;
+      changedKeys.push('$pending.' + actionName);
+    }
+    // Starting a new invocation clears the previous error.
+    if (pending && instance.inFlight[actionName] === 1) error = null;
+    if ((instance.errors[actionName] || null) !== (error || null)) {
+      instance.errors = Object.assign({}, instance.errors);
+      instance.errors[actionName] = error || null;
+      changedKeys.push('$error.' + actionName);
+    }
+    if (instanceStore.get(compEl) === instance) queueRender(compEl, def, instance, changedKeys);
+  }
+
+  /**
+   * Build the handler context passed as the fourth argument to actions.
+   */
+  function makeContext(compEl, def, instance, extra) {
+    var ctx = Object.assign({
+      state: instance.state,
+      props: instance.props,
+      route: currentRoute,
+      setState: makeSetState(compEl, def),
+      emit: function (name, detail) { return emit(compEl, name, detail); },
+      // Touch and revalidate every field; returns whether the form is valid.
+      validate: function () { return refreshForm(compEl, def, instance, true); },
+    }, extra);
+    if (def.computed) ctx.computed = instance.computed;
+    if (def.stores) {
+      ctx.stores = {};
+      for (var i = 0; i < def.stores.length; i++) {
+        ctx.stores[def.stores[i]] = store(def.stores[i]);
+      }
+    }
+    return ctx;
+  }
+
+  /**
+   * Initialize per-instance state for a component element.
+   * Deep-clones def.state, stores it, updates bindings, and calls init().
+   */
+  function initInstance(compEl, def) {
+    if (!needsInstance(def)) return;
+    if (instanceStore.has(compEl)) return; // Already initialized.
+
+    var state = deepClone(def.state || {});
+    instanceStore.set(compEl, {
+      state: state,
+      props: readProps(compEl, def),
+      prev: null,
+      computed: {},
+      computedDeps: {},
+      pending: {},      // action name → true while its promise is in flight
+      errors: {},       // action name → message of its last rejection
+      inFlight: {},     // action name → number of unsettled invocations
+      actionQueues: {}, // action name → queued [handler, event, actionEl, extra] calls
+      batch: null,      // { prev, props, changedKeys, updated } of the changes awaiting a flush (see startBatch)
+      persist: null,    // storage options when def.persist is set (see persistOptions)
+      url: null,        // URL options when def.url is set (see urlOptions)
+      form: {           // validation state of the [jsbind] fields (see updateForm)
+        initial: {},    // field path → value after hydration, for $dirty
+        errors: {},
+        touched: {},
+        dirty: {},
+        flags: { valid: true, invalid: false, touched: false, dirty: false, submitting: false, submitted: false },
+      },
+    });
+    initForBindings(compEl);
+    initAttrBindings(compEl);
+    hydrateForBindings(compEl, state, def);
+    hydrateBindings(compEl, state);
+    hydrateInputBindings(compEl, state);
+    initIfBindings(compEl, state, def);
+    var instance = instanceStore.get(compEl);
+
+    var fieldKeys = Object.keys(getFormFields(compEl, def));
+    for (var f = 0; f < fieldKeys.length; f++) {
+      instance.form.initial[fieldKeys[f]] = getPath(state, fieldKeys[f]);
+    }
+    // Persisted values win over the HTML and URL parameters over both;
+    // fields they change start out dirty.
+    var hydrated = Object.assign({}, state);
+    var restoredKeys = def.persist ? restorePersisted(compEl, def, instance) : [];
+    if (def.url) restoredKeys = restoredKeys.concat(restoreFromUrl(compEl, def, instance, hydrated));
+    if (restoredKeys.length > 0) updateInputBindings(compEl, state, restoredKeys);
+    recompute(compEl, instance, def, null);
+
+    var forms = compEl.querySelectorAll('form[jssubmit]');
+    for (var n = 0; n < forms.length; n++) {
+      // Ziw shows the messages; keep the browser from blocking the submit.
+      forms[n].noValidate = true;
+    }
+    // Inputs already hold the hydrated values, so native constraints apply.
+    updateForm(compEl, def, instance, null);
+
+    var scope = getScope(instance, def);
+    updateBindings(compEl, scope, null);
+    updateAttrBindings(compEl, scope, null);
+    updateInputBindings(compEl, scope, null);
+    passRowProps(compEl, scope, compEl);
+
+    // Prop, route, store, computed, form, action-status and restored values aren't hydrated from HTML
+    // (stores may have changed before this component loaded), so render
+    // their jsif/jsfor bindings from the current values.
+    var derivedKeys = ['$props', '$route', '$pending', '$error', '$errors', '$touched', '$dirty', '$form'].concat(restoredKeys);
+    if (def.computed) derivedKeys = derivedKeys.concat(Object.keys(def.computed));
+    if (def.stores) {
+      for (var i = 0; i < def.stores.length; i++) {
+        derivedKeys.push('$' + def.stores[i]);
+        getStore(def.stores[i]).components.add(compEl);
+      }
+    }
+    // jsif expressions other than "key"/"!key" aren't hydrated either.
+    updateIfBindings(compEl, scope, null);
+    updateForBindings(compEl, scope, derivedKeys);
+    liveComponents.add(compEl);
+    if (debugMode) checkBindings(compEl, scope);
+
+    callHook(compEl, def, 'init', [compEl, state]);
+  }
+
+  /**
+   * Merge a patch into target, copying objects along dotted paths, and push
+   * the changed paths (prefixed with `prefix`) onto changedKeys.
+   */
+  function mergePatch(target, patch, changedKeys, prefix) {
+    var patchKeys = Object.keys(patch);
+    for (var i = 0; i < patchKeys.length; i++) {
+      var parts = patchKeys[i].split('.');
+      var top = parts[0];
+      var before = target[top];
+      target[top] = setIn(before, parts, 1, patch[patchKeys[i]]);
+      diffPaths(before, target[top], prefix + top, changedKeys);
+    }
+  }
+
+  /**
+   * Create a setState closure bound to a specific component element and definition.
+   *
+   * Patch keys may be dot paths: setState({ 'user.name': 'Ann' }) replaces
+   * state.user with a copy whose name changed, leaving the old object intact.
+   * A function patch is called with the latest state (including earlier
+   * unflushed calls) and returns the patch.
+   *
+   * The state object is replaced, never mutated, so a handler's ctx.state
+   * keeps the values it started with. The DOM update is batched: every
+   * call until the next flush (see scheduleFlush) shares one render and one
+   * update hook. Returns a promise that resolves after that flush.
+   */
+  function makeSetState(compEl, def) {
+    return function setState(patch) {
+      var instance = instanceStore.get(compEl);
+      if (!instance) return Promise.resolve();
+      if (typeof patch === 'function') patch = patch(instance.state);
+
+      var batch = startBatch(compEl, def, instance);
+      batch.updated = true;
+      if (patch) {
+        var next = Object.assign({}, instance.state);
+        var changedKeys = batch.changedKeys;
+        var count = changedKeys.length;
+        mergePatch(next, patch, changedKeys, '');
+        if (changedKeys.length > count) instance.state = next;
+      }
+      return nextTick();
+    };
+  }
+
+  /**
+   * The instance's batch of changes awaiting the next flush, started with
+   * the current state and props as the `prev` its hooks receive.
+   */
+  function startBatch(compEl, def, instance) {
+    if (!instance.batch) {
+      instance.batch = { prev: instance.state, props: null, changedKeys: [], updated: false };
+      pendingUpdates.set(compEl, def);
+    }
+    return instance.batch;
+  }
+
+  /**
+   * Add changed scope paths that aren't state ($pending, $errors, $form…)
+   * to the instance's batch, so they render with the next flush like
+   * setState changes — without calling the update hook.
+   */
+  function queueRender(compEl, def, instance, changedKeys) {
+    if (changedKeys.length === 0) return;
+    var batch = startBatch(compEl, def, instance);
+    batch.changedKeys.push.apply(batch.changedKeys, changedKeys);
+    scheduleFlush();
+  }
+
+  /**
+   * Flush pending setState batches on the next microtask, or the next
+   * animation frame with Ziw.config({ flush: 'frame' }).
+   */
+  function scheduleFlush() {
+    if (flushScheduled) return;
+    flushScheduled = true;
+    if (settings.flush === 'frame' && window.requestAnimationFrame) {
+      window.requestAnimationFrame(flushUpdates);
+    } else {
+      Promise.resolve().then(flushUpdates);
+    }
+  }
+
+  /**
+   * Call the subscribers of changed stores, then render every pending
+   * batch once (store changes included) and call its propsChanged hook if
+   * props changed and its update hook if setState was called, each with
+   * the values from before the batch. nextTick promises resolve when no
+   * batch is left — updates made by the hooks flush first.
+   */
+  function flushUpdates() {
+    flushScheduled = false;
+    // First, so what subscribers set joins this flush.
+    notifyStores();
+    var batches = pendingUpdates;
+    pendingUpdates = new Map();
+    batches.forEach(function (def, compEl) {
+      var instance = instanceStore.get(compEl);
+      if (!instance || !instance.batch) return;
+      var batch = instance.batch;
+      instance.batch = null;
+      instance.prev = batch.prev;
+
+      var changedKeys = batch.changedKeys;
+      if (changedKeys.length > 0) {
+        recompute(compEl, instance, def, changedKeys);
+        applyBindings(compEl, getScope(instance, def), changedKeys);
+        // After the bindings so native constraints see the new input values.
+        var formKeys = updateForm(compEl, def, instance, null);
+        if (formKeys.length > 0) applyBindings(compEl, getScope(instance, def), formKeys);
+      }
+      if (instance.persist && changedKeys.length > 0) schedulePersist(compEl, instance, changedKeys);
+      if (instance.url && changedKeys.length > 0) queueUrlWrite(instance, changedKeys);
+      if (batch.props) callHook(compEl, def, 'propsChanged', [compEl, instance.props, batch.props]);
+      if (batch.updated) callHook(compEl, def, 'update', [compEl, instance.state, batch.prev]);
+    });
+    // One history entry for all the url writes of this flush; $route.query follows it.
+    if (commitUrl()) updateRoutes();
+
+    if (pendingUpdates.size > 0 || pendingStores.size > 0) {
+      scheduleFlush();
+      return;
+    }
+    var waiters = flushWaiters;
+    flushWaiters = [];
+    for (var i = 0; i < waiters.length; i++) waiters[i]();
+  }
+
+  /**
+   * A promise that resolves once pending setState calls have reached the DOM.
+   */
+  function nextTick() {
+    return new Promise(function (resolve) {
+      flushWaiters.push(resolve);
+      scheduleFlush();
+    });
+  }
+
+  /**
+   * jsprop-item-count → itemCount (attribute names are lowercase).
+   */
+  function propName(name) {
+    return name.replace(/-([a-z])/g, function (match, letter) { return letter.toUpperCase(); });
+  }
+
+  /**
+   * The bindings scope at an element inside a component: the component's
+   * scope with a rowScope layer for each jsfor row around the element.
+   */
+  function elementScope(el, compEl, scope) {
+    var rows = [];
+    for (var node = el; node && node !== compEl; node = node.parentElement) {
+      var container = node.parentElement;
+      var rendered = container && container.hasAttribute('jsfor') && forRowsStore.get(container);
+      for (var i = 0; rendered && i < rendered.length; i++) {
+        if (rendered[i].el === node) rows.unshift(rendered[i]);
+      }
+    }
+    for (var r = 0; r < rows.length; r++) scope = rowScope(scope, rows[r].item, rows[r].index);
+    return scope;
+  }
+
+  /**
+   * A component's initial props: its jsprop-* attributes evaluated in the
+   * enclosing component's scope (an empty one if that component has no
+   * instance yet — it passes them on when it initializes), with def.props
+   * as defaults for those that are missing or undefined.
+   */
+  function readProps(compEl, def) {
+    var props = Object.assign({}, def.props);
+    var parentEl = compEl.parentElement && compEl.parentElement.closest('[jscomponent]');
+    var parent = parentEl && instanceStore.get(parentEl);
+    var scope = parent ? elementScope(compEl, parentEl, getScope(parent, componentRegistry.get(parentEl.getAttribute('jscomponent')))) : {};
+    var attrs = compEl.attributes;
+    for (var i = 0; i < attrs.length; i++) {
+      if (attrs[i].name.indexOf('jsprop-') !== 0) continue;
+      var value = evaluate(compileProp(attrs[i].value), scope, parentEl || compEl);
+      if (value !== undefined) props[propName(attrs[i].name.slice(7))] = value;
+    }
+    return props;
+  }
+
+  /**
+   * Pass jsprop-* values to child components on hydrated jsfor rows, which
+   * aren't rendered on init. Run when the component owning the rows
+   * initializes, in case a child initialized first.
+   */
+  function passRowProps(root, scope, compEl) {
+    var containers = root.querySelectorAll('[jsfor]');
+    for (var i = 0; i < containers.length; i++) {
+      if (!inScope(containers[i], root)) continue;
+      var rows = forRowsStore.get(containers[i]) || [];
+      for (var j = 0; j < rows.length; j++) {
+        var local = rowScope(scope, rows[j].item, rows[j].index);
+        var bindings = rowBindingsStore.get(rows[j].el);
+        for (var k = 0; bindings && k < bindings.attrs.length; k++) {
+          var b = bindings.attrs[k];
+          if (b.kind === 'prop') applyAttrBinding(b, evaluate(b.expr, local, compEl));
+        }
+        passRowProps(rows[j].el, local, compEl);
+      }
+    }
+  }
+
+  /**
+   * Pass a new prop value to a component. Its $props bindings and
+   * propsChanged hook run with the next flush, batched like setState.
+   * A component that hasn't initialized reads its props then instead.
+   */
+  function setProp(compEl, name, value) {
+    var instance = instanceStore.get(compEl);
+    if (!instance) return;
+    var def = componentRegistry.get(compEl.getAttribute('jscomponent'));
+    if (value === undefined && def.props) value = def.props[name];
+    if (instance.props[name] === value) return;
+    var batch = startBatch(compEl, def, instance);
+    if (!batch.props) batch.props = instance.props;
+    instance.props = Object.assign({}, instance.props);
+    instance.props[name] = value;
+    batch.changedKeys.push('$props.' + name);
+    scheduleFlush();
+  }
+
+  /**
+   * Deliver ctx.emit(name, detail) to the nearest ancestor component whose
+   * definition has on[name], walking further out past ancestors without
+   * one. The handler runs like an action, with a CustomEvent carrying
+   * detail and the emitting component element as actionEl. Returns whether
+   * a handler was found (or the event was buffered, see deliverEmit).
+   */
+  function emit(compEl, name, detail) {
+    var ancestor = compEl.parentElement && compEl.parentElement.closest('[jscomponent]');
+    return deliverEmit(new CustomEvent(name, { detail: detail }), compEl, ancestor);
+  }
+
+  /**
+   * Walk out from ancestor to the first component with an on handler for
+   * the emitted event and run it. An unloaded ancestor that loads on
+   * interaction, or whose script is already loading, gets the event
+   * buffered like an action's: it loads, and replayEvents delivers the
+   * event from there once it has registered.
+   */
+  function deliverEmit(event, compEl, ancestor) {
+    var name = event.type;
+    while (ancestor) {
+      var compName = ancestor.getAttribute('jscomponent');
+      var def = componentRegistry.get(compName);
+      if (def && def.on && typeof def.on[name] === 'function') {
+        runAction(def.on[name], event, compEl, ancestor, def, name);
+        return true;
+      }
+      var source = !def && getSource(compName, ancestor);
+      if (source && (INTERACTIVE_STRATEGIES.indexOf(source.load) !== -1 || pendingLoads.has(source.src))) {
+        trace('emit ' + name + ': ' + compName + ' is not loaded yet; the event is buffered while ' +
+          source.src + ' loads', ancestor);
+        cancelScheduledLoad(ancestor);
+        eventQueue.push({
+          event: event, actionEl: compEl, compEl: ancestor, compName: compName,
+          actionName: name, eventType: name, spec: null, snapshot: null, fallbackTimer: null,
+        });
+        loadWithDeps(compName, source);
+        return true;
+      }
+      ancestor = ancestor.parentElement && ancestor.parentElement.closest('[jscomponent]');
+    }
+    return false;
+  }
+
+  /**
+   * Public handle on a component instance: the component element (or an
+   * element inside it) → { state, props, setState }, or null if it has no
+   * instance. state and props always read the current values.
+   */
+  function getInstance(el) {
+    var compEl = el.hasAttribute('jscomponent') ? el : el.closest('[jscomponent]');
+    var instance = compEl && instanceStore.get(compEl);
+    if (!instance) return null;
+    return {
+      get state() { return instance.state; },
+      get props() { return instance.props; },
+      setState: makeSetState(compEl, componentRegistry.get(compEl.getAttribute('jscomponent'))),
+    };
+  }
+
+  /**
+   * Resolve def.persist (true, or options) for a component element:
+   * { storage, key, keys, version, migrate, debounce, timer }. The key is
+   * "ziw:<Name>", plus ":<jspersist or id>" when the element has one.
+   * Returns null (after reporting) if the storage can't be used.
+   */
+  function persistOptions(compEl, def) {
+    var options = def.persist === true ? {} : def.persist;
+    var name = compEl.getAttribute('jscomponent');
+    var storage;
+    try {
+      // Merely reading these throws where storage is blocked.
+      storage = options.storage === 'session' ? window.sessionStorage : window.localStorage;
+    } catch (err) {
+      reportError(err, { phase: 'persist', component: name, element: compEl });
+      return null;
+    }
+    var id = compEl.getAttribute('jspersist') || compEl.id;
+    return {
+      storage: storage,
+      key: 'ziw:' + name + (id ? ':' + id : ''),
+      keys: options.keys || Object.keys(def.state || {}),
+      version: options.version === undefined ? 1 : options.version,
+      migrate: options.migrate || null,
+      debounce: options.debounce === undefined ? 300 : options.debounce,
+      timer: null,
+    };
+  }
+
+  /**
+   * Turn a stored entry ({ version, state }) into a patch of the allowed
+   * keys. An entry from another version goes through
+   * migrate(state, fromVersion), or is ignored without one. Unreadable
+   * entries are reported and ignored.
+   */
+  function readPersisted(compEl, persist, raw) {
+    if (raw === null) return null;
+    try {
+      var entry = JSON.parse(raw);
+      var saved = entry.state;
+      if (entry.version !== persist.version) {
+        if (!persist.migrate) return null;
+        saved = persist.migrate(saved, entry.version);
+      }
+      if (!isPlainObject(saved)) return null;
+      var patch = {};
+      for (var i = 0; i < persist.keys.length; i++) {
+        if (persist.keys[i] in saved) patch[persist.keys[i]] = saved[persist.keys[i]];
+      }
+      return patch;
+    } catch (err) {
+      reportError(err, { phase: 'persist', component: compEl.getAttribute('jscomponent'), element: compEl });
+      return null;
+    }
+  }
+
+  /**
+   * On init: set up persistence for the instance and merge the stored
+   * values into its freshly hydrated state. Returns the restored keys.
+   */
+  function restorePersisted(compEl, def, instance) {
+    var persist = persistOptions(compEl, def);
+    if (!persist) return [];
+    instance.persist = persist;
+    if (!persistedComponents.has(persist.key)) persistedComponents.set(persist.key, new Set());
+    persistedComponents.get(persist.key).add(compEl);
+    listenForPersist();
+
+    var raw = null;
+    try {
+      raw = persist.storage.getItem(persist.key);
+    } catch (err) {
+      reportError(err, { phase: 'persist', component: compEl.getAttribute('jscomponent'), element: compEl });
+    }
+    var patch = readPersisted(compEl, persist, raw);
+    if (!patch) return [];
+    Object.assign(instance.state, patch);
+    return Object.keys(patch);
+  }
+
+  /**
+   * Write the instance's allowed keys now, unless storage already holds
+   * exactly that (e.g. the change came from another tab).
+   */
+  function writePersisted(compEl, instance) {
+    var persist = instance.persist;
+    clearTimeout(persist.timer);
+    persist.timer = null;
+    pendingWrites.delete(compEl);
+    var saved = {};
+    for (var i = 0; i < persist.keys.length; i++) {
+      if (persist.keys[i] in instance.state) saved[persist.keys[i]] = instance.state[persist.keys[i]];
+    }
+    try {
+      var raw = JSON.stringify({ version: persist.version, state: saved });
+      if (persist.storage.getItem(persist.key) !== raw) persist.storage.setItem(persist.key, raw);
+    } catch (err) {
+      reportError(err, { phase: 'persist', component: compEl.getAttribute('jscomponent'), element: compEl });
+    }
+  }
+
+  /**
+   * Debounce a write after a flush that changed any persisted key.
+   */
+  function schedulePersist(compEl, instance, changedKeys) {
+    var persist = instance.persist;
+    var affected = false;
+    for (var i = 0; i < persist.keys.length && !affected; i++) {
+      affected = isAffected(persist.keys[i], changedKeys);
+    }
+    if (!affected) return;
+    clearTimeout(persist.timer);
+    pendingWrites.add(compEl);
+    persist.timer = setTimeout(function () { writePersisted(compEl, instance); }, persist.debounce);
+  }
+
+  /**
+   * Install the window listeners persistence needs, once: `storage` applies
+   * another tab's writes to the instances using that key (through
+   * setState), and `pagehide` writes out debounced changes before the page
+   * goes away.
+   */
+  function listenForPersist() {
+    if (persistListening) return;
+    persistListening = true;
+    window.addEventListener('storage', function (event) {
+      var comps = event.key && persistedComponents.get(event.key);
+      if (!comps) return;
+      comps.forEach(function (compEl) {
+        var instance = instanceStore.get(compEl);
+        if (!instance || !instance.persist || instance.persist.storage !== event.storageArea) return;
+        var patch = readPersisted(compEl, instance.persist, event.newValue);
+        if (patch) makeSetState(compEl, componentRegistry.get(compEl.getAttribute('jscomponent')))(patch);
+      });
+    });
+    window.addEventListener('pagehide', function () {
+      pendingWrites.forEach(function (compEl) {
+        var instance = instanceStore.get(compEl);
+        if (instance) writePersisted(compEl, instance);
+      });
+    });
+  }
+
+  /**
+   * Resolve def.url (an array of keys, or options) for a component:
+   * { keys: { stateKey: param }, mode, history, initial }. keys is an array
+   * of state keys used as the parameter names, or a map from state key to
+   * parameter name.
+   */
+  function urlOptions(def) {
+    var options = Array.isArray(def.url) ? { keys: def.url } : def.url;
+    var keys = {};
+    if (Array.isArray(options.keys)) {
+      for (var i = 0; i < options.keys.length; i++) keys[options.keys[i]] = options.keys[i];
+    } else {
+      Object.assign(keys, options.keys);
+    }
+    return {
+      keys: keys,
+      mode: options.mode === 'hash' ? 'hash' : 'query',
+      history: options.history === 'push' ? 'push' : 'replace',
+      initial: {},      // state key → value before the URL was applied; left out of the URL
+    };
+  }
+
+  /**
+   * The parameters of a URL object for a mode: its query string, or its
+   * hash read as one ("#page=2&q=x").
+   */
+  function urlParams(url, mode) {
+    return mode === 'hash' ? new URLSearchParams(url.hash.slice(1)) : url.searchParams;
+  }
+
+  /**
+   * A state value as parameter text: objects and arrays as JSON,
+   * null/undefined as '', anything else through String().
+   */
+  function formatParam(value) {
+    if (value === null || value === undefined) return '';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  }
+
+  /**
+   * Parse parameter text back into the type of the key's initial value.
+   * Text that doesn't fit (a non-number for a number) gives the initial value.
+   */
+  function parseParam(text, initial) {
+    if (typeof initial === 'number') {
+      var n = Number(text);
+      return text.trim() === '' || isNaN(n) ? initial : n;
+    }
+    if (typeof initial === 'boolean') return text === 'true';
+    if (initial !== null && typeof initial === 'object') {
+      try {
+        return JSON.parse(text);
+      } catch (err) {
+        return deepClone(initial);
+      }
+    }
+    return text;
+  }
+
+  /**
+   * The patch that brings the instance's url keys in line with the current
+   * location. With reset, a key without a parameter goes back to its
+   * initial value (so the back button can undo a change); otherwise it is
+   * left alone. Keys already holding the value are skipped.
+   */
+  function readUrlState(instance, reset) {
+    var url = instance.url;
+    var params = urlParams(new URL(window.location.href), url.mode);
+    var patch = {};
+    var keys = Object.keys(url.keys);
+    for (var i = 0; i < keys.length; i++) {
+      var key = keys[i];
+      var text = params.get(url.keys[key]);
+      if (text === null) {
+        if (!reset) continue;
+        text = formatParam(url.initial[key]);
+      }
+      if (text === formatParam(getPath(instance.state, key))) continue;
+      patch[key] = text === formatParam(url.initial[key]) ? deepClone(url.initial[key]) : parseParam(text, url.initial[key]);
+    }
+    return patch;
+  }
+
+  /**
+   * On init: set up URL syncing for the instance and merge the location's
+   * parameters into its state. `hydrated` holds the state from before
+   * persisted values were restored; its values are the ones the URL leaves
+   * out. Returns the restored keys.
+   */
+  function restoreFromUrl(compEl, def, instance, hydrated) {
+    var url = urlOptions(def);
+    var keys = Object.keys(url.keys);
+    for (var i = 0; i < keys.length; i++) url.initial[keys[i]] = deepClone(getPath(hydrated, keys[i]));
+    instance.url = url;
+    urlComponents.add(compEl);
+    listenForHistory();
+
+    var patch = readUrlState(instance, false);
+    var restored = Object.keys(patch);
+    for (var j = 0; j < restored.length; j++) assignPath(instance.state, restored[j], patch[restored[j]]);
+    return restored;
+  }
+
+  /**
+   * After a flush that changed any of the instance's url keys, write them
+   * into the URL being built for this flush. Values equal to the initial
+   * one are left out to keep URLs short.
+   */
+  function queueUrlWrite(instance, changedKeys) {
+    var url = instance.url;
+    var keys = Object.keys(url.keys);
+    var affected = false;
+    for (var i = 0; i < keys.length && !affected; i++) {
+      affected = isAffected(keys[i], changedKeys);
+    }
+    if (!affected) return;
+    if (!pendingUrl) pendingUrl = new URL(window.location.href);
+    var params = urlParams(pendingUrl, url.mode);
+    for (var j = 0; j < keys.length; j++) {
+      var text = formatParam(getPath(instance.state, keys[j]));
+      if (text === formatParam(url.initial[keys[j]])) params.delete(url.keys[keys[j]]);
+      else params.set(url.keys[keys[j]], text);
+    }
+    if (url.mode === 'hash') pendingUrl.hash = params.toString();
+    if (url.history === 'push') pendingUrlPush = true;
+  }
+
+  /**
+   * At the end of a flush: replace the current history entry with the URL
+   * built by queueUrlWrite, or push a new one if any of the writes asked
+   * for it. Returns whether the location changed.
+   */
+  function commitUrl() {
+    var url = pendingUrl;
+    var push = pendingUrlPush;
+    pendingUrl = null;
+    pendingUrlPush = false;
+    if (!url || url.href === window.location.href) return false;
+    window.history[push ? 'pushState' : 'replaceState'](window.history.state, '', url.href);
+    return true;
+  }
+
+  /**
+   * Install the popstate listener, once. Back/forward (and hash links)
+   * re-apply the URL to every synced component and re-match the routes.
+   */
+  function listenForHistory() {
+    if (historyListening) return;
+    historyListening = true;
+    window.addEventListener('popstate', applyLocation);
+  }
+
+  /**
+   * Bring url-synced state (through setState) and the jsroute regions in
+   * line with the current location.
+   */
+  function applyLocation() {
+    urlComponents.forEach(function (compEl) {
+      var instance = instanceStore.get(compEl);
+      if (!instance || !instance.url) return;
+      var patch = readUrlState(instance, true);
+      if (Object.keys(patch).length > 0) {
+        makeSetState(compEl, componentRegistry.get(compEl.getAttribute('jscomponent')))(patch);
+      }
+    });
+    updateRoutes();
+  }
+
+  /**
+   * Compile a jsroute pattern. "/items/:id" captures one segment as
+   * params.id, and a final "*" matches the rest of the path (possibly
+   * nothing) as params.rest. A trailing slash is optional.
+   */
+  function compileRoute(pattern) {
+    var names = [];
+    var source = '';
+    var segments = pattern.trim().split('/');
+    for (var i = 0; i < segments.length; i++) {
+      var segment = segments[i];
+      if (!segment) continue;
+      if (segment === '*') {
+        names.push('rest');
+        source += '(?:/(.*))?';
+      } else if (segment[0] === ':') {
+        names.push(segment.slice(1));
+        source += '/([^/]+)';
+      } else {
+        source += '/' + segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      }
+    }
+    return { regex: new RegExp('^' + source + '/?$'), names: names };
+  }
+
+  /**
+   * The params of a path matched against a compiled route, or null.
+   */
+  function matchRoute(route, path) {
+    var match = route.regex.exec(path);
+    if (!match) return null;
+    var params = {};
+    for (var i = 0; i < route.names.length; i++) {
+      var value = match[i + 1] || '';
+      try {
+        value = decodeURIComponent(value);
+      } catch (err) {
+        // Malformed escapes are passed through as they are.
+      }
+      params[route.names[i]] = value;
+    }
+    return params;
+  }
+
+  /**
+   * The path of a URL object that jsroute patterns match: its pathname,
+   * or the part of its hash before any "?" with Ziw.config({ router: 'hash' }).
+   */
+  function routePath(url) {
+    if (settings.router === 'hash') return url.hash.slice(1).split('?')[0] || '/';
+    return url.pathname;
+  }
+
+  /**
+   * Find the jsroute regions in root that aren't bound yet. Like jsif, a
+   * region is either a real element (shown) whose place a comment holds,
+   * or a <template jsroute> whose content element is held off-DOM until
+   * its pattern matches.
+   */
+  function bindRoutes(root) {
+    var els = root.querySelectorAll('[jsroute]');
+    for (var i = 0; i < els.length; i++) {
+      var el = els[i];
+      if (boundRoutes.has(el)) continue;
+      boundRoutes.add(el);
+      var marker, element, inDom;
+      if (el.tagName === 'TEMPLATE') {
+        element = el.content.firstElementChild;
+        if (!element) continue; // Skip empty templates.
+        marker = el;
+        inDom = false;
+      } else {
+        marker = document.createComment('jsroute');
+        el.parentNode.insertBefore(marker, el);
+        element = el;
+        inDom = true;
+      }
+      routeBindings.push({ el: element, marker: marker, route: compileRoute(el.getAttribute('jsroute')), inDom: inDom });
+      listenForHistory();
+      listenForRouteLinks();
+    }
+  }
+
+  /**
+   * Render a region that was just shown: refresh the bindings of the
+   * component around it, then activate the components inside it.
+   */
+  function showRegion(el) {
+    var compEl = el.parentElement && el.parentElement.closest('[jscomponent]');
+    var instance = compEl && instanceStore.get(compEl);
+    if (instance) {
+      updateBindings(el, getScope(instance, componentRegistry.get(compEl.getAttribute('jscomponent'))), null);
+    }
+    activateTree(el);
+  }
+
+  /**
+   * Match the current location against every jsroute region, showing the
+   * ones that match and removing the rest. The params of all matching
+   * regions make up $route.params. If the route changed, every component
+   * re-renders its $route bindings and gets a routeChanged(compEl, route,
+   * prev) call.
+   */
+  function updateRoutes() {
+    var location = new URL(window.location.href);
+    var path = routePath(location);
+    var params = {};
+    // Regions bound while showing a region are appended, and handled in the same pass.
+    for (var i = 0; i < routeBindings.length; i++) {
+      var b = routeBindings[i];
+      var match = matchRoute(b.route, path);
+      if (match) Object.assign(params, match);
+      if (match && !b.inDom) {
+        ignoreMutations(insertIfElement.bind(null, b));
+        bindRoutes(b.el);
+        if (b.el.isConnected) showRegion(b.el);
+      } else if (!match && b.inDom) {
+        ignoreMutations(removeIfElement.bind(null, b));
+      }
+    }
+
+    var query = {};
+    location.searchParams.forEach(function (value, key) { query[key] = value; });
+    var route = { path: path, params: params, query: query };
+    var changedKeys = diffPaths(currentRoute, route, '$route', []);
+    if (changedKeys.length === 0) return;
+    var prev = currentRoute;
+    currentRoute = route;
+    liveComponents.forEach(function (compEl) {
+      var instance = instanceStore.get(compEl);
+      var def = componentRegistry.get(compEl.getAttribute('jscomponent'));
+      if (!instance || !def) return;
+      applyBindings(compEl, getScope(instance, def), changedKeys);
+      callHook(compEl, def, 'routeChanged', [compEl, route, prev]);
+    });
+  }
+
+  /**
+   * Go to a URL on this origin without reloading: push a history entry
+   * (or replace the current one with { replace: true }), then apply it
+   * like a back/forward navigation.
+   */
+  function navigate(href, options) {
+    var url = new URL(href, window.location.href);
+    var replace = options && options.replace;
+    window.history[replace ? 'replaceState' : 'pushState'](null, '', url.href);
+    applyLocation();
+  }
+
+  /**
+   * Install the route link listener, once. It listens on the document in
+   * the bubble phase, so it runs after the capture-phase jsaction dispatch
+   * and any listeners on the link: a handler that prevents the click's
+   * default, or a .stop modifier, keeps the link from navigating in place.
+   */
+  function listenForRouteLinks() {
+    if (routeLinksListening) return;
+    routeLinksListening = true;
+    document.addEventListener('click', followRouteLink);
+  }
+
+  /**
+   * Follow a plain left click on a same-origin link whose path matches a
+   * jsroute region in place (see navigate). Modified clicks, links with a
+   * target or download attribute, cancelled clicks and in-page anchors
+   * keep their native behaviour.
+   */
+  function followRouteLink(event) {
+    if (event.defaultPrevented || event.button !== 0 ||
+        event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) return;
+    var link = event.target.closest && event.target.closest('a[href]');
+    if (!link || link.hasAttribute('download') || (link.target && link.target !== '_self')) return;
+    var url = new URL(link.href, window.location.href);
+    var here = window.location;
+    if (url.origin !== here.origin) return;
+    if (settings.router !== 'hash' && url.hash && url.pathname === here.pathname && url.search === here.search) return;
+
+    var path = routePath(url);
+    for (var i = 0; i < routeBindings.length; i++) {
+      if (matchRoute(routeBindings[i].route, path)) {
+        event.preventDefault();
+        navigate(url.href);
+        return;
+      }
+    }
+  }
+
+  /**
+   * Get a store record by name, creating an empty one if needed so that
+   * components can declare a store before the code that fills it runs.
+   */
+  function getStore(name) {
+    var record = storeRegistry.get(name);
+    if (!record) {
+      record = { state: {}, prev: null, subscribers: new Set(), components: new Set() };
+      storeRegistry.set(name, record);
+    }
+    return record;
+  }
+
+  /**
+   * Apply a patch to a store and batch the change like setState: every
+   * component that declares the store re-renders the affected bindings,
+   * and subscribers are called, once on the next flush, however many
+   * writes came before it. Returns a promise that resolves once rendered.
+   */
+  function setStoreState(name, patch) {
+    var record = getStore(name);
+    var prev = Object.assign({}, record.state);
+    var changed = [];
+    mergePatch(record.state, patch, changed, '');
+    if (changed.length === 0) return nextTick();
+
+    var pending = pendingStores.get(name);
+    if (!pending) pendingStores.set(name, pending = { prev: prev, changed: [] });
+    for (var i = 0; i < changed.length; i++) {
+      if (pending.changed.indexOf(changed[i]) === -1) pending.changed.push(changed[i]);
+    }
+
+    var changedKeys = changed.map(function (path) { return '$' + name + '.' + path; });
+    record.components.forEach(function (compEl) {
+      var instance = instanceStore.get(compEl);
+      var def = componentRegistry.get(compEl.getAttribute('jscomponent'));
+      if (!instance || !def) return;
+      var batch = startBatch(compEl, def, instance);
+      batch.changedKeys.push.apply(batch.changedKeys, changedKeys);
+    });
+    return nextTick();
+  }
+
+  /**
+   * Call the subscribers of every store changed since the last flush with
+   * its state, the state before the first change, and the changed paths.
+   */
+  function notifyStores() {
+    var changes = pendingStores;
+    pendingStores = new Map();
+    changes.forEach(function (change, name) {
+      var record = getStore(name);
+      record.prev = change.prev;
+      record.subscribers.forEach(function (fn) {
+        fn(record.state, change.prev, change.changed);
+      });
+    });
+  }
+
+  /**
+   * Create or look up a shared store.
+   *
+   * The first call with initialState creates it; later calls return the same
+   * store, filling in any top-level keys it doesn't have yet. Components list
+   * the stores they use in `stores: ['cart']` and bind with `$cart.count`.
+   *
+   * @param {string} name
+   * @param {object} [initialState]
+   * @returns {{ get: Function, set: Function, subscribe: Function }}
+   */
+  function store(name, initialState) {
+    var record = getStore(name);
+    if (initialState) {
+      var defaults = {};
+      var keys = Object.keys(initialState);
+      for (var i = 0; i < keys.length; i++) {
+        if (!(keys[i] in record.state)) defaults[keys[i]] = deepClone(initialState[keys[i]]);
+      }
+      setStoreState(name, defaults);
+    }
+    return {
+      get: function (path) {
+        return path ? getPath(record.state, path) : record.state;
+      },
+      set: function (patch) {
+        return setStoreState(name, patch);
+      },
+      subscribe: function (fn) {
+        record.subscribers.add(fn);
+        return function unsubscribe() { record.subscribers.delete(fn); };
+      },
+    };
+  }
+
+  /**
+   * Tear down a component instance: call its destroy() hook and remove state.
+   * Call this before removing a component element from the DOM.
+   */
+  function destroy(compEl) {
+    // Drop anything still waiting on this element's script.
+    eventQueue = eventQueue.filter(function (entry) {
+      if (entry.compEl !== compEl) return true;
+      clearTimeout(entry.fallbackTimer);
+      return false;
+    });
+    cancelScheduledLoad(compEl);
+
+    var instance = instanceStore.get(compEl);
+    if (!instance) return;
+
+    var compName = compEl.getAttribute('jscomponent');
+    var def = componentRegistry.get(compName);
+    if (def) callHook(compEl, def, 'destroy', [compEl, instance.state]);
+    if (instance.persist) {
+      if (instance.persist.timer) writePersisted(compEl, instance);
+      persistedComponents.get(instance.persist.key).delete(compEl);
+    }
+    urlComponents.delete(compEl);
+    liveComponents.delete(compEl);
+    instanceStore.delete(compEl);
+    ifBindingsStore.delete(compEl);
+    attrBindingsStore.delete(compEl);
+    if (def && def.stores) {
+      for (var i = 0; i < def.stores.length; i++) getStore(def.stores[i]).components.delete(compEl);
+    }
+  }
+
+  /**
+   * Run fn without the MutationObserver reacting to the DOM changes it makes.
+   * Records already pending are handled first so user mutations aren't lost;
+   * records produced by fn are then discarded.
+   */
+  function ignoreMutations(fn) {
+    if (!mutationObserver) return fn();
+    handleMutations(mutationObserver.takeRecords());
+    try {
+      return fn();
+    } finally {
+      mutationObserver.takeRecords();
+    }
+  }
+
+  /**
+   * Collect [jscomponent] elements in a subtree (root inclusive), in document order.
+   */
+  function componentsIn(root) {
+    var found = root.hasAttribute('jscomponent') ? [root] : [];
+    var nested = root.querySelectorAll('[jscomponent]');
+    for (var i = 0; i < nested.length; i++) found.push(nested[i]);
+    return found;
+  }
+
+  /**
+   * Destroy every component in a removed subtree, innermost first.
+   * Elements held off-DOM by jsif bindings are torn down too.
+   */
+  function destroyTree(root) {
+    var comps = componentsIn(root);
+    for (var i = comps.length - 1; i >= 0; i--) {
+      var bindings = ifBindingsStore.get(comps[i]);
+      if (bindings) {
+        for (var j = 0; j < bindings.length; j++) {
+          if (!bindings[j].inDom) destroyTree(bindings[j].el);
+        }
+      }
+      destroy(comps[i]);
+    }
+  }
+
+  /**
+   * Activate every component in an added subtree: initialize registered
+   * ones, and run the jsload strategy for those that aren't loaded yet.
+   */
+  function activateTree(root) {
+    ensureActionListeners(root);
+    var comps = componentsIn(root);
+    for (var i = 0; i < comps.length; i++) {
+      var def = componentRegistry.get(comps[i].getAttribute('jscomponent'));
+      if (def) {
+        initInstance(comps[i], def);
+      } else {
+        scheduleLoad(comps[i]);
+      }
+    }
+  }
+
+  /**
+   * MutationObserver callback. Nodes that are still connected when the
+   * record is handled were moved rather than removed, so they are skipped.
+   */
+  function handleMutations(records) {
+    for (var i = 0; i < records.length; i++) {
+      var removed = records[i].removedNodes;
+      for (var j = 0; j < removed.length; j++) {
+        if (removed[j].nodeType === 1 && !removed[j].isConnected) destroyTree(removed[j]);
+      }
+      var added = records[i].addedNodes;
+      for (var k = 0; k < added.length; k++) {
+        if (added[k].nodeType === 1 && added[k].isConnected) activateTree(added[k]);
+      }
+    }
+  }
+
+  /**
+   * Opt in to automatic activation and teardown: components added to the
+   * document are scanned/initialized and removed ones are destroyed, so
+   * Ziw.scan() and Ziw.destroy() no longer need to be called by hand.
+   * Pass false to stop observing.
+   */
+  function observe(enabled) {
+    if (enabled === false) {
+      if (mutationObserver) mutationObserver.disconnect();
+      mutationObserver = null;
+      return;
+    }
+    if (mutationObserver) return;
+    mutationObserver = new MutationObserver(handleMutations);
+    mutationObserver.observe(document.documentElement, { childList: true, subtree: true });
+  }
+
+  /**
+   * Install a single capture-phase listener on `document` for the given event
+   * type, if one hasn't been installed yet.
+   *
+   * Capture phase is used so that:
+   *  1. The framework sees events before any stopPropagation calls
+   *     (which is why .stop acts later, from the action element; see stopAfter).
+   *  2. Non-bubbling events (focus, blur) are still intercepted.
+   */
+  function ensureEventListener(eventType) {
+    if (activeEventTypes.has(eventType)) return;
+    activeEventTypes.add(eventType);
+    document.addEventListener(eventType, globalDispatch, true);
+  }
+
+  /**
+   * Resolve where and how to load a component: attributes on the element
+   * win over its Ziw.config({ components }) / jsmanifest entry. Returns
+   * { src, load, type, deps }, or null when neither names a src. type is
+   * 'module' for jstype="module" or a .mjs URL, else 'script'.
+   */
+  function getSource(name, el) {
+    var entry = manifest.get(name) || {};
+    var src = (el && el.getAttribute('jssrc')) || entry.src;
+    if (!src) return null;
+    var type = (el && el.getAttribute('jstype')) || entry.type;
+    return {
+      src: src,
+      load: (el && el.getAttribute('jsload')) || entry.load || 'eager',
+      type: type === 'module' || /\.mjs(?:[?#]|$)/.test(src) ? 'module' : 'script',
+      deps: entry.deps || [],
+    };
+  }
+
+  /**
+   * Add component entries to the manifest. Each value is a src string or
+   * { src, load, type, deps }; deps name components loaded first.
+   */
+  function addManifest(components) {
+    var names = Object.keys(components);
+    for (var i = 0; i < names.length; i++) {
+      var entry = components[names[i]];
+      manifest.set(names[i], typeof entry === 'string' ? { src: entry } : entry);
+    }
+  }
+
+  /**
+   * Read every <script type="application/json" jsmanifest> block in root
+   * into the manifest. Each block is read once.
+   */
+  function readManifests(root) {
+    var scripts = root.querySelectorAll('script[jsmanifest]');
+    for (var i = 0; i < scripts.length; i++) {
+      if (readManifestScripts.has(scripts[i])) continue;
+      readManifestScripts.add(scripts[i]);
+      try {
+        addManifest(JSON.parse(scripts[i].textContent));
+      } catch (err) {
+        reportError(err, { phase: 'load', element: scripts[i] });
+      }
+    }
+  }
+
+  /**
+   * Add a <link rel="preload"> (or modulepreload) hint for a component's
+   * script and, recursively, its dependencies', so they download in
+   * parallel instead of one after another.
+   */
+  function preloadComponent(name, source) {
+    if (!source || componentRegistry.has(name) || preloadedSrcs.has(source.src)) return;
+    preloadedSrcs.add(source.src);
+    var link = document.createElement('link');
+    if (source.type === 'module') {
+      link.rel = 'modulepreload';
+    } else {
+      link.rel = 'preload';
+      link.as = 'script';
+    }
+    link.href = source.src;
+    document.head.appendChild(link);
+    for (var i = 0; i < source.deps.length; i++) {
+      preloadComponent(source.deps[i], getSource(source.deps[i], null));
+    }
+  }
+
+  /**
+   * Inject a classic <script> tag. Resolves when it has executed.
+   */
+  function injectScript(src) {
+    return new Promise(function (resolve, reject) {
+      var script = document.createElement('script');
+      script.src = src;
+      script.onload = function () { resolve(); };
+      script.onerror = function () {
+        script.parentNode.removeChild(script);
+        reject(new Error('Failed to load component script: ' + src));
+      };
+      document.head.appendChild(script);
+    });
+  }
+
+  /**
+   * Whether a module export looks like a component definition.
+   */
+  function isDefinition(value) {
+    if (!isPlainObject(value)) return false;
+    for (var i = 0; i < DEFINITION_KEYS.length; i++) {
+      if (DEFINITION_KEYS[i] in value) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Import a component ES module and register what it exports: the default
+   * export under the requesting jscomponent name, and every named export
+   * that is a definition under its export name. Modules may also call
+   * Ziw.register() themselves.
+   */
+  function importModule(name, src) {
+    // import() resolves relative to this script, so resolve against the page.
+    return import(new URL(src, document.baseURI).href).then(function (mod) {
+      registerExports(name, mod);
+    });
+  }
+
+  /**
+   * Register the definitions among a module's exports (see importModule).
+   */
+  function registerExports(name, mod) {
+    var exportNames = Object.keys(mod);
+    for (var i = 0; i < exportNames.length; i++) {
+      var exported = mod[exportNames[i]];
+      if (!isDefinition(exported)) continue;
+      var compName = exportNames[i] === 'default' ? name : exportNames[i];
+      if (componentRegistry.get(compName) !== exported) register(compName, exported);
+    }
+  }
+
+  /**
+   * Fetch a component's JS file with Ziw.config({ loader }): the loader
+   * gets the src and type ('script' or 'module') and returns a promise.
+   * Definitions among the exports it resolves with are registered as for
+   * an ES module; a loader for classic scripts may resolve with nothing.
+   */
+  function loadWithLoader(name, src, type) {
+    return new Promise(function (resolve) {
+      resolve(settings.loader(src, type));
+    }).then(function (mod) {
+      if (mod) registerExports(name, mod);
+    });
+  }
+
+  /**
+   * Load a component's JS file — a classic <script> or, for type 'module',
+   * a dynamic import(), unless a loader is configured. Returns a Promise that resolves once it has loaded
+   * and its buffered events have been replayed. Failed attempts are retried
+   * with exponential backoff. Deduplicates via pendingLoads so the same src
+   * is never fetched twice.
+   */
+  function loadComponent(name, src, type) {
+    if (pendingLoads.has(src)) return pendingLoads.get(src);
+
+    var attempt = 0;
+    function tryLoad() {
+      var load = settings.loader ? loadWithLoader(name, src, type) :
+        type === 'module' ? importModule(name, src) : injectScript(src);
+      return load.catch(function (err) {
+        if (attempt >= settings.loadRetries) throw err;
+        // Exponential backoff: delay, 2×delay, 4×delay…
+        var delay = settings.loadRetryDelay * Math.pow(2, attempt++);
+        return new Promise(function (resolve) { setTimeout(resolve, delay); }).then(tryLoad);
+      });
+    }
+
+    var promise = tryLoad().then(function () {
+      unfinishedLoads.delete(src);
+      if (!componentRegistry.has(name)) {
+        failLoad(name, src, new Error('Component script ' + src + ' did not register ' + name));
+      }
+      replayEvents();
+    }, function (err) {
+      pendingLoads.delete(src);
+      unfinishedLoads.delete(src);
+      failLoad(name, src, err);
+      throw err;
+    });
+
+    // Callers that don't await the load shouldn't produce unhandled
+    // rejections; failures are reported through reportError().
+    promise.catch(function () {});
+    pendingLoads.set(src, promise);
+    unfinishedLoads.add(src);
+    return promise;
+  }
+
+  /**
+   * Load a component after its manifest dependencies have loaded (or
+   * failed — each failure is reported on its own).
+   */
+  function loadWithDeps(name, source) {
+    var deps = source.deps.filter(function (dep) { return !componentRegistry.has(dep); });
+    if (deps.length === 0) return loadComponent(name, source.src, source.type);
+    return Promise.all(deps.map(function (dep) {
+      var depSource = getSource(dep, null);
+      return depSource ? loadWithDeps(dep, depSource).catch(function () {}) : null;
+    })).then(function () {
+      if (!componentRegistry.has(name)) return loadComponent(name, source.src, source.type);
+    });
+  }
+
+  /**
+   * Handle a component script that failed to load (or loaded without
+   * registering the component): drop the events buffered for it (running
+   * the native behaviour of any that jsbuffer prevented), show each
+   * instance's <template jserror> fallback, and report the error.
+   */
+  function failLoad(name, src, error) {
+    var stranded = eventQueue.filter(function (entry) { return entry.compName === name; });
+    for (var j = 0; j < stranded.length; j++) {
+      if (stranded[j].fallbackTimer === null) continue;
+      // Events whose default was held back get it now.
+      clearTimeout(stranded[j].fallbackTimer);
+      fallbackToNative(stranded[j]);
+    }
+    eventQueue = eventQueue.filter(function (entry) { return entry.compName !== name; });
+
+    var elements = document.querySelectorAll('[jscomponent="' + name + '"]');
+    for (var i = 0; i < elements.length; i++) {
+      var fallback = elements[i].querySelector('template[jserror]');
+      if (fallback && belongsToComponent(fallback, elements[i])) {
+        fallback.parentNode.replaceChild(fallback.content.cloneNode(true), fallback);
+      }
+    }
+
+    reportError(error, { phase: 'load', component: name, src: src, element: elements[0] || null });
+  }
+
+  /**
+   * After a script loads, replay — in the order they happened — the buffered
+   * events of every component that is now registered. A script may register
+   * several components, so this isn't limited to the one that triggered it.
+   */
+  function replayEvents() {
+    var queue = eventQueue;
+    var remaining = [];
+    eventQueue = [];
+    for (var i = 0; i < queue.length; i++) {
+      var entry = queue[i];
+      var def = componentRegistry.get(entry.compName);
+      if (!def) {
+        remaining.push(entry);
+        continue;
+      }
+      clearTimeout(entry.fallbackTimer);
+      if (!entry.spec) {
+        // An emit: handled here or passed further out.
+        deliverEmit(entry.event, entry.actionEl, entry.compEl);
+        continue;
+      }
+      var target = entry.event.target;
+      if (entry.eventType === 'submit' && target.hasAttribute('jssubmit') && !submitForm(entry.event, target)) continue;
+      var handler = resolveHandler(def, entry.spec, entry.eventType);
+      if (handler) {
+        // prevent/stop were applied when the event was buffered.
+        scheduleAction(handler, entry.spec, entry.event, entry.actionEl, entry.compEl, def,
+          { snapshot: entry.snapshot });
+      } else if (entry.compEl.parentElement) {
+        // Not this component's action after all — keep bubbling outward.
+        dispatchSpec(entry.event, entry.actionEl, entry.spec, entry.compEl.parentElement);
+      }
+    }
+    // Keep events still waiting, plus any buffered while replaying.
+    eventQueue = remaining.concat(eventQueue);
+  }
+
+  /**
+   * Shared IntersectionObserver for the "visible" strategy. Each observed
+   * element's load function is kept in visibleLoads.
+   */
+  function getVisibilityObserver() {
+    if (visibilityObserver) return visibilityObserver;
+    visibilityObserver = new IntersectionObserver(function (entries) {
+      for (var i = 0; i < entries.length; i++) {
+        if (entries[i].isIntersecting) {
+          var load = visibleLoads.get(entries[i].target);
+          if (load) load();
+        }
+      }
+    });
+    return visibilityObserver;
+  }
+
+  /**
+   * Call fn once the named component is registered. Returns a function
+   * that cancels the wait.
+   */
+  function whenRegistered(name, fn) {
+    var waiters = registerWaiters.get(name);
+    if (!waiters) {
+      waiters = new Set();
+      registerWaiters.set(name, waiters);
+    }
+    waiters.add(fn);
+    return function () { waiters.delete(fn); };
+  }
+
+  /**
+   * Built-in jsload strategies: function (el, load, arg) → optional cleanup.
+   * arg is whatever follows the first ':' in the attribute
+   * (jsload="media:(min-width: 800px)", jsload="after:Header").
+   */
+  function defineBuiltinStrategies() {
+    defineLoadStrategy('eager', function (el, load) {
+      load();
+    });
+
+    // Events are buffered and the load started by dispatchSpec.
+    defineLoadStrategy('interaction', function () {});
+
+    defineLoadStrategy('visible', function (el, load) {
+      visibleLoads.set(el, load);
+      getVisibilityObserver().observe(el);
+      return function () {
+        visibleLoads.delete(el);
+        visibilityObserver.unobserve(el);
+      };
+    });
+
+    defineLoadStrategy('idle', function (el, load) {
+      if (window.requestIdleCallback) {
+        var handle = window.requestIdleCallback(load);
+        return function () { window.cancelIdleCallback(handle); };
+      }
+      var timer = setTimeout(load, 1);
+      return function () { clearTimeout(timer); };
+    });
+
+    // Prefetch on intent; an interaction before that still loads the
+    // component (see dispatchSpec), so touch devices aren't left out.
+    ['hover', 'focus'].forEach(function (strategy) {
+      var eventType = strategy === 'hover' ? 'pointerenter' : 'focusin';
+      defineLoadStrategy(strategy, function (el, load) {
+        el.addEventListener(eventType, load);
+        return function () { el.removeEventListener(eventType, load); };
+      });
+    });
+
+    defineLoadStrategy('media', function (el, load, query) {
+      var mql = window.matchMedia(query);
+      if (mql.matches) return load();
+      function onChange(e) {
+        if (e.matches) load();
+      }
+      mql.addEventListener('change', onChange);
+      return function () { mql.removeEventListener('change', onChange); };
+    });
+
+    defineLoadStrategy('after', function (el, load, name) {
+      if (componentRegistry.has(name)) return load();
+      return whenRegistered(name, load);
+    });
+  }
+
+  /**
+   * Register a jsload strategy. fn(el, load, arg) is called once per
+   * unloaded component element; it calls load() when the component's script
+   * should be fetched and may return a cleanup function, run once the load
+   * starts or the element is destroyed.
    */
-  function belongsToComponent(el, compEl) {
-    var ancestor = el.parentElement;
-    while (ancestor && ancestor !== compEl) {
-      if (ancestor.hasAttribute('jscomponent')) return false;
-      ancestor = ancestor.parentElement;
-    }
-    return ancestor === compEl;
+  function defineLoadStrategy(name, fn) {
+    loadStrategies.set(name, fn);
   }
 
   /**
-   * Hydrate state from server-rendered [jsdata] elements.
-   * Reads textContent and coerces to match the type of the existing state value.
-   * Skips array keys (handled by hydrateForBindings) and jsfor-scoped elements.
+   * Run and forget the cleanup of an element's pending load strategy.
    */
-  function hydrateBindings(compEl, state) {
-    var keys = Object.keys(state);
-    for (var i = 0; i < keys.length; i++) {
-      var key = keys[i];
-      if (Array.isArray(state[key])) continue;
-      var els = compEl.querySelectorAll('[jsdata="' + key + '"]');
-      for (var j = 0; j < els.length; j++) {
-        var el = els[j];
-        if (!belongsToComponent(el, compEl)) continue;
-        if (el.closest('[jsfor]') && el.closest('[jsfor]') !== compEl) continue;
-        var text = el.textContent;
-        var type = typeof state[key];
-        if (type === 'number') {
-          state[key] = parseFloat(text);
-        } else if (type === 'boolean') {
-          state[key] = text === 'true';
-        } else {
-          state[key] = text;
-        }
-        break; // First matching element wins.
-      }
-    }
+  function cancelScheduledLoad(el) {
+    var cleanup = loadCleanups.get(el);
+    if (!cleanup) return;
+    loadCleanups.delete(el);
+    cleanup();
   }
 
   /**
-   * Update [jsdata] descendant elements within a component element.
-   * Only updates bindings for the specified keys (or all keys if changedKeys is null).
-   * Scoped: won't cross into nested jscomponent boundaries.
-   * Skips jsdata elements inside jsfor containers (those are managed by updateForBindings).
+   * Split a jsload value into the strategy name and the argument after
+   * the first ':' ("media:(min-width: 800px)").
    */
-  function updateBindings(compEl, state, changedKeys) {
-    var keys = changedKeys || Object.keys(state);
-    for (var i = 0; i < keys.length; i++) {
-      var key = keys[i];
-      var els = compEl.querySelectorAll('[jsdata="' + key + '"]');
-      for (var j = 0; j < els.length; j++) {
-        if (!belongsToComponent(els[j], compEl)) continue;
-        // Skip jsdata elements that live inside a jsfor container —
-        // those are rendered by updateForBindings with item-level scope.
-        if (els[j].closest('[jsfor]') && els[j].closest('[jsfor]') !== compEl) continue;
-        els[j].textContent = state[key];
-      }
-    }
+  function parseLoad(load) {
+    var colon = load.indexOf(':');
+    return {
+      name: (colon === -1 ? load : load.slice(0, colon)).trim(),
+      arg: colon === -1 ? '' : load.slice(colon + 1).trim(),
+    };
   }
 
   /**
-   * On init, find all [jsfor] containers within a component and snapshot
-   * their first child element as the repeat template.
+   * Set up lazy loading for a single component element, from its jssrc and
+   * jsload attributes or its manifest entry.
    */
-  function initForBindings(compEl) {
-    var containers = compEl.querySelectorAll('[jsfor]');
-    for (var i = 0; i < containers.length; i++) {
-      var container = containers[i];
-      if (!belongsToComponent(container, compEl)) continue;
-      var firstChild = container.children[0];
-      if (firstChild) {
-        forTemplates.set(container, firstChild.cloneNode(true));
-      }
+  function scheduleLoad(el) {
+    var name = el.getAttribute('jscomponent');
+    var source = getSource(name, el);
+
+    // Skip if already registered, already waiting on its strategy, or
+    // already loading (a re-scan mustn't run the strategy again).
+    if (!source || componentRegistry.has(name) || loadCleanups.has(el) || unfinishedLoads.has(source.src)) return;
+
+    var src = source.src;
+    var parsed = parseLoad(source.load);
+    var strategy = loadStrategies.get(parsed.name);
+    if (!strategy) {
+      reportError(new Error('Unknown jsload strategy "' + parsed.name + '"'),
+        { phase: 'load', component: name, src: src, element: el });
+      return;
     }
-  }
 
-  /**
-   * Hydrate state from existing [jsfor] children in the DOM.
-   * Reads textContent (primitives) or jsdata bindings (objects) from each
-   * child element and writes the resulting array into state.
-   */
-  function hydrateForBindings(compEl, state) {
-    var containers = compEl.querySelectorAll('[jsfor]');
-    for (var i = 0; i < containers.length; i++) {
-      var container = containers[i];
-      if (!belongsToComponent(container, compEl)) continue;
-      var key = container.getAttribute('jsfor');
-      var template = forTemplates.get(container);
-      if (!template) continue;
-
-      var children = container.children;
-      if (children.length === 0) continue;
-
-      // Detect object mode: template has [jsdata] descendants or root jsdata.
-      var isObjectMode = template.hasAttribute('jsdata') ||
-                         template.querySelector('[jsdata]') !== null;
-
-      var items = [];
-      for (var j = 0; j < children.length; j++) {
-        var child = children[j];
-        if (isObjectMode) {
-          var item = {};
-          // Read from root jsdata.
-          if (child.hasAttribute('jsdata')) {
-            item[child.getAttribute('jsdata')] = child.textContent;
-          }
-          // Read from descendant jsdata bindings.
-          var bindings = child.querySelectorAll('[jsdata]');
-          for (var l = 0; l < bindings.length; l++) {
-            item[bindings[l].getAttribute('jsdata')] = bindings[l].textContent;
-          }
-          items.push(item);
-        } else {
-          items.push(child.textContent);
-        }
-      }
+    var started = false;
+    function load() {
+      if (started) return;
+      started = true;
+      cancelScheduledLoad(el);
+      if (!componentRegistry.has(name)) loadWithDeps(name, source);
+    }
 
-      state[key] = items;
+    // Placeholder until the strategy returns, so a synchronous load() or a
+    // re-scan meanwhile sees the element as scheduled.
+    loadCleanups.set(el, function () {});
+    var cleanup;
+    try {
+      cleanup = strategy(el, load, parsed.arg);
+    } catch (err) {
+      loadCleanups.delete(el);
+      reportError(err, { phase: 'load', component: name, src: src, element: el });
+      return;
+    }
+    if (started) {
+      if (typeof cleanup === 'function') cleanup();
+    } else {
+      loadCleanups.set(el, typeof cleanup === 'function' ? cleanup : function () {});
     }
   }
 
   /**
-   * Re-render [jsfor] containers whose state key is in changedKeys.
-   * For each item in the array: clone the template, resolve jsdata bindings
-   * against the item (objects) or set textContent on the root (primitives).
+   * Scan the DOM for unloaded components — [jscomponent][jssrc] elements and
+   * those named in the manifest — and set up lazy loading based on their
+   * jsload strategy. Eager ones get preload hints first, and components
+   * already registered (e.g. in inserted HTML) are initialized. jsroute
+   * regions in root are bound and matched against the location before that.
    */
-  function updateForBindings(compEl, state, changedKeys) {
-    var keys = changedKeys || Object.keys(state);
-    for (var i = 0; i < keys.length; i++) {
-      var key = keys[i];
-      if (!Array.isArray(state[key])) continue;
-      var containers = compEl.querySelectorAll('[jsfor="' + key + '"]');
-      for (var j = 0; j < containers.length; j++) {
-        var container = containers[j];
-        if (!belongsToComponent(container, compEl)) continue;
-        var template = forTemplates.get(container);
-        if (!template) continue;
-
-        var items = state[key];
-        container.innerHTML = '';
-
-        for (var k = 0; k < items.length; k++) {
-          var clone = template.cloneNode(true);
-          var item = items[k];
-
-          if (item !== null && typeof item === 'object') {
-            // Object item: resolve jsdata bindings within the clone.
-            var bindings = clone.querySelectorAll('[jsdata]');
-            for (var l = 0; l < bindings.length; l++) {
-              var bindKey = bindings[l].getAttribute('jsdata');
-              if (bindKey in item) {
-                bindings[l].textContent = item[bindKey];
-              }
-            }
-            // Also check the clone root itself.
-            if (clone.hasAttribute('jsdata')) {
-              var rootKey = clone.getAttribute('jsdata');
-              if (rootKey in item) {
-                clone.textContent = item[rootKey];
-              }
-            }
-          } else {
-            // Primitive item: set textContent on clone root.
-            clone.textContent = item;
-          }
+  function scan(root) {
+    root = root || document;
+    readManifests(root);
+    // Routes first, so components in regions that don't match aren't scheduled.
+    bindRoutes(root);
+    updateRoutes();
+    ensureActionListeners(root);
+    var elements = root.querySelectorAll('[jscomponent]');
 
-          container.appendChild(clone);
-        }
-      }
+    for (var i = 0; i < elements.length; i++) {
+      var name = elements[i].getAttribute('jscomponent');
+      var source = getSource(name, elements[i]);
+      if (source && source.load === 'eager') preloadComponent(name, source);
+    }
+    for (var j = 0; j < elements.length; j++) {
+      var def = componentRegistry.get(elements[j].getAttribute('jscomponent'));
+      if (def) initInstance(elements[j], def);
+      else scheduleLoad(elements[j]);
     }
+    if (debugMode) auditComponents(root);
   }
 
   /**
-   * On init, find all [jsif] elements and set up bindings.
-   *
-   * Two server-rendered forms, both hydrate state from HTML:
+   * Parse a jsaction attribute value into action specs (cached per string).
    *
-   *   Real element  — condition is true:
-   *     <p jsif="key">…</p>
-   *     A comment marker is inserted before the element as a position anchor.
+   *   jsaction="save"                          — bare action: any event type the handler object defines
+   *   jsaction="click:add; keydown.enter:add"  — event:action pairs, separated by ';'
+   *   jsaction="input.debounce-300:search"     — modifiers follow the event type, separated by '.'
    *
-   *   <template>    — condition is false:
-   *     <template jsif="key"><p>…</p></template>
-   *     The template itself is the marker; its content element is extracted
-   *     and held off-DOM until the condition becomes true.
+   * Modifiers: prevent, stop, once, self, debounce[-ms], throttle[-ms],
+   * ctrl/alt/shift/meta, and any key name (enter, esc, space, up, down,
+   * left, right, tab, a, …) which filters on event.key.
    */
-  function initIfBindings(compEl, state) {
-    var bindings = [];
-    var els = compEl.querySelectorAll('[jsif]');
-    for (var i = 0; i < els.length; i++) {
-      var el = els[i];
-      if (!belongsToComponent(el, compEl)) continue;
-      var raw = el.getAttribute('jsif');
-      var negated = raw[0] === '!';
-      var key = negated ? raw.slice(1) : raw;
-      var marker, element, inDom;
+  function parseActions(attr) {
+    var cached = actionSpecCache.get(attr);
+    if (cached) return cached;
 
-      if (el.tagName === 'TEMPLATE') {
-        // Condition is false — template is inert, content is off-DOM.
-        element = el.content.firstElementChild;
-        if (!element) continue; // Skip empty templates.
-        marker = el;
-        inDom = false;
-        state[key] = negated ? true : false;
-      } else {
-        // Condition is true — element is visible, comment holds its place.
-        marker = document.createComment('jsif');
-        el.parentNode.insertBefore(marker, el);
-        element = el;
-        inDom = true;
-        state[key] = negated ? false : true;
+    var specs = [];
+    var parts = attr.split(';');
+    for (var i = 0; i < parts.length; i++) {
+      var part = parts[i].trim();
+      if (!part) continue;
+      var spec = {
+        raw: part, eventType: null, actionName: part, keys: [], systemKeys: [],
+        prevent: false, stop: false, once: false, self: false, debounce: 0, throttle: 0,
+      };
+      var colon = part.indexOf(':');
+      if (colon !== -1) {
+        spec.actionName = part.slice(colon + 1).trim();
+        var mods = part.slice(0, colon).trim().split('.');
+        spec.eventType = mods[0];
+        for (var j = 1; j < mods.length; j++) {
+          var mod = mods[j].toLowerCase();
+          var timing = /^(debounce|throttle)(?:-(\d+))?$/.exec(mod);
+          if (mod === 'prevent' || mod === 'stop' || mod === 'once' || mod === 'self') {
+            spec[mod] = true;
+          } else if (timing) {
+            spec[timing[1]] = timing[2] ? parseInt(timing[2], 10) : 250;
+          } else if (mod === 'ctrl' || mod === 'alt' || mod === 'shift' || mod === 'meta') {
+            spec.systemKeys.push(mod);
+          } else {
+            spec.keys.push(KEY_ALIASES[mod] || mod);
+          }
+        }
       }
-
-      bindings.push({ el: element, marker: marker, key: key, negated: negated, inDom: inDom });
+      specs.push(spec);
     }
-    ifBindingsStore.set(compEl, bindings);
+
+    actionSpecCache.set(attr, specs);
+    return specs;
   }
 
   /**
-   * For each jsif binding whose key changed, insert or remove the element.
+   * Install global listeners for every event type named explicitly in
+   * jsaction attributes within root (inclusive).
    */
-  function updateIfBindings(compEl, state, changedKeys) {
-    var bindings = ifBindingsStore.get(compEl);
-    if (!bindings) return;
-    for (var i = 0; i < bindings.length; i++) {
-      var b = bindings[i];
-      if (changedKeys && changedKeys.indexOf(b.key) === -1) continue;
-      var visible = b.negated ? !state[b.key] : !!state[b.key];
-      if (visible && !b.inDom) {
-        b.marker.parentNode.insertBefore(b.el, b.marker);
-        b.inDom = true;
-        // Refresh all bindings within the newly inserted element
-        updateBindings(b.el, state, null);
-      } else if (!visible && b.inDom) {
-        b.el.parentNode.removeChild(b.el);
-        b.inDom = false;
+  function ensureActionListeners(root) {
+    var els = root.querySelectorAll('[jsaction]');
+    var all = root.hasAttribute && root.hasAttribute('jsaction') ? [root] : [];
+    for (var i = 0; i < els.length; i++) all.push(els[i]);
+    for (var j = 0; j < all.length; j++) {
+      var specs = parseActions(all[j].getAttribute('jsaction'));
+      for (var k = 0; k < specs.length; k++) {
+        if (specs[k].eventType) ensureEventListener(specs[k].eventType);
       }
     }
   }
 
   /**
-   * On init, scan for jsattr-* attributes and build a flat list of
-   * { el, attr, key } bindings stored per component element.
+   * Check a spec's event type, key, system-key and self filters.
    */
-  function initAttrBindings(compEl) {
-    var bindings = [];
-    var all = compEl.querySelectorAll('*');
-    for (var i = 0; i < all.length; i++) {
-      var el = all[i];
-      if (!belongsToComponent(el, compEl)) continue;
-      var attrs = el.attributes;
-      for (var j = 0; j < attrs.length; j++) {
-        if (attrs[j].name.indexOf('jsattr-') === 0) {
-          bindings.push({ el: el, attr: attrs[j].name.slice(7), key: attrs[j].value });
-        }
-      }
+  function matchesSpec(spec, event, actionEl) {
+    if (spec.eventType !== null && spec.eventType !== event.type) return false;
+    if (spec.self && event.target !== actionEl) return false;
+    for (var i = 0; i < spec.systemKeys.length; i++) {
+      if (!event[spec.systemKeys[i] + 'Key']) return false;
+    }
+    if (spec.keys.length > 0) {
+      var key = typeof event.key === 'string' ? event.key.toLowerCase() : null;
+      if (key === null || spec.keys.indexOf(key) === -1) return false;
     }
-    attrBindingsStore.set(compEl, bindings);
+    return true;
   }
 
   /**
-   * Apply jsattr-* bindings for the given keys (or all keys if changedKeys is null).
-   * false/null/undefined removes the attribute; true sets it to ''; other values set it as a string.
+   * Find the handler a component definition provides for a spec and event type.
+   * An action may be a handler object keyed by event type, or a single
+   * function, which a bare jsaction invokes on click.
    */
-  function updateAttrBindings(compEl, state, changedKeys) {
-    var bindings = attrBindingsStore.get(compEl);
-    if (!bindings) return;
-    for (var i = 0; i < bindings.length; i++) {
-      var b = bindings[i];
-      if (changedKeys && changedKeys.indexOf(b.key) === -1) continue;
-      var value = state[b.key];
-      if (value === false || value === null || value === undefined) {
-        b.el.removeAttribute(b.attr);
-      } else {
-        b.el.setAttribute(b.attr, value === true ? '' : String(value));
-      }
+  function resolveHandler(def, spec, eventType) {
+    var action = def.actions && def.actions[spec.actionName];
+    if (!action) return null;
+    if (typeof action === 'function') {
+      return (spec.eventType || 'click') === eventType ? action : null;
     }
+    return action[eventType] || null;
   }
 
   /**
-   * Hydrate state from server-rendered [jsbind] input values.
-   * Reads el.value (or el.checked for checkboxes/radios) into state.
+   * Apply the synchronous event modifiers (prevent, stop).
    */
-  function hydrateInputBindings(compEl, state) {
-    var keys = Object.keys(state);
-    for (var i = 0; i < keys.length; i++) {
-      var key = keys[i];
-      var els = compEl.querySelectorAll('[jsbind="' + key + '"]');
-      for (var j = 0; j < els.length; j++) {
-        var el = els[j];
-        if (!belongsToComponent(el, compEl)) continue;
-        state[key] = (el.type === 'checkbox' || el.type === 'radio') ? el.checked : el.value;
-        break; // First matching element wins.
-      }
-    }
+  function applyEventModifiers(spec, event, actionEl) {
+    if (spec.prevent) event.preventDefault();
+    if (spec.stop) stopAfter(event, actionEl);
   }
 
   /**
-   * Sync [jsbind] input values from state for the given keys (or all keys).
-   * Called after programmatic setState so the input reflects the new value.
+   * .stop: keep the event from bubbling past actionEl. Dispatch runs in
+   * the capture phase, before the event reaches the target, so stopping
+   * it here would hide it from every listener on the target and its
+   * ancestors. Instead a listener added to actionEl stops it on the way
+   * back up, after actionEl's own listeners (the DOM reads a node's
+   * listeners when the event gets there).
    */
-  function updateInputBindings(compEl, state, changedKeys) {
-    var keys = changedKeys || Object.keys(state);
-    for (var i = 0; i < keys.length; i++) {
-      var key = keys[i];
-      var els = compEl.querySelectorAll('[jsbind="' + key + '"]');
-      for (var j = 0; j < els.length; j++) {
-        var el = els[j];
-        if (!belongsToComponent(el, compEl)) continue;
-        if (el.type === 'checkbox' || el.type === 'radio') {
-          el.checked = !!state[key];
-        } else {
-          el.value = state[key];
-        }
-      }
+  function stopAfter(event, actionEl) {
+    function stop(e) {
+      if (e !== event) return;
+      e.stopPropagation();
+      actionEl.removeEventListener(event.type, stop);
     }
+    actionEl.addEventListener(event.type, stop);
+    // Dispatch is synchronous: drop the listener even if the event never came back.
+    setTimeout(function () { actionEl.removeEventListener(event.type, stop); }, 0);
   }
 
   /**
-   * Initialize per-instance state for a component element.
-   * Deep-clones def.state, stores it, updates bindings, and calls init().
+   * Run a resolved handler, honouring the once/debounce/throttle modifiers.
    */
-  function initInstance(compEl, def) {
-    if (!def.state) return;
-    if (instanceStore.has(compEl)) return; // Already initialized.
-
-    var state = deepClone(def.state);
-    instanceStore.set(compEl, { state: state, prev: null });
-    initForBindings(compEl);
-    initAttrBindings(compEl);
-    hydrateForBindings(compEl, state);
-    hydrateBindings(compEl, state);
-    hydrateInputBindings(compEl, state);
-    initIfBindings(compEl, state);
-    updateBindings(compEl, state, null);
-    updateAttrBindings(compEl, state, null);
-    updateInputBindings(compEl, state, null);
+  function scheduleAction(handler, spec, event, actionEl, compEl, def, extra) {
+    if (spec.once) {
+      var fired = onceFired.get(actionEl);
+      if (!fired) onceFired.set(actionEl, fired = new Set());
+      if (fired.has(spec.raw)) return;
+      fired.add(spec.raw);
+    }
 
-    if (typeof def.init === 'function') {
-      def.init(compEl, state);
+    if (spec.debounce || spec.throttle) {
+      var timers = actionTimers.get(actionEl);
+      if (!timers) actionTimers.set(actionEl, timers = new Map());
+      if (spec.debounce) {
+        clearTimeout(timers.get(spec.raw));
+        timers.set(spec.raw, setTimeout(function () {
+          timers.delete(spec.raw);
+          runAction(handler, event, actionEl, compEl, def, spec.actionName, extra);
+        }, spec.debounce));
+        return;
+      }
+      var now = Date.now();
+      if (timers.has(spec.raw) && now - timers.get(spec.raw) < spec.throttle) return;
+      timers.set(spec.raw, now);
     }
+
+    runAction(handler, event, actionEl, compEl, def, spec.actionName, extra);
   }
 
   /**
-   * Create a setState closure bound to a specific component element and definition.
+   * Inner walk for one action spec: from the action element up, find the
+   * nearest component that handles it (action bubbling), or buffer the event
+   * for an unloaded component that loads on interaction or is already
+   * loading. Returns true if handled. fromEl starts the walk further out
+   * (used when a replayed event bubbles past the component it waited on).
    */
-  function makeSetState(compEl, def) {
-    return function setState(patch) {
-      var instance = instanceStore.get(compEl);
-      if (!instance) return;
-
-      var prev = {};
-      var current = instance.state;
-      var keys = Object.keys(current);
-      for (var i = 0; i < keys.length; i++) {
-        prev[keys[i]] = current[keys[i]];
-      }
-
-      // Shallow-merge patch into state.
-      var changedKeys = [];
-      var patchKeys = Object.keys(patch);
-      for (var i = 0; i < patchKeys.length; i++) {
-        var k = patchKeys[i];
-        if (current[k] !== patch[k]) {
-          changedKeys.push(k);
+  function dispatchSpec(event, actionEl, spec, fromEl) {
+    var compEl = fromEl || actionEl;
+    while (compEl && compEl !== document) {
+      var compName = compEl.getAttribute && compEl.getAttribute('jscomponent');
+      if (compName) {
+        var def = componentRegistry.get(compName);
+        var handler = def && resolveHandler(def, spec, event.type);
+        if (handler) {
+          trace(event.type + ': "' + spec.raw + '" runs ' + compName + '.' + spec.actionName, actionEl);
+          applyEventModifiers(spec, event, actionEl);
+          scheduleAction(handler, spec, event, actionEl, compEl, def);
+          return true;
         }
-        current[k] = patch[k];
-      }
 
-      instance.prev = prev;
-
-      if (changedKeys.length > 0) {
-        updateIfBindings(compEl, current, changedKeys);
-        updateBindings(compEl, current, changedKeys);
-        updateAttrBindings(compEl, current, changedKeys);
-        updateForBindings(compEl, current, changedKeys);
-        updateInputBindings(compEl, current, changedKeys);
-      }
+        // Component not registered yet — check for lazy load.
+        if (!def) {
+          var source = getSource(compName, compEl);
+          if (source && (INTERACTIVE_STRATEGIES.indexOf(source.load) !== -1 || pendingLoads.has(source.src))) {
+            trace(event.type + ': ' + compName + ' is not loaded yet; "' + spec.raw + '" is buffered while ' +
+              source.src + ' loads', compEl);
+            cancelScheduledLoad(compEl);
+            bufferEvent(event, actionEl, compEl, compName, spec);
+            loadWithDeps(compName, source);
+            return true; // Event buffered.
+          }
+          trace(event.type + ': ' + compName + (source ? ' is not loaded (jsload="' + source.load + '")' : ' is not registered') +
+            ', bubbling past it', compEl);
+        } else {
+          trace(event.type + ': ' + compName + (def.actions && def.actions[spec.actionName] ?
+            ' has no ' + event.type + ' handler for "' : ' has no action "') + spec.actionName + '", bubbling past it', compEl);
+        }
 
-      if (typeof def.update === 'function') {
-        def.update(compEl, current, prev);
+        // This component didn't handle it; keep walking up for outer
+        // jscomponent ancestors (action bubbling).
       }
-    };
-  }
-
-  /**
-   * Tear down a component instance: call its destroy() hook and remove state.
-   * Call this before removing a component element from the DOM.
-   */
-  function destroy(compEl) {
-    var instance = instanceStore.get(compEl);
-    if (!instance) return;
-
-    var compName = compEl.getAttribute('jscomponent');
-    var def = componentRegistry.get(compName);
-    if (def && typeof def.destroy === 'function') {
-      def.destroy(compEl, instance.state);
+      compEl = compEl.parentElement;
     }
-    instanceStore.delete(compEl);
+    trace(event.type + ': no component handles "' + spec.raw + '"', actionEl);
+    return false;
   }
 
   /**
-   * Install a single capture-phase listener on `document` for the given event
-   * type, if one hasn't been installed yet.
-   *
-   * Capture phase is used so that:
-   *  1. The framework sees events before any stopPropagation calls.
-   *  2. Non-bubbling events (focus, blur) are still intercepted.
-   */
-  function ensureEventListener(eventType) {
-    if (activeEventTypes.has(eventType)) return;
-    activeEventTypes.add(eventType);
-    document.addEventListener(eventType, globalDispatch, true);
-  }
-
-  /**
-   * Load a component's JS file by injecting a <script> tag.
-   * Returns a Promise that resolves when the script loads.
-   * Deduplicates via pendingLoads so the same src is never fetched twice.
+   * Whether the component asks for buffered events of this type to have
+   * their default action prevented: jsbuffer="submit click".
    */
-  function loadComponent(name, src) {
-    if (pendingLoads.has(src)) return pendingLoads.get(src);
-
-    var promise = new Promise(function (resolve, reject) {
-      var script = document.createElement('script');
-      script.src = src;
-      script.onload = function () {
-        replayEvents(name);
-        resolve();
-      };
-      script.onerror = function () {
-        pendingLoads.delete(src);
-        reject(new Error('Failed to load component script: ' + src));
-      };
-      document.head.appendChild(script);
-    });
-
-    pendingLoads.set(src, promise);
-    return promise;
+  function preventsWhileBuffered(compEl, eventType) {
+    var types = compEl.getAttribute('jsbuffer');
+    return !!types && types.split(/[\s,]+/).indexOf(eventType) !== -1;
   }
 
   /**
-   * After a component loads, replay any buffered events for it.
+   * Capture the parts of an event that go stale before a replay: key and
+   * modifier state, the target's value/checked, and the values of the
+   * enclosing form. Handlers receive it as ctx.snapshot on replay.
    */
-  function replayEvents(compName) {
-    var def = componentRegistry.get(compName);
-    var remaining = [];
-    for (var i = 0; i < eventQueue.length; i++) {
-      var entry = eventQueue[i];
-      if (entry.compName === compName) {
-        if (def && def.actions && def.actions[entry.actionName]) {
-          var handler = def.actions[entry.actionName][entry.eventType];
-          if (handler) {
-            var ctx = null;
-            if (def.state) {
-              var instance = instanceStore.get(entry.compEl);
-              if (instance) {
-                ctx = { state: instance.state, setState: makeSetState(entry.compEl, def) };
-              }
-            }
-            if (ctx) {
-              handler(entry.event, entry.actionEl, entry.compEl, ctx);
-            } else {
-              handler(entry.event, entry.actionEl, entry.compEl);
-            }
-          }
-        }
-      } else {
-        remaining.push(entry);
-      }
+  function snapshotEvent(event, actionEl) {
+    var target = event.target;
+    var snapshot = {
+      type: event.type,
+      timeStamp: event.timeStamp,
+      key: event.key,
+      code: event.code,
+      altKey: event.altKey,
+      ctrlKey: event.ctrlKey,
+      metaKey: event.metaKey,
+      shiftKey: event.shiftKey,
+      value: target.value,
+      checked: target.checked,
+      formData: null,
+    };
+    var form = actionEl.tagName === 'FORM' ? actionEl : (target.closest && target.closest('form'));
+    if (form) {
+      snapshot.formData = {};
+      new FormData(form).forEach(function (value, name) {
+        if (!(name in snapshot.formData)) snapshot.formData[name] = value;
+        else snapshot.formData[name] = [].concat(snapshot.formData[name], value);
+      });
     }
-    eventQueue = remaining;
+    return snapshot;
   }
 
   /**
-   * Get or create the shared IntersectionObserver for "visible" components.
+   * Queue an event for an unloaded component. prevent/stop modifiers apply
+   * now; if the component's jsbuffer lists this event type its default
+   * action is prevented too, with a timeout that falls back to the native
+   * behaviour if the script never arrives.
    */
-  function getVisibilityObserver() {
-    if (visibilityObserver) return visibilityObserver;
-    visibilityObserver = new IntersectionObserver(function (entries) {
-      for (var i = 0; i < entries.length; i++) {
-        if (entries[i].isIntersecting) {
-          var el = entries[i].target;
-          var name = el.getAttribute('jscomponent');
-          var src = el.getAttribute('jssrc');
-          visibilityObserver.unobserve(el);
-          if (name && src && !componentRegistry.has(name)) {
-            loadComponent(name, src);
-          }
-        }
-      }
-    });
-    return visibilityObserver;
+  function bufferEvent(event, actionEl, compEl, compName, spec) {
+    applyEventModifiers(spec, event, actionEl);
+    var entry = {
+      event: event,
+      actionEl: actionEl,
+      compEl: compEl,
+      compName: compName,
+      actionName: spec.actionName,
+      eventType: event.type,
+      spec: spec,
+      snapshot: snapshotEvent(event, actionEl),
+      fallbackTimer: null,
+    };
+    if (!event.defaultPrevented && preventsWhileBuffered(compEl, event.type)) {
+      event.preventDefault();
+      entry.fallbackTimer = setTimeout(function () {
+        fallbackToNative(entry);
+      }, settings.bufferTimeout);
+    }
+    eventQueue.push(entry);
   }
 
   /**
-   * Scan the DOM for [jscomponent][jssrc] elements and set up lazy loading
-   * based on their jsload attribute.
+   * The script didn't arrive in time: drop every queued entry for this
+   * event and perform what the browser would have done — submit the form
+   * or follow the link.
    */
-  function scan(root) {
-    root = root || document;
-    var elements = root.querySelectorAll('[jscomponent][jssrc]');
-
-    for (var i = 0; i < elements.length; i++) {
-      var el = elements[i];
-      var name = el.getAttribute('jscomponent');
-      var src = el.getAttribute('jssrc');
-      var loadStrategy = el.getAttribute('jsload') || 'eager';
-
-      // Skip if already registered.
-      if (componentRegistry.has(name)) continue;
-
-      if (loadStrategy === 'eager') {
-        loadComponent(name, src);
-      } else if (loadStrategy === 'visible') {
-        getVisibilityObserver().observe(el);
-      } else if (loadStrategy === 'idle') {
-        (function (n, s) {
-          var schedule = window.requestIdleCallback || function (fn) { setTimeout(fn, 1); };
-          schedule(function () {
-            if (!componentRegistry.has(n)) {
-              loadComponent(n, s);
-            }
-          });
-        })(name, src);
-      }
-      // "interaction" — handled by globalDispatch, no setup needed here.
+  function fallbackToNative(entry) {
+    eventQueue = eventQueue.filter(function (queued) { return queued.event !== entry.event; });
+    var target = entry.event.target;
+    var link = target.closest && target.closest('a[href]');
+    var form = target.tagName === 'FORM' ? target : target.form;
+    if (entry.eventType === 'submit' && form) {
+      form.submit();
+    } else if (entry.eventType === 'click' && link) {
+      if (link.target === '_blank') window.open(link.href);
+      else window.location.assign(link.href);
+    } else if (entry.eventType === 'click' && form && (target.type === 'submit' || target.tagName === 'BUTTON' && !target.type)) {
+      form.submit();
     }
   }
 
@@ -623,25 +4339,29 @@
    * Core dispatch algorithm (runs in capture phase).
    *
    * 1. Walk up from event.target looking for elements with a `jsaction` attribute.
-   * 2. For each jsaction element found, walk up (inclusive) looking for the
-   *    nearest ancestor with a `jscomponent` attribute.
-   * 3. Check if that component's registered definition has an action matching
-   *    the jsaction name AND a handler for this event type.
-   * 4. If yes — call the handler and stop.
-   * 5. If no — continue walking to outer jscomponent ancestors (action bubbling).
-   * 6. If no component handles the action, continue the outer walk to find
-   *    higher jsaction elements.
+   * 2. Parse it into specs and keep those whose event type and filters match.
+   * 3. For each matching spec, walk up (inclusive) looking for the nearest
+   *    ancestor with a `jscomponent` attribute whose definition has a handler
+   *    for the spec's action and this event type.
+   * 4. If found — call the handler (through its modifiers).
+   * 5. If not — continue walking to outer jscomponent ancestors (action bubbling).
+   * 6. If any spec on the element was handled, stop; otherwise continue the
+   *    outer walk to find higher jsaction elements.
+   *
+   * For unregistered components with a src + jsload="interaction" (or
+   * "hover"/"focus", or whose script is already loading), buffer the event
+   * (see bufferEvent) and trigger a load.
    *
-   * For unregistered components with jssrc + jsload="interaction", buffer the
-   * event and trigger a load.
+   * Clicks on same-origin links to a jsroute path navigate in place after
+   * all of this, unless a handler cancelled them (see listenForRouteLinks).
+   * With Ziw.debug() on, every decision of both walks is traced.
    */
   function globalDispatch(event) {
     var eventType = event.type;
     var el = event.target;
 
     // Handle jsbind two-way input bindings.
-    if ((eventType === 'input' || eventType === 'change') &&
-        el.getAttribute && el.hasAttribute('jsbind')) {
+    if (el.getAttribute && el.hasAttribute('jsbind') && isBindEvent(el, eventType)) {
       var bindKey = el.getAttribute('jsbind');
       var ancestor = el.parentElement;
       while (ancestor && ancestor !== document) {
@@ -650,10 +4370,23 @@
           if (bindInstance) {
             var bindDef = componentRegistry.get(ancestor.getAttribute('jscomponent'));
             if (bindDef) {
-              var bindValue = (el.type === 'checkbox' || el.type === 'radio') ? el.checked : el.value;
               var patch = {};
-              patch[bindKey] = bindValue;
-              makeSetState(ancestor, bindDef)(patch);
+              // Inside a jsfor row the key usually names a field of the item.
+              var bindRow = rowContext(el, ancestor);
+              if (bindRow) bindKey = rowBindPath(bindRow, bindKey, bindInstance.state);
+              if (bindKey[0] === '$') {
+                // Store binding: "$cart.note" writes "note" into the cart store.
+                var dot = bindKey.indexOf('.');
+                if (dot > 1) {
+                  var storeName = bindKey.slice(1, dot);
+                  var storePath = bindKey.slice(dot + 1);
+                  patch[storePath] = readInput(el, getPath(getStore(storeName).state, storePath));
+                  setStoreState(storeName, patch);
+                }
+              } else {
+                patch[bindKey] = readInput(el, getPath(bindInstance.state, bindKey));
+                makeSetState(ancestor, bindDef)(patch);
+              }
             }
           }
           break;
@@ -663,58 +4396,41 @@
       // Don't return — allow normal jsaction dispatch to continue if present.
     }
 
-    // Outer walk: find jsaction elements from target upward.
-    while (el && el !== document) {
-      var actionName = el.getAttribute && el.getAttribute('jsaction');
-      if (actionName) {
-        // Inner walk: find the nearest jscomponent ancestor (inclusive).
-        var compEl = el;
-        while (compEl && compEl !== document) {
-          var compName = compEl.getAttribute && compEl.getAttribute('jscomponent');
-          if (compName) {
-            var def = componentRegistry.get(compName);
-            if (def && def.actions && def.actions[actionName]) {
-              var handler = def.actions[actionName][eventType];
-              if (handler) {
-                // Build state context if component has state.
-                if (def.state) {
-                  var instance = instanceStore.get(compEl);
-                  if (instance) {
-                    handler(event, el, compEl, { state: instance.state, setState: makeSetState(compEl, def) });
-                    return;
-                  }
-                }
-                handler(event, el, compEl);
-                return; // Handled — stop dispatch.
-              }
-            }
+    // Leaving a jsbind field marks it touched, showing its $errors message.
+    if (eventType === 'blur' && el.getAttribute && el.hasAttribute('jsbind')) {
+      var fieldComp = el.parentElement && el.parentElement.closest('[jscomponent]');
+      var fieldInstance = fieldComp && instanceStore.get(fieldComp);
+      if (fieldInstance) {
+        refreshForm(fieldComp, componentRegistry.get(fieldComp.getAttribute('jscomponent')),
+          fieldInstance, [el.getAttribute('jsbind')]);
+      }
+    }
 
-            // Component not registered yet — check for lazy load.
-            if (!def) {
-              var src = compEl.getAttribute('jssrc');
-              var loadStrategy = compEl.getAttribute('jsload');
-              if (src && loadStrategy === 'interaction') {
-                eventQueue.push({
-                  event: event,
-                  actionEl: el,
-                  compEl: compEl,
-                  compName: compName,
-                  actionName: actionName,
-                  eventType: eventType
-                });
-                loadComponent(compName, src);
-                return; // Event buffered — stop dispatch.
-              }
-            }
+    // Validate (and maybe post) a <form jssubmit>; invalid forms run no actions.
+    if (eventType === 'submit' && el.hasAttribute && el.hasAttribute('jssubmit')) {
+      if (!submitForm(event, el)) return;
+    }
 
-            // This component didn't handle it; keep walking up for outer
-            // jscomponent ancestors (action bubbling).
-          }
-          compEl = compEl.parentElement;
+    // Outer walk: find jsaction elements from target upward.
+    var found = false;
+    while (el && el !== document) {
+      var attr = el.getAttribute && el.getAttribute('jsaction');
+      if (attr) {
+        var specs = parseActions(attr);
+        var handled = false;
+        var matched = false;
+        found = true;
+        for (var i = 0; i < specs.length; i++) {
+          if (!matchesSpec(specs[i], event, el)) continue;
+          matched = true;
+          if (dispatchSpec(event, el, specs[i])) handled = true;
         }
+        if (handled) return; // Handled — stop dispatch.
+        if (!matched) trace(eventType + ': no spec in jsaction="' + attr + '" matches the event', el);
       }
       el = el.parentElement;
     }
+    if (!found) trace(eventType + ': no jsaction on the target or its ancestors', event.target);
   }
 
   /**
@@ -724,6 +4440,9 @@
    * @param {object} def  — component definition with an `actions` object.
    */
   function register(name, def) {
+    if (componentRegistry.has(name)) {
+      warn(name + ' is registered more than once; the last definition replaces the others');
+    }
     componentRegistry.set(name, def);
 
     // Extract every event type mentioned across all actions and ensure a
@@ -731,6 +4450,7 @@
     if (def.actions) {
       var actionNames = Object.keys(def.actions);
       for (var i = 0; i < actionNames.length; i++) {
+        if (typeof def.actions[actionNames[i]] === 'function') continue;
         var eventTypes = Object.keys(def.actions[actionNames[i]]);
         for (var j = 0; j < eventTypes.length; j++) {
           ensureEventListener(eventTypes[j]);
@@ -738,15 +4458,25 @@
       }
     }
 
-    // Initialize state for any existing DOM elements with this component name.
-    if (def.state) {
-      var elements = document.querySelectorAll('[jscomponent="' + name + '"]');
-      for (var i = 0; i < elements.length; i++) {
-        initInstance(elements[i], def);
-      }
+    // Listen for event types named in the component's jsaction attributes,
+    // and initialize state for existing DOM elements with this component name.
+    var elements = document.querySelectorAll('[jscomponent="' + name + '"]');
+    for (var i = 0; i < elements.length; i++) {
+      cancelScheduledLoad(elements[i]);
+      ensureActionListeners(elements[i]);
+      initInstance(elements[i], def);
+    }
+
+    // Start loads chained with jsload="after:Name".
+    var waiters = registerWaiters.get(name);
+    if (waiters) {
+      registerWaiters.delete(name);
+      waiters.forEach(function (fn) { fn(); });
     }
   }
 
+  defineBuiltinStrategies();
+
   // Install default event listeners so interaction-triggered lazy components
   // can catch events before any component JS has loaded.
   for (var i = 0; i < DEFAULT_EVENT_TYPES.length; i++) {
@@ -765,5 +4495,27 @@
     register,
     scan,
     destroy,
+    observe,
+    store,
+    onError,
+    config,
+    defineLoadStrategy,
+    formatter,
+    nextTick,
+    navigate,
+    get: getInstance,
+    debug,
+    inspect,
   };
+
+  // ziw-test.js evaluates this file with a ziwTestHook parameter to reach
+  // a few internals; on a page the name is unbound and nothing is exposed.
+  if (typeof ziwTestHook === 'function') {
+    ziwTestHook({
+      parseActions: parseActions,
+      // The srcs still loading (until registered and replayed, or failed).
+      loading: function () { return Array.from(unfinishedLoads); },
+      flushing: function () { return flushScheduled || pendingUpdates.size > 0; },
+    });
+  }
 })();